@@ -5,8 +5,15 @@ class CSSChangeProcessor {
     constructor() {
         console.log('[BACKGROUND] Initializing CSSChangeProcessor');
         this.serverUrl = 'http://localhost:3001';
+        this.pairingToken = null; // Shared secret printed by the server, sent with every request
         this.changeQueue = [];
         this.isProcessing = false;
+        this.styleSheetsByTab = new Map(); // tabId -> Map(styleSheetId -> header)
+        this.panelPorts = new Map(); // Port -> { tabId, domain } of each open DevTools panel
+        this.eventStreamController = null;
+        this.eventStreamRetryDelay = 1000;
+        this.hotReload = true; // Refresh the page's stylesheets when their files change
+        this.shorthands = []; // The server's shorthand names, reported in place of their longhands
         this.currentConfiguration = {
             projectPath: null,
             domainMappings: {},
@@ -16,7 +23,8 @@ class CSSChangeProcessor {
         // Enhanced keep-alive mechanism
         this.setupKeepAlive();
         this.setupMessageListeners();
-        this.loadSavedConfiguration();
+        this.setupPanelConnections();
+        this.loadSavedConfiguration().then(() => this.connectEventStream());
         
         console.log('[BACKGROUND] CSSChangeProcessor initialized');
     }
@@ -46,9 +54,25 @@ class CSSChangeProcessor {
 
         // Handle tab updates to maintain connection
         chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+            if (changeInfo.status === 'loading') {
+                // Stylesheets are reported again after navigation
+                this.styleSheetsByTab.delete(tabId);
+            }
             if (changeInfo.status === 'complete' && tab.url) {
                 console.log('[BACKGROUND] Tab updated:', tabId, tab.url);
             }
+            if (changeInfo.url) {
+                // Panels follow their tab to a new domain
+                this.panelPorts.forEach(async (panel) => {
+                    if (panel.tabId === tabId) {
+                        panel.domain = await this.getDomainForTab(tabId);
+                    }
+                });
+            }
+        });
+        
+        chrome.tabs.onRemoved.addListener((tabId) => {
+            this.styleSheetsByTab.delete(tabId);
         });
 
         // Store interval reference for cleanup
@@ -58,7 +82,9 @@ class CSSChangeProcessor {
     async loadSavedConfiguration() {
         console.log('[BACKGROUND] Loading saved configuration');
         try {
-            const result = await chrome.storage.local.get(['cssPath', 'detectionMode', 'domainMappings']);
+            const result = await chrome.storage.local.get(['cssPath', 'detectionMode', 'domainMappings', 'pairingToken', 'hotReload']);
+            this.pairingToken = result.pairingToken || null;
+            this.hotReload = result.hotReload !== false;
             if (result.cssPath) {
                 this.currentConfiguration.projectPath = result.cssPath;
                 this.currentConfiguration.domainMappings = result.domainMappings || {};
@@ -86,6 +112,162 @@ class CSSChangeProcessor {
         });
     }
 
+    // DevTools panels keep a port open to receive server events for their tab
+    setupPanelConnections() {
+        chrome.runtime.onConnect.addListener((port) => {
+            if (port.name !== 'css-sync-panel') return;
+
+            this.panelPorts.set(port, { tabId: null, domain: null });
+            port.onMessage.addListener(async (message) => {
+                if (message.type === 'SUBSCRIBE') {
+                    const { tabId } = message.data;
+                    this.panelPorts.set(port, { tabId, domain: await this.getDomainForTab(tabId) });
+                    port.postMessage({ type: 'EVENT_STREAM_STATUS', data: { connected: !!this.eventStreamController } });
+                }
+            });
+            port.onDisconnect.addListener(() => this.panelPorts.delete(port));
+        });
+    }
+
+    // Same host[:port] form the changes from this tab are tagged with
+    async getDomainForTab(tabId) {
+        try {
+            const tab = await chrome.tabs.get(tabId);
+            const url = new URL(tab.url);
+            return url.hostname + (url.port ? ':' + url.port : '');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Reads the server's Server-Sent Events stream. EventSource is not available
+    // in service workers and can't send the pairing token header, so this uses fetch.
+    async connectEventStream() {
+        if (this.eventStreamController || !this.pairingToken) {
+            return;
+        }
+
+        const controller = new AbortController();
+        this.eventStreamController = controller;
+
+        try {
+            const response = await fetch(`${this.serverUrl}/events`, {
+                headers: this.getRequestHeaders(),
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                throw new Error(`Server error: ${response.status}`);
+            }
+
+            console.log('[BACKGROUND] Event stream connected');
+            this.eventStreamRetryDelay = 1000;
+            this.broadcastToPanels('EVENT_STREAM_STATUS', { connected: true });
+
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                const frames = buffer.split('\n\n');
+                buffer = frames.pop();
+                frames.forEach(frame => this.handleServerEvent(frame));
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.log('[BACKGROUND] Event stream error:', error.message);
+            }
+        }
+
+        const aborted = controller.signal.aborted;
+        if (this.eventStreamController === controller) {
+            this.eventStreamController = null;
+        }
+        this.broadcastToPanels('EVENT_STREAM_STATUS', { connected: false });
+
+        // Reconnect with backoff unless the stream was closed on purpose
+        if (!aborted) {
+            setTimeout(() => this.connectEventStream(), this.eventStreamRetryDelay);
+            this.eventStreamRetryDelay = Math.min(this.eventStreamRetryDelay * 2, 30000);
+        }
+    }
+
+    reconnectEventStream() {
+        if (this.eventStreamController) {
+            this.eventStreamController.abort();
+            this.eventStreamController = null;
+        }
+        this.eventStreamRetryDelay = 1000;
+        this.connectEventStream();
+    }
+
+    handleServerEvent(frame) {
+        let type = 'message';
+        const dataLines = [];
+
+        for (const line of frame.split('\n')) {
+            if (line.startsWith('event:')) {
+                type = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                dataLines.push(line.slice(5).trim());
+            }
+        }
+        if (dataLines.length === 0) return;
+
+        try {
+            const data = JSON.parse(dataLines.join('\n'));
+            console.log('[BACKGROUND] Server event:', type, data);
+            this.routeServerEvent(type, data);
+
+            if (type === 'change-applied' || (type === 'file-changed' && data.reason !== 'removed')) {
+                this.hotReloadFile(data.file);
+            }
+        } catch (error) {
+            console.error('[BACKGROUND] Invalid server event:', error);
+        }
+    }
+
+    // Sends each event only to the panels it concerns: changes and conflicts to
+    // panels on the same domain, file events to panels whose project contains the file
+    routeServerEvent(type, data) {
+        for (const [port, panel] of this.panelPorts) {
+            let relevant = true;
+
+            if ((type === 'change-applied' || type === 'conflict') && data.domain) {
+                relevant = panel.domain === data.domain;
+            } else if (type === 'file-changed') {
+                const root = this.getTargetPathForDomain(panel.domain);
+                relevant = !root || this.isPathInside(root, data.file);
+            }
+
+            if (relevant) {
+                port.postMessage({ type: 'SERVER_EVENT', data: { type, ...data } });
+            }
+        }
+    }
+
+    isPathInside(root, filePath) {
+        const base = root.replace(/[\\/]+$/, '');
+        return filePath.startsWith(base + '/') || filePath.startsWith(base + '\\');
+    }
+
+    broadcastToTab(tabId, type, data) {
+        for (const [port, panel] of this.panelPorts) {
+            if (panel.tabId === tabId) {
+                port.postMessage({ type, data });
+            }
+        }
+    }
+
+    broadcastToPanels(type, data) {
+        for (const port of this.panelPorts.keys()) {
+            port.postMessage({ type, data });
+        }
+    }
+
     async handleMessage(message, sender, sendResponse) {
         try {
             switch (message.type) {
@@ -104,11 +286,52 @@ class CSSChangeProcessor {
                     sendResponse(configResult);
                     break;
 
+                case 'STYLESHEET_ADDED':
+                    this.registerStyleSheet(message.data);
+                    sendResponse({ success: true });
+                    break;
+
+                case 'STYLESHEET_REMOVED':
+                    this.unregisterStyleSheet(message.data);
+                    sendResponse({ success: true });
+                    break;
+
+                case 'GET_SHORTHANDS':
+                    if (this.shorthands.length === 0) {
+                        await this.checkServerStatus();
+                    }
+                    sendResponse({ shorthands: this.shorthands });
+                    break;
+
+                case 'SET_HOT_RELOAD':
+                    this.hotReload = !!message.data.enabled;
+                    await chrome.storage.local.set({ hotReload: this.hotReload });
+                    sendResponse({ success: true, hotReload: this.hotReload });
+                    break;
+
                 case 'APPLY_CSS_CHANGE':
                     const applyResult = await this.applySingleChange(message.data);
                     sendResponse(applyResult);
                     break;
 
+                case 'PREVIEW_CSS_CHANGE':
+                    const previewResult = await this.applySingleChange(message.data, { preview: true });
+                    sendResponse(previewResult);
+                    break;
+
+                case 'SET_PAIRING_TOKEN':
+                    await this.setPairingToken(message.data.token);
+                    sendResponse(await this.checkServerStatus(message.data.domain));
+                    break;
+
+                case 'ROTATE_PAIRING_TOKEN':
+                    sendResponse(await this.rotatePairingToken());
+                    break;
+
+                case 'REVOKE_PAIRING_TOKEN':
+                    sendResponse(await this.revokePairingToken());
+                    break;
+
                 case 'PING':
                     sendResponse({ alive: true, timestamp: Date.now() });
                     break;
@@ -127,6 +350,63 @@ class CSSChangeProcessor {
         }
     }
 
+    getRequestHeaders() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.pairingToken) {
+            headers['X-CSS-Sync-Token'] = this.pairingToken;
+        }
+        return headers;
+    }
+
+    async setPairingToken(token) {
+        this.pairingToken = token ? token.trim() : null;
+        if (this.pairingToken) {
+            await chrome.storage.local.set({ pairingToken: this.pairingToken });
+        } else {
+            await chrome.storage.local.remove('pairingToken');
+        }
+        console.log('[BACKGROUND] Pairing token', this.pairingToken ? 'saved' : 'cleared');
+        this.reconnectEventStream();
+    }
+
+    // Asks the server for a new token and keeps pairing with it
+    async rotatePairingToken() {
+        try {
+            const response = await fetch(`${this.serverUrl}/pairing/rotate`, {
+                method: 'POST',
+                headers: this.getRequestHeaders()
+            });
+            const result = await response.json();
+            
+            if (result.success) {
+                await this.setPairingToken(result.token);
+            }
+            return { success: !!result.success, error: result.error };
+        } catch (error) {
+            console.error('[BACKGROUND] Rotate pairing token error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Invalidates the token for every client, this one included
+    async revokePairingToken() {
+        try {
+            const response = await fetch(`${this.serverUrl}/pairing/revoke`, {
+                method: 'POST',
+                headers: this.getRequestHeaders()
+            });
+            const result = await response.json();
+            
+            if (result.success) {
+                await this.setPairingToken(null);
+            }
+            return result;
+        } catch (error) {
+            console.error('[BACKGROUND] Revoke pairing token error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
     async checkServerStatus(currentDomain = null) {
         console.log('[BACKGROUND] Checking server status for domain:', currentDomain);
         
@@ -136,16 +416,25 @@ class CSSChangeProcessor {
         try {
             const response = await fetch(`${this.serverUrl}/status`, {
                 signal: controller.signal,
-                headers: { 'Content-Type': 'application/json' }
+                headers: this.getRequestHeaders()
             });
             
             clearTimeout(timeoutId);
             
+            if (response.status === 401) {
+                return {
+                    connected: false,
+                    unauthorized: true,
+                    error: this.pairingToken ? 'Pairing token rejected - pair again' : 'Not paired - enter the pairing token'
+                };
+            }
+            
             if (!response.ok) {
                 throw new Error(`Server error: ${response.status}`);
             }
             
             const data = await response.json();
+            this.shorthands = data.shorthands || this.shorthands;
             
             // Determine active path for current domain
             let activePath = this.currentConfiguration.projectPath;
@@ -199,7 +488,7 @@ class CSSChangeProcessor {
             
             const response = await fetch(`${this.serverUrl}/set-project-configuration`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: this.getRequestHeaders(),
                 body: JSON.stringify(config),
                 signal: controller.signal
             });
@@ -207,7 +496,8 @@ class CSSChangeProcessor {
             clearTimeout(timeoutId);
             
             if (!response.ok) {
-                throw new Error(`Server error: ${response.status}`);
+                const errorBody = await response.json().catch(() => ({}));
+                throw new Error(errorBody.error || `Server error: ${response.status}`);
             }
             
             const result = await response.json();
@@ -227,16 +517,18 @@ class CSSChangeProcessor {
         }
     }
 
-    async applySingleChange(changeData) {
-        console.log('[BACKGROUND] Applying single change:', changeData);
+    async applySingleChange(changeData, options = {}) {
+        const endpoint = options.preview ? 'preview-css-change' : 'apply-css-change';
+        console.log(`[BACKGROUND] ${options.preview ? 'Previewing' : 'Applying'} single change:`, changeData);
         
         try {
             // Ensure domain information is available
-            if (!changeData.domain) {
+            if (!changeData.domain || changeData.tabId === undefined) {
                 const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
                 if (tabs[0]) {
                     const url = new URL(tabs[0].url);
-                    changeData.domain = url.hostname + (url.port ? ':' + url.port : '');
+                    changeData.domain = changeData.domain || url.hostname + (url.port ? ':' + url.port : '');
+                    changeData.tabId = changeData.tabId !== undefined ? changeData.tabId : tabs[0].id;
                 }
             }
 
@@ -246,22 +538,24 @@ class CSSChangeProcessor {
             const controller = new AbortController();
             const timeoutId = setTimeout(() => controller.abort(), 15000); // Longer timeout for file operations
             
-            const response = await fetch(`${this.serverUrl}/apply-css-change`, {
+            const response = await fetch(`${this.serverUrl}/${endpoint}`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: this.getRequestHeaders(),
                 body: JSON.stringify(enhancedData),
                 signal: controller.signal
             });
             
             clearTimeout(timeoutId);
 
-            if (!response.ok) {
+            // 409 carries a structured conflict and 300 the candidate rules of an
+            // ambiguous match, both for the panel to resolve
+            if (!response.ok && response.status !== 409 && response.status !== 300) {
                 const errorText = await response.text();
                 throw new Error(`Server error ${response.status}: ${errorText}`);
             }
             
             const result = await response.json();
-            console.log('[BACKGROUND] Apply change result:', result);
+            console.log(`[BACKGROUND] ${options.preview ? 'Preview' : 'Apply'} change result:`, result);
             
             return result;
             
@@ -283,6 +577,9 @@ class CSSChangeProcessor {
         console.log('[BACKGROUND] Processing CSS change:', changeData);
         
         // Add domain information
+        if (tab && tab.id !== undefined && changeData.tabId === undefined) {
+            changeData.tabId = tab.id;
+        }
         if (tab && tab.url) {
             try {
                 const url = new URL(tab.url);
@@ -293,6 +590,12 @@ class CSSChangeProcessor {
             }
         }
         
+        // Clearing inline overrides leaves nothing for the source file
+        if (!changeData.changes && Object.keys(this.buildChanges(changeData)).length === 0) {
+            console.log('[BACKGROUND] No property changes to sync for', changeData.selector);
+            return;
+        }
+        
         // Add to queue for processing
         this.changeQueue.push(changeData);
         
@@ -331,7 +634,7 @@ class CSSChangeProcessor {
             
             const response = await fetch(`${this.serverUrl}/apply-css-change`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: this.getRequestHeaders(),
                 body: JSON.stringify(enhancedData),
                 signal: controller.signal
             });
@@ -340,7 +643,15 @@ class CSSChangeProcessor {
             
             const result = await response.json();
             
-            if (!result.success) {
+            if (result.conflict || result.ambiguous) {
+                // 409 and 300 wait for the panel: force apply or skip the
+                // conflict, pick one of the candidate rules
+                console.log('[BACKGROUND] Change needs a choice in the panel:', result.error);
+                this.broadcastToTab(enhancedData.tabId, 'CSS_SYNC_UNRESOLVED', {
+                    changeId: enhancedData.id,
+                    result
+                });
+            } else if (!result.success) {
                 console.error('[BACKGROUND] Server failed to apply change:', result.error);
                 this.notifyDevToolsPanel('CSS_SYNC_ERROR', {
                     error: result.error,
@@ -377,18 +688,181 @@ class CSSChangeProcessor {
         }
     }
 
-    enhanceChangeData(changeData) {
+    registerStyleSheet(styleSheet) {
+        if (!styleSheet || styleSheet.tabId === undefined) {
+            return;
+        }
+        
+        if (!this.styleSheetsByTab.has(styleSheet.tabId)) {
+            this.styleSheetsByTab.set(styleSheet.tabId, new Map());
+        }
+        this.styleSheetsByTab.get(styleSheet.tabId).set(styleSheet.styleSheetId, {
+            sourceURL: styleSheet.sourceURL,
+            sourceMapURL: styleSheet.sourceMapURL
+        });
+    }
+
+    unregisterStyleSheet(styleSheet) {
+        const styleSheets = styleSheet && this.styleSheetsByTab.get(styleSheet.tabId);
+        if (styleSheets) {
+            styleSheets.delete(styleSheet.styleSheetId);
+        }
+    }
+
+    // Brings every open tab that loaded a stylesheet from this file up to date
+    // with it, without reloading the page
+    async hotReloadFile(filePath) {
+        if (!this.hotReload || !filePath) {
+            return;
+        }
+
+        for (const [tabId, styleSheets] of this.styleSheetsByTab) {
+            const domain = await this.getDomainForTab(tabId);
+            const targetPath = this.getTargetPathForDomain(domain);
+            if (!targetPath || !this.isPathInside(targetPath, filePath) || styleSheets.size === 0) {
+                continue;
+            }
+
+            try {
+                const response = await fetch(`${this.serverUrl}/stylesheets-for-file`, {
+                    method: 'POST',
+                    headers: this.getRequestHeaders(),
+                    body: JSON.stringify({
+                        file: filePath,
+                        domain,
+                        targetPath,
+                        styleSheets: this.getStyleSheetsForTab(tabId)
+                    })
+                });
+                const result = await response.json();
+                if (!result.success) {
+                    throw new Error(result.error);
+                }
+
+                const reloadUrls = [];
+                for (const styleSheet of result.styleSheets) {
+                    if (styleSheet.method === 'setText' && await this.setStyleSheetText(tabId, styleSheet.styleSheetId, result.text)) {
+                        continue;
+                    }
+                    reloadUrls.push(styleSheet.sourceURL);
+                }
+                if (reloadUrls.length > 0) {
+                    await this.reloadStyleSheetLinks(tabId, reloadUrls);
+                }
+
+                if (result.styleSheets.length > 0) {
+                    console.log('[BACKGROUND] Hot reloaded', result.styleSheets.length, 'stylesheet(s) in tab', tabId, 'from', filePath);
+                    this.broadcastToTab(tabId, 'STYLESHEETS_RELOADED', { file: filePath, count: result.styleSheets.length });
+                }
+            } catch (error) {
+                console.log('[BACKGROUND] Could not hot reload', filePath, 'in tab', tabId + ':', error.message);
+            }
+        }
+    }
+
+    // Has the DevTools page replace the sheet's text through the debugger
+    // session it holds while tracking, so it knows the change is its own.
+    // Returns false when no page is tracking the tab.
+    async setStyleSheetText(tabId, styleSheetId, text) {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'SET_STYLESHEET_TEXT', data: { tabId, styleSheetId, text } });
+            return !!(response && response.success);
+        } catch (error) {
+            console.log('[BACKGROUND] CSS.setStyleSheetText unavailable, re-fetching instead:', error.message);
+            return false;
+        }
+    }
+
+    // Re-fetches <link> stylesheets with a cache-busting query. The new link is
+    // added next to the old one, which is removed once it loaded, so the page
+    // never renders unstyled.
+    async reloadStyleSheetLinks(tabId, sourceURLs) {
+        await chrome.scripting.executeScript({
+            target: { tabId },
+            args: [sourceURLs, Date.now()],
+            func: (urls, version) => {
+                const withoutVersion = (href) => {
+                    const url = new URL(href, location.href);
+                    url.searchParams.delete('css-sync');
+                    return url.href;
+                };
+                const targets = new Set(urls.map(withoutVersion));
+
+                document.querySelectorAll('link[rel~="stylesheet"][href]').forEach((link) => {
+                    if (!targets.has(withoutVersion(link.href))) return;
+
+                    const url = new URL(link.href);
+                    url.searchParams.set('css-sync', version);
+                    const replacement = link.cloneNode();
+                    replacement.href = url.href;
+                    replacement.addEventListener('load', () => link.remove());
+                    replacement.addEventListener('error', () => replacement.remove());
+                    link.after(replacement);
+                });
+            }
+        });
+    }
+
+    getStyleSheetsForTab(tabId) {
+        const styleSheets = this.styleSheetsByTab.get(tabId);
+        return styleSheets ? Array.from(styleSheets, ([styleSheetId, header]) => ({ styleSheetId, ...header })) : [];
+    }
+
+    // The stylesheet URL and source map the matched rule came from
+    getRuleOrigin(ruleOrigin, tabId) {
+        const styleSheets = this.styleSheetsByTab.get(tabId);
+        const header = ruleOrigin && styleSheets && styleSheets.get(ruleOrigin.styleSheetId);
+        return header ? { ...ruleOrigin, ...header } : null;
+    }
+
+    enhanceChangeData(changeData, tabId = changeData.tabId) {
         const selectorVariations = this.generateSelectorVariations(changeData);
         
         return {
             ...changeData,
             selectorVariations,
+            changes: changeData.changes || this.buildChanges(changeData),
+            ruleOrigin: this.getRuleOrigin(changeData.ruleOrigin, tabId),
+            styleSheets: this.getStyleSheetsForTab(tabId),
             matchingStrategy: 'intelligent',
             targetPath: this.getTargetPathForDomain(changeData.domain),
             timestamp: Date.now()
         };
     }
 
+    // Property changes for the server from the element's inline styles. With the
+    // style attribute's previous value, unchanged properties are left out and
+    // changed ones carry `from` so the server can tell if the file moved on.
+    // A property cleared from the style attribute only undoes an override, so
+    // it is left out rather than removed from the source. Only an inline
+    // `!important` is passed on, so flags in the source stay as they are.
+    buildChanges(changeData) {
+        const valueOf = style => typeof style === 'string' ? style : style.value;
+        const isImportant = style => typeof style === 'object' && style.priority === 'important';
+        const previousStyles = changeData.previousStyles;
+        const changes = {};
+
+        for (const [property, style] of Object.entries(changeData.inlineStyles || {})) {
+            const value = valueOf(style);
+            const important = isImportant(style);
+            const previous = previousStyles && previousStyles[property] ? previousStyles[property] : null;
+            if (previous && valueOf(previous) === value && isImportant(previous) === important) {
+                continue;
+            }
+
+            if (!previous && !important) {
+                changes[property] = value;
+                continue;
+            }
+            const change = previous ? { from: valueOf(previous), to: value } : { to: value };
+            if (important) {
+                change.important = true;
+            }
+            changes[property] = change;
+        }
+        return changes;
+    }
+
     getTargetPathForDomain(domain) {
         if (domain && this.currentConfiguration.domainMappings[domain]) {
             return this.currentConfiguration.domainMappings[domain];
@@ -436,9 +910,29 @@ class CSSChangeProcessor {
             });
         }
         
+        // An edit to a :hover or ::before rule targets that state of every
+        // variation; the original selector is the rule's own and has it already
+        const pseudoSuffix = this.getPseudoSuffix(changeData.pseudo);
+        if (pseudoSuffix) {
+            variations.forEach(variation => {
+                if (variation.type !== 'original') {
+                    variation.selector += pseudoSuffix;
+                }
+            });
+        }
+        
         // Sort by priority (higher first)
         return variations.sort((a, b) => b.priority - a.priority);
     }
+
+    // `:hover:focus::before` for { classes: ['hover', 'focus'], element: 'before' }
+    getPseudoSuffix(pseudo) {
+        if (!pseudo) {
+            return '';
+        }
+        const classes = (pseudo.classes || []).map(pseudoClass => `:${pseudoClass}`).join('');
+        return classes + (pseudo.element ? `::${pseudo.element}` : '');
+    }
 }
 
 // Initialize the background processor
@@ -7,6 +7,7 @@ class CSSContentBridge {
         this.observers = [];
         this.debounceTimeout = null;
         this.lastNotificationTime = 0;
+        this.shorthands = []; // Reported in place of their longhands, from the server
         
         console.log('[CONTENT] Initializing content bridge...');
         this.init();
@@ -119,6 +120,7 @@ class CSSContentBridge {
         console.log('[CONTENT] Starting CSS change tracking...');
         
         try {
+            this.loadShorthands();
             this.setupMutationObserver();
             this.setupStylesheetObserver();
             this.setupDevToolsIntegration();
@@ -133,6 +135,16 @@ class CSSContentBridge {
         }
     }
 
+    // Until the server answers, inline styles are reported as longhands
+    async loadShorthands() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_SHORTHANDS' });
+            this.shorthands = (response && response.shorthands) || [];
+        } catch (error) {
+            console.log('[CONTENT] Could not load shorthands:', error.message);
+        }
+    }
+
     stopTracking() {
         if (!this.isActive) {
             console.log('[CONTENT] Not currently tracking');
@@ -237,17 +249,24 @@ class CSSContentBridge {
 
         console.log('[CONTENT] Style change detected on:', element.tagName, element.className);
         
+        // The style before the first mutation of a burst is what the change started from
+        if (mutation.attributeName === 'style' && (!this.burstStart || this.burstStart.element !== element)) {
+            this.burstStart = { element, oldValue: mutation.oldValue };
+        }
+        
         // Debounce rapid changes
         if (this.debounceTimeout) {
             clearTimeout(this.debounceTimeout);
         }
         
         this.debounceTimeout = setTimeout(() => {
-            this.processElementChange(element, mutation);
+            const burstStart = this.burstStart && this.burstStart.element === element ? this.burstStart : null;
+            this.burstStart = null;
+            this.processElementChange(element, mutation, burstStart);
         }, 300); // 300ms debounce
     }
 
-    processElementChange(element, mutation) {
+    processElementChange(element, mutation, burstStart = null) {
         console.log('[CONTENT] Processing element change...');
         
         try {
@@ -256,12 +275,14 @@ class CSSContentBridge {
                 selector: this.generateElementSelector(element),
                 classList: Array.from(element.classList || []),
                 inlineStyles: this.getInlineStyles(element),
+                previousStyles: burstStart ? this.parseStyleAttribute(burstStart.oldValue) : null,
                 computedStyles: this.getRelevantComputedStyles(element),
                 mutationType: mutation.attributeName,
                 oldValue: mutation.oldValue,
                 newValue: mutation.attributeName === 'style' ? 
                     element.getAttribute('style') : 
                     element.getAttribute('class'),
+                mediaContext: getMediaContext(),
                 timestamp: Date.now(),
                 domain: window.location.hostname,
                 url: window.location.href
@@ -333,11 +354,34 @@ class CSSContentBridge {
         return path.join(' > ');
     }
 
+    // Inline styles of a `style` attribute value, in the format of getInlineStyles
+    parseStyleAttribute(styleText) {
+        const probe = document.createElement('div');
+        probe.setAttribute('style', styleText || '');
+        return this.getInlineStyles(probe);
+    }
+
+    // Inline styles as written: a shorthand the browser can serialize stands
+    // in for its longhands, so `margin: 0 auto` isn't reported as four sides
     getInlineStyles(element) {
         const styles = {};
         if (element.style && element.style.length > 0) {
+            const covered = new Set();
+            for (const shorthand of this.shorthands) {
+                const value = element.style.getPropertyValue(shorthand);
+                const longhands = this.getLonghands(shorthand);
+                if (!value || longhands.every(longhand => covered.has(longhand))) continue;
+
+                styles[shorthand] = {
+                    value: value,
+                    priority: element.style.getPropertyPriority(shorthand) || null
+                };
+                longhands.forEach(longhand => covered.add(longhand));
+            }
+
             for (let i = 0; i < element.style.length; i++) {
                 const property = element.style[i];
+                if (covered.has(property)) continue;
                 const value = element.style.getPropertyValue(property);
                 const priority = element.style.getPropertyPriority(property);
                 
@@ -350,6 +394,21 @@ class CSSContentBridge {
         return styles;
     }
 
+    // The longhands a shorthand sets, as the browser expands it
+    getLonghands(property) {
+        if (!this.shorthands.includes(property)) {
+            return [property];
+        }
+
+        this.longhands = this.longhands || new Map();
+        if (!this.longhands.has(property)) {
+            const probe = document.createElement('div');
+            probe.style.setProperty(property, 'initial');
+            this.longhands.set(property, Array.from(probe.style));
+        }
+        return this.longhands.get(property);
+    }
+
     getRelevantComputedStyles(element) {
         const computed = window.getComputedStyle(element);
         
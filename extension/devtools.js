@@ -6,6 +6,9 @@ class CSSChangeDetector {
         this.panelWindow = null;
         this.isAttached = false;
         this.tabId = chrome.devtools.inspectedWindow.tabId;
+        this.ruleSnapshot = null; // Authored rules matching the selected element, by rule
+        this.ruleCheck = Promise.resolve(); // Compares stylesheet edits one at a time
+        this.ownStyleSheetChanges = new Set(); // Sheets this page rewrote, whose next change isn't an edit
         console.log('[DEVTOOLS] Initializing for tab:', this.tabId);
         this.init();
     }
@@ -36,6 +39,32 @@ class CSSChangeDetector {
 
         // Enhanced CSS change detection using Elements panel integration
         this.setupElementsPanelIntegration();
+        this.setupMessageListeners();
+    }
+
+    // Hot reload rewrites sheets through this page, which holds the debugger
+    // session, so the change it causes isn't mistaken for an edit
+    setupMessageListeners() {
+        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+            if (message.type !== 'SET_STYLESHEET_TEXT' || message.data.tabId !== this.tabId || !this.isAttached) {
+                return false;
+            }
+            this.setStyleSheetText(message.data.styleSheetId, message.data.text)
+                .then(success => sendResponse({ success }));
+            return true;
+        });
+    }
+
+    async setStyleSheetText(styleSheetId, text) {
+        this.ownStyleSheetChanges.add(styleSheetId);
+        try {
+            await chrome.debugger.sendCommand({ tabId: this.tabId }, 'CSS.setStyleSheetText', { styleSheetId, text });
+            return true;
+        } catch (error) {
+            console.log('[DEVTOOLS] Could not set stylesheet text:', error.message);
+            this.ownStyleSheetChanges.delete(styleSheetId);
+            return false;
+        }
     }
 
     setupElementsPanelIntegration() {
@@ -104,6 +133,9 @@ class CSSChangeDetector {
             this.isAttached = true;
             console.log('[DEVTOOLS] CSS tracking started successfully');
             
+            // Baseline for edits to the rules of the selected element
+            this.handleElementSelectionChange();
+            
         } catch (error) {
             console.error('[DEVTOOLS] Failed to start CSS tracking:', error);
             this.notifyPanel('TRACKING_ERROR', { error: error.message });
@@ -145,6 +177,9 @@ class CSSChangeDetector {
                 case 'CSS.styleSheetAdded':
                     this.handleStyleSheetAdded(params);
                     break;
+                case 'CSS.styleSheetRemoved':
+                    this.handleStyleSheetRemoved(params);
+                    break;
                 case 'Runtime.consoleAPICalled':
                     this.handleConsoleMessage(params);
                     break;
@@ -154,6 +189,10 @@ class CSSChangeDetector {
 
     async injectTrackingScript() {
         console.log('[DEVTOOLS] Injecting tracking script...');
+
+        // The server's shorthands; without them inline styles are reported as longhands
+        const response = await chrome.runtime.sendMessage({ type: 'GET_SHORTHANDS' }).catch(() => null);
+        const shorthands = (response && response.shorthands) || [];
         
         const trackingScript = `
             (function() {
@@ -174,10 +213,13 @@ class CSSChangeDetector {
                             
                             const changeData = {
                                 type: 'style_change',
+                                elementId: registerElement(element),
                                 selector: generateSelector(element),
                                 classList: Array.from(element.classList || []),
                                 inlineStyles: getInlineStyles(element),
+                                previousStyles: mutation.attributeName === 'style' ? parseStyleAttribute(mutation.oldValue) : null,
                                 computedStyles: getRelevantComputedStyles(element),
+                                mediaContext: getMediaContext(),
                                 timestamp: Date.now(),
                                 mutationType: mutation.attributeName
                             };
@@ -190,6 +232,18 @@ class CSSChangeDetector {
                     });
                 });
                 
+                // Changed elements by id, so DevTools can look up the rules matching them
+                function registerElement(element) {
+                    const elements = window.__cssSyncElements = window.__cssSyncElements || new Map();
+                    const id = (window.__cssSyncNextElementId || 0) + 1;
+                    window.__cssSyncNextElementId = id;
+                    elements.set(id, element);
+                    if (elements.size > 100) {
+                        elements.delete(elements.keys().next().value);
+                    }
+                    return id;
+                }
+                
                 function generateSelector(element) {
                     // Generate a meaningful selector for the element
                     if (element.id) {
@@ -229,17 +283,60 @@ class CSSChangeDetector {
                     return path.join(' > ');
                 }
                 
+                // Shorthands reported in place of their longhands, enclosing ones first
+                const SHORTHANDS = ${JSON.stringify(shorthands)};
+                const longhandCache = new Map();
+                
+                // The longhands a shorthand sets, as the browser expands it
+                function getLonghands(property) {
+                    if (!SHORTHANDS.includes(property)) {
+                        return [property];
+                    }
+                    if (!longhandCache.has(property)) {
+                        const probe = document.createElement('div');
+                        probe.style.setProperty(property, 'initial');
+                        longhandCache.set(property, Array.from(probe.style));
+                    }
+                    return longhandCache.get(property);
+                }
+                
+                // Inline styles as written: a shorthand the browser can serialize
+                // stands in for its longhands
                 function getInlineStyles(element) {
                     const styles = {};
                     if (element.style && element.style.length > 0) {
+                        const covered = new Set();
+                        for (const shorthand of SHORTHANDS) {
+                            const value = element.style.getPropertyValue(shorthand);
+                            const longhands = getLonghands(shorthand);
+                            if (!value || longhands.every(longhand => covered.has(longhand))) continue;
+                            styles[shorthand] = {
+                                value: value,
+                                priority: element.style.getPropertyPriority(shorthand) || null
+                            };
+                            longhands.forEach(longhand => covered.add(longhand));
+                        }
+                        
                         for (let i = 0; i < element.style.length; i++) {
                             const property = element.style[i];
-                            styles[property] = element.style.getPropertyValue(property);
+                            if (covered.has(property)) continue;
+                            styles[property] = {
+                                value: element.style.getPropertyValue(property),
+                                priority: element.style.getPropertyPriority(property) || null
+                            };
                         }
                     }
                     return styles;
                 }
                 
+                function parseStyleAttribute(styleText) {
+                    const probe = document.createElement('div');
+                    probe.setAttribute('style', styleText || '');
+                    return getInlineStyles(probe);
+                }
+                
+                ${getMediaContext.toString()}
+                
                 function getRelevantComputedStyles(element) {
                     const computed = window.getComputedStyle(element);
                     const relevantProps = [
@@ -263,7 +360,8 @@ class CSSChangeDetector {
                 observer.observe(document.body, {
                     attributes: true,
                     attributeFilter: ['style', 'class'],
-                    subtree: true
+                    subtree: true,
+                    attributeOldValue: true
                 });
                 
                 console.log('[CSS_TRACKER] Mutation observer started');
@@ -294,7 +392,7 @@ class CSSChangeDetector {
         }
     }
 
-    handleConsoleMessage(params) {
+    async handleConsoleMessage(params) {
         // Look for our CSS tracker messages
         if (params.type === 'log' && params.args && params.args[0] && 
             typeof params.args[0].value === 'string' && 
@@ -303,19 +401,8 @@ class CSSChangeDetector {
             try {
                 const changeDataStr = params.args[0].value.substring('CSS_TRACKER_CHANGE:'.length);
                 const changeData = JSON.parse(changeDataStr);
-                
-                console.log('[DEVTOOLS] CSS change detected from page:', changeData);
-                
-                // Send to background script
-                chrome.runtime.sendMessage({
-                    type: 'CSS_CHANGE_DETECTED',
-                    data: changeData
-                }, (response) => {
-                    console.log('[DEVTOOLS] Change sent to background:', response);
-                });
-                
-                // Notify panel
-                this.notifyPanel('CSS_CHANGE_DETECTED', changeData);
+                changeData.ruleOrigin = await this.getRuleOrigin(changeData);
+                this.reportChange(changeData);
                 
             } catch (error) {
                 console.error('[DEVTOOLS] Error parsing CSS change data:', error);
@@ -323,6 +410,109 @@ class CSSChangeDetector {
         }
     }
 
+    reportChange(changeData) {
+        console.log('[DEVTOOLS] CSS change detected from page:', changeData);
+
+        // The panel finds the change by id when its sync needs a choice
+        const change = { ...changeData, id: Date.now() + Math.random() };
+        
+        // Send to background script
+        chrome.runtime.sendMessage({
+            type: 'CSS_CHANGE_DETECTED',
+            data: { ...change, tabId: this.tabId }
+        }, (response) => {
+            console.log('[DEVTOOLS] Change sent to background:', response);
+        });
+        
+        // Notify panel
+        this.notifyPanel('CSS_CHANGE_DETECTED', change);
+    }
+
+    // Node id in this debugger session for the element a page expression returns
+    async getNodeId(expression) {
+        const target = { tabId: this.tabId };
+        const { result } = await chrome.debugger.sendCommand(target, 'Runtime.evaluate', { expression });
+        if (!result || !result.objectId) {
+            return null;
+        }
+
+        // DOM.requestNode only works once the document has been requested
+        await chrome.debugger.sendCommand(target, 'DOM.getDocument', { depth: 0 });
+        const { nodeId } = await chrome.debugger.sendCommand(target, 'DOM.requestNode', { objectId: result.objectId });
+        return nodeId;
+    }
+
+    // Asks DevTools which authored rule supplies the changed properties of the
+    // element the tracker registered for this change
+    async getRuleOrigin(changeData) {
+        const properties = Object.keys(changeData.inlineStyles || {});
+        if (!changeData.elementId || properties.length === 0) {
+            return null;
+        }
+
+        try {
+            const nodeId = await this.getNodeId(`window.__cssSyncElements && window.__cssSyncElements.get(${Number(changeData.elementId)})`);
+            if (!nodeId) {
+                return null;
+            }
+            const matched = await this.getMatchedStyles(nodeId);
+
+            return this.selectRuleOrigin(matched.matchedCSSRules || [], properties);
+        } catch (error) {
+            console.log('[DEVTOOLS] Could not look up rule origin:', error.message);
+            return null;
+        }
+    }
+
+    // matchedCSSRules come in cascade order, lowest precedence first. Each
+    // property is supplied by the last authored rule declaring it, unless an
+    // earlier one marks it !important. The rule supplying most of the changed
+    // properties is the one to edit; if none declares them, the winning rule
+    // gets the new declarations.
+    selectRuleOrigin(matchedRules, properties) {
+        const authored = matchedRules.filter(({ rule }) =>
+            rule.origin === 'regular' && rule.styleSheetId && rule.selectorList.selectors.length > 0 &&
+            rule.selectorList.selectors[0].range);
+        if (authored.length === 0) {
+            return null;
+        }
+
+        const supplied = new Map(); // rule match -> properties it supplies
+        for (const property of properties) {
+            let supplier = null;
+            for (const match of authored) {
+                const declarations = match.rule.style.cssProperties.filter(declaration =>
+                    declaration.name === property && declaration.range && !declaration.disabled && declaration.parsedOk !== false);
+                const declaration = declarations[declarations.length - 1];
+                if (declaration && (!supplier || declaration.important || !supplier.important)) {
+                    supplier = { match, important: !!declaration.important };
+                }
+            }
+            if (supplier) {
+                supplied.set(supplier.match, [...(supplied.get(supplier.match) || []), property]);
+            }
+        }
+
+        let best = authored[authored.length - 1];
+        let bestCount = 0;
+        authored.forEach((match) => {
+            const count = (supplied.get(match) || []).length;
+            if (count > 0 && count >= bestCount) {
+                best = match;
+                bestCount = count;
+            }
+        });
+
+        const { rule } = best;
+        return {
+            styleSheetId: rule.styleSheetId,
+            selector: rule.selectorList.text,
+            selectorRange: rule.selectorList.selectors[0].range,
+            media: (rule.media || []).map(media => media.text),
+            properties: supplied.get(best) || []
+        };
+    }
+
     async handleStyleSheetChanged(params) {
         console.log('[DEVTOOLS] StyleSheet changed:', params);
         
@@ -343,14 +533,190 @@ class CSSChangeDetector {
                 timestamp: Date.now()
             });
             
+            // The new text of a reloaded sheet is the file's; the rules are
+            // only read again
+            if (this.ownStyleSheetChanges.delete(params.styleSheetId)) {
+                this.ruleCheck = this.ruleCheck.then(() => this.snapshotRules());
+            } else {
+                this.ruleCheck = this.ruleCheck.then(() => this.detectRuleChanges(params.styleSheetId));
+            }
+            
         } catch (error) {
             console.error('[DEVTOOLS] Error handling stylesheet change:', error);
         }
     }
 
+    // Matched styles as the element is shown: rules for the states DevTools
+    // forced apply, the others don't and aren't tracked until it forces them
+    async getMatchedStyles(nodeId) {
+        return chrome.debugger.sendCommand({ tabId: this.tabId }, 'CSS.getMatchedStylesForNode', { nodeId });
+    }
+
+    // Authored rules matching the element or one of its pseudo-elements,
+    // keyed by stylesheet, selector and media, with the declarations in their
+    // text. Unchecked declarations are null. One whose value is still being
+    // typed doesn't parse; it isn't synced, but it hasn't been removed either.
+    collectRules(matched) {
+        const rules = new Map();
+        const add = (match, element) => {
+            const { rule } = match;
+            const selector = rule.selectorList.selectors[match.matchingSelectors[0]];
+            if (rule.origin !== 'regular' || !rule.styleSheetId || !selector || !selector.range) {
+                return;
+            }
+
+            const declarations = {};
+            rule.style.cssProperties.forEach((declaration) => {
+                if (declaration.range) {
+                    declarations[declaration.name] = declaration.disabled ? null : {
+                        value: declaration.value,
+                        important: !!declaration.important,
+                        parsed: declaration.parsedOk !== false
+                    };
+                }
+            });
+            const media = (rule.media || []).map(media => media.text);
+            const { classes } = getPseudoParts(selector.text);
+            rules.set(`${rule.styleSheetId}|${rule.selectorList.text}|${media.join(',')}`, {
+                styleSheetId: rule.styleSheetId,
+                selector: selector.text,
+                pseudo: classes.length > 0 || element ? { classes, element } : null,
+                origin: { styleSheetId: rule.styleSheetId, selector: rule.selectorList.text, selectorRange: selector.range, media },
+                declarations
+            });
+        };
+
+        (matched.matchedCSSRules || []).forEach(match => add(match, null));
+        (matched.pseudoElements || []).forEach(({ pseudoType, matches }) => {
+            matches.forEach(match => add(match, pseudoType));
+        });
+        return rules;
+    }
+
+    // Remembers the rules matching the selected element, to tell later what
+    // an edit to one of them changed
+    async snapshotRules() {
+        if (!this.isAttached) {
+            return;
+        }
+
+        try {
+            const nodeId = await this.getNodeId('window.__cssSyncSelected');
+            this.ruleSnapshot = nodeId ? this.collectRules(await this.getMatchedStyles(nodeId)) : null;
+        } catch (error) {
+            console.log('[DEVTOOLS] Could not read matched rules:', error.message);
+            this.ruleSnapshot = null;
+        }
+    }
+
+    // Editing a rule in the Styles pane changes the stylesheet, not the
+    // element, so the mutation observer never sees it. The rules of the edited
+    // sheet are compared with the snapshot instead, and each changed one is
+    // reported with its own selector as the origin. A :hover or ::before rule
+    // can't be edited through the element's inline style, so all of its
+    // changes are synced; other rules only sync declarations removed from
+    // them, as their values are set from the inline style.
+    async detectRuleChanges(styleSheetId) {
+        const previous = this.ruleSnapshot;
+        if (!previous) {
+            return;
+        }
+
+        let current;
+        let element;
+        try {
+            const nodeId = await this.getNodeId('window.__cssSyncSelected');
+            if (!nodeId) {
+                return;
+            }
+            current = this.collectRules(await this.getMatchedStyles(nodeId));
+            const { result } = await chrome.debugger.sendCommand({ tabId: this.tabId }, 'Runtime.evaluate', {
+                expression: '({ classList: Array.from(window.__cssSyncSelected.classList) })',
+                returnByValue: true
+            });
+            element = result.value;
+        } catch (error) {
+            console.log('[DEVTOOLS] Could not compare matched rules:', error.message);
+            return;
+        }
+        this.ruleSnapshot = current;
+
+        for (const [key, rule] of current) {
+            const before = previous.get(key);
+            if (rule.styleSheetId !== styleSheetId || !before) {
+                continue;
+            }
+
+            const changes = this.diffDeclarations(before.declarations, rule.declarations, { removalsOnly: !rule.pseudo });
+            if (Object.keys(changes).length === 0) {
+                continue;
+            }
+            this.reportChange({
+                type: rule.pseudo ? 'pseudo_change' : 'rule_change',
+                selector: rule.selector,
+                classList: element.classList,
+                pseudo: rule.pseudo,
+                changes,
+                ruleOrigin: { ...rule.origin, properties: Object.keys(changes) },
+                timestamp: Date.now()
+            });
+        }
+    }
+
+    // Changes from one set of declarations to another, in the server's format.
+    // Only a declaration the rule had and no longer applies is removed.
+    diffDeclarations(before, after, { removalsOnly = false } = {}) {
+        const isActive = declaration => !!declaration && declaration.parsed;
+        const changes = {};
+
+        for (const [property, declaration] of Object.entries(after)) {
+            const previous = isActive(before[property]) ? before[property] : null;
+            if (removalsOnly || !isActive(declaration) ||
+                (previous && previous.value === declaration.value && previous.important === declaration.important)) {
+                continue;
+            }
+            const change = { to: declaration.value };
+            if (previous) {
+                change.from = previous.value;
+            }
+            if (previous ? previous.important !== declaration.important : declaration.important) {
+                change.important = declaration.important;
+            }
+            changes[property] = change;
+        }
+        for (const [property, declaration] of Object.entries(before)) {
+            if (isActive(declaration) && !after[property]) {
+                changes[property] = { remove: true, from: declaration.value };
+            }
+        }
+        return changes;
+    }
+
     handleStyleSheetAdded(params) {
         console.log('[DEVTOOLS] StyleSheet added:', params);
         this.notifyPanel('STYLESHEET_ADDED', params);
+        
+        // Let the background attach stylesheet URLs and source maps to changes from this tab
+        const header = params.header || {};
+        if (header.origin === 'regular' && header.sourceURL) {
+            chrome.runtime.sendMessage({
+                type: 'STYLESHEET_ADDED',
+                data: {
+                    tabId: this.tabId,
+                    styleSheetId: header.styleSheetId,
+                    sourceURL: header.sourceURL,
+                    sourceMapURL: header.sourceMapURL || null
+                }
+            });
+        }
+    }
+
+    handleStyleSheetRemoved(params) {
+        // Hot reload swaps <link> elements, which removes the old sheet
+        chrome.runtime.sendMessage({
+            type: 'STYLESHEET_REMOVED',
+            data: { tabId: this.tabId, styleSheetId: params.styleSheetId }
+        });
     }
 
     handleElementSelectionChange() {
@@ -359,6 +725,8 @@ class CSSChangeDetector {
             `
             (() => {
                 const element = $0; // Chrome DevTools selected element
+                // Kept for the debugger session, which has no $0
+                window.__cssSyncSelected = element;
                 if (!element) return null;
                 
                 return {
@@ -385,6 +753,7 @@ class CSSChangeDetector {
                     console.log('[DEVTOOLS] Selected element:', result);
                     this.notifyPanel('ELEMENT_SELECTED', result);
                 }
+                this.ruleCheck = this.ruleCheck.then(() => this.snapshotRules());
             }
         );
     }
@@ -0,0 +1,20 @@
+// Media Context - What media queries see when a change is made
+//
+// Loaded as a content script, and injected into the page by the DevTools
+// tracker from its source, so changes from both carry the same fields. The
+// server uses them to find the @media block the change belongs in.
+
+// Includes DevTools device emulation
+function getMediaContext() {
+    const matches = (query) => window.matchMedia(query).matches;
+    return {
+        width: window.innerWidth,
+        height: window.innerHeight,
+        devicePixelRatio: window.devicePixelRatio,
+        colorScheme: matches('(prefers-color-scheme: dark)') ? 'dark' : 'light',
+        reducedMotion: matches('(prefers-reduced-motion: reduce)') ? 'reduce' : 'no-preference',
+        pointer: matches('(pointer: coarse)') ? 'coarse' : (matches('(pointer: fine)') ? 'fine' : 'none'),
+        hover: matches('(hover: hover)') ? 'hover' : 'none',
+        mobile: navigator.userAgentData ? navigator.userAgentData.mobile : /Mobi/.test(navigator.userAgent)
+    };
+}
@@ -8,6 +8,9 @@ class CSSDevToolsPanel {
         this.selectedChanges = new Set();
         this.currentDomain = '';
         this.serverConnected = false;
+        this.liveUpdates = false; // Server event stream open in the background
+        this.lastStatusCheck = 0;
+        this.ruleChoices = new Map(); // Change selector -> rule picked for it this session
         
         // UI Elements
         this.initializeUIElements();
@@ -27,7 +30,7 @@ class CSSDevToolsPanel {
         // Get all UI elements with error checking
         const elements = [
             'sync-status', 'css-path', 'detection-mode', 'current-domain',
-            'save-config-btn', 'start-btn', 'stop-btn', 'clear-btn',
+            'save-config-btn', 'hot-reload', 'pairing-token', 'pair-btn', 'rotate-token-btn', 'revoke-token-btn', 'start-btn', 'stop-btn', 'clear-btn',
             'changes-list', 'changes-count', 'bulk-actions', 'selected-count',
             'select-all-btn', 'apply-selected-btn', 'remove-selected-btn', 'log'
         ];
@@ -51,6 +54,7 @@ class CSSDevToolsPanel {
             await this.getCurrentDomain();
             this.setupEventListeners();
             this.setupMessageListeners();
+            this.connectToBackground();
             
             // Initial server status check
             await this.checkServerStatus();
@@ -72,7 +76,7 @@ class CSSDevToolsPanel {
         console.log('[PANEL] Loading settings...');
         
         return new Promise((resolve) => {
-            chrome.storage.local.get(['cssPath', 'detectionMode'], (result) => {
+            chrome.storage.local.get(['cssPath', 'detectionMode', 'hotReload'], (result) => {
                 console.log('[PANEL] Settings loaded:', result);
                 
                 if (this.csspathEl && result.cssPath) {
@@ -81,6 +85,9 @@ class CSSDevToolsPanel {
                 if (this.detectionmodeEl && result.detectionMode) {
                     this.detectionmodeEl.value = result.detectionMode;
                 }
+                if (this.hotReloadEl) {
+                    this.hotReloadEl.checked = result.hotReload !== false;
+                }
                 
                 resolve(result);
             });
@@ -115,6 +122,21 @@ class CSSDevToolsPanel {
             this.saveConfigBtnEl.addEventListener('click', () => this.saveConfiguration());
         }
         
+        if (this.hotReloadEl) {
+            this.hotReloadEl.addEventListener('change', () => this.setHotReload(this.hotReloadEl.checked));
+        }
+        
+        // Pairing
+        if (this.pairBtnEl) {
+            this.pairBtnEl.addEventListener('click', () => this.pairWithServer());
+        }
+        if (this.rotateTokenBtnEl) {
+            this.rotateTokenBtnEl.addEventListener('click', () => this.rotatePairingToken());
+        }
+        if (this.revokeTokenBtnEl) {
+            this.revokeTokenBtnEl.addEventListener('click', () => this.revokePairingToken());
+        }
+        
         // Tracking controls
         if (this.startBtnEl) {
             this.startBtnEl.addEventListener('click', () => this.startTracking());
@@ -165,10 +187,60 @@ class CSSDevToolsPanel {
         });
     }
 
+    // Port to the background script, which forwards server events for this tab
+    connectToBackground() {
+        const port = chrome.runtime.connect({ name: 'css-sync-panel' });
+        port.postMessage({ type: 'SUBSCRIBE', data: { tabId: chrome.devtools.inspectedWindow.tabId } });
+
+        port.onMessage.addListener((message) => {
+            if (message.type === 'SERVER_EVENT') {
+                this.handleServerEvent(message.data);
+            } else if (message.type === 'EVENT_STREAM_STATUS') {
+                this.liveUpdates = message.data.connected;
+            } else if (message.type === 'STYLESHEETS_RELOADED') {
+                this.log(`Hot reloaded ${message.data.count} stylesheet(s) from ${message.data.file.split(/[\\/]/).pop()}`, 'success');
+            } else if (message.type === 'CSS_SYNC_UNRESOLVED') {
+                this.handleUnresolvedSync(message.data);
+            }
+        });
+
+        // The service worker may be restarted; subscribe again
+        port.onDisconnect.addListener(() => {
+            this.liveUpdates = false;
+            setTimeout(() => this.connectToBackground(), 1000);
+        });
+    }
+
+    handleServerEvent(event) {
+        const fileName = event.file ? event.file.split(/[\\/]/).pop() : '';
+
+        switch (event.type) {
+            case 'file-changed':
+                this.log(`File ${event.reason}: ${fileName}`, 'info');
+                // Previews were computed against the old file content
+                if (this.detectedChanges.some(change => change.preview)) {
+                    this.detectedChanges.forEach(change => { change.preview = null; });
+                    this.renderChanges();
+                }
+                break;
+            case 'change-applied':
+                this.log(`Server ${event.action === 'undo' ? 'undid' : event.action === 'redo' ? 'redid' : 'wrote'} ${event.selector || 'change'} in ${fileName}`, 'info');
+                break;
+            case 'conflict':
+                this.log(`Conflict on ${event.selector || 'change'} in ${fileName}`, 'warning');
+                break;
+            case 'config-updated':
+                this.log(`Server configuration updated: ${event.projectPath}`, 'info');
+                this.checkServerStatus();
+                break;
+        }
+    }
+
     setupPeriodicChecks() {
-        // Check server status every 5 seconds
+        // Check server status every 5 seconds, or every 30 while the live event
+        // stream reports changes as they happen
         setInterval(() => {
-            if (this.state.isInitialized) {
+            if (this.state.isInitialized && (!this.liveUpdates || Date.now() - this.lastStatusCheck > 30000)) {
                 this.checkServerStatus();
             }
         }, 5000);
@@ -181,6 +253,7 @@ class CSSDevToolsPanel {
 
     async checkServerStatus() {
         console.log('[PANEL] Checking server status...');
+        this.lastStatusCheck = Date.now();
         
         try {
             const response = await this.sendMessage('GET_SERVER_STATUS', { domain: this.currentDomain });
@@ -295,6 +368,71 @@ class CSSDevToolsPanel {
         }
     }
 
+    async setHotReload(enabled) {
+        try {
+            await this.sendMessage('SET_HOT_RELOAD', { enabled });
+            this.log(`Hot reload ${enabled ? 'enabled' : 'disabled'}`, 'info');
+        } catch (error) {
+            this.log(`Could not change hot reload: ${error.message}`, 'error');
+        }
+    }
+
+    async pairWithServer() {
+        const token = this.pairingTokenEl ? this.pairingTokenEl.value.trim() : '';
+        if (!token) {
+            alert('Please paste the pairing token printed by the server');
+            return;
+        }
+
+        try {
+            const response = await this.sendMessage('SET_PAIRING_TOKEN', { token, domain: this.currentDomain });
+            this.pairingTokenEl.value = '';
+            
+            if (response && response.connected) {
+                this.log('Paired with server', 'success');
+            } else {
+                this.log(`Pairing failed: ${response?.error || 'server not reachable'}`, 'error');
+            }
+            await this.checkServerStatus();
+        } catch (error) {
+            console.error('[PANEL] Pairing error:', error);
+            this.log(`Pairing error: ${error.message}`, 'error');
+        }
+    }
+
+    async rotatePairingToken() {
+        try {
+            const response = await this.sendMessage('ROTATE_PAIRING_TOKEN');
+            if (response && response.success) {
+                this.log('Pairing token rotated; other paired clients must pair again', 'success');
+            } else {
+                this.log(`Could not rotate token: ${response?.error}`, 'error');
+            }
+        } catch (error) {
+            console.error('[PANEL] Rotate token error:', error);
+            this.log(`Rotate token error: ${error.message}`, 'error');
+        }
+    }
+
+    async revokePairingToken() {
+        if (!confirm('Revoke the pairing token? Every client, including this one, will need the new token from the server terminal.')) {
+            return;
+        }
+
+        try {
+            const response = await this.sendMessage('REVOKE_PAIRING_TOKEN');
+            if (response && response.success) {
+                this.log('Pairing token revoked; paste the new token from the server terminal to pair again', 'info');
+            } else {
+                this.log(`Could not revoke token: ${response?.error}`, 'error');
+            }
+            await this.checkServerStatus();
+        } catch (error) {
+            console.error('[PANEL] Revoke token error:', error);
+            this.log(`Revoke token error: ${error.message}`, 'error');
+        }
+    }
+
     startTracking() {
         console.log('[PANEL] Starting tracking...');
         
@@ -339,6 +477,21 @@ class CSSDevToolsPanel {
     handleCSSChangeDetected(changeData) {
         console.log('[PANEL] CSS change detected:', changeData);
         
+        // Clearing an inline override undoes the edit that added it; the source
+        // keeps its declaration
+        const inlineStyles = changeData.inlineStyles || {};
+        const previousStyles = changeData.previousStyles || {};
+        const cleared = Object.keys(previousStyles).filter(property => !inlineStyles[property]);
+        if (cleared.length > 0) {
+            this.dropPendingEdits(changeData.selector, cleared);
+            const unchanged = Object.keys(inlineStyles).every(property => previousStyles[property] &&
+                this.formatInlineStyle(inlineStyles[property]) === this.formatInlineStyle(previousStyles[property]));
+            if (unchanged) {
+                this.renderChanges();
+                return;
+            }
+        }
+        
         const change = {
             id: Date.now() + Math.random(),
             ...changeData,
@@ -351,6 +504,45 @@ class CSSDevToolsPanel {
         this.log(`CSS change detected: ${change.selector}`, 'success');
     }
 
+    // Takes cleared properties out of the element's changes that weren't
+    // applied yet, and drops the changes left with nothing to apply
+    dropPendingEdits(selector, properties) {
+        this.detectedChanges = this.detectedChanges.filter((change) => {
+            if (change.applied || change.selector !== selector || !change.inlineStyles) {
+                return true;
+            }
+
+            const inlineStyles = { ...change.inlineStyles };
+            properties.forEach(property => delete inlineStyles[property]);
+            change.inlineStyles = inlineStyles;
+            if (Object.keys(inlineStyles).length > 0) {
+                return true;
+            }
+            this.selectedChanges.delete(change.id);
+            return false;
+        });
+        this.log(`Dropped pending edits of ${properties.join(', ')} on ${selector}`, 'info');
+    }
+
+    // An automatic sync the server couldn't finish: shows the conflict or the
+    // candidate rules on the change, as applying it from the panel would
+    handleUnresolvedSync({ changeId, result }) {
+        const change = this.detectedChanges.find(c => c.id == changeId);
+        if (!change) {
+            this.log(`Not synced: ${result.error}`, 'warning');
+            return;
+        }
+
+        if (result.ambiguous) {
+            change.candidates = { ...result, action: 'apply' };
+            this.log(`${change.selector}: ${result.error}`, 'warning');
+        } else {
+            change.conflict = result;
+            this.log(`Conflict: ${change.selector} - ${result.error}. Force apply or skip it.`, 'warning');
+        }
+        this.renderChanges();
+    }
+
     handleStylesheetChanged(data) {
         console.log('[PANEL] Stylesheet changed:', data);
         this.log(`Stylesheet ${data.styleSheetId} was modified`, 'info');
@@ -399,33 +591,57 @@ class CSSDevToolsPanel {
         this.setupChangeItemListeners();
     }
 
+    formatInlineStyle(style) {
+        if (typeof style === 'string') {
+            return style;
+        }
+        return style.priority === 'important' ? `${style.value} !important` : style.value;
+    }
+
+    formatChangeValue(value) {
+        if (typeof value !== 'object') {
+            return value;
+        }
+        return value.important ? `${value.to} !important` : value.to;
+    }
+
+    renderRemovedProperty(prop, value) {
+        return `
+            <div class="change-property">
+                <span class="property-name">${this.escapeHtml(prop)}:</span>
+                <span class="property-value old">${this.escapeHtml(value || 'removed')}</span>
+            </div>`;
+    }
+
     renderChangeItem(change) {
         const isSelected = this.selectedChanges.has(change.id);
         
         let changesText = '';
         if (change.inlineStyles && Object.keys(change.inlineStyles).length > 0) {
             changesText = Object.entries(change.inlineStyles)
-                .map(([prop, value]) => `
+                .map(([prop, style]) => `
                     <div class="change-property">
-                        <span class="property-name">${prop}:</span>
-                        <span class="property-value new">${value}</span>
+                        <span class="property-name">${this.escapeHtml(prop)}:</span>
+                        <span class="property-value new">${this.escapeHtml(this.formatInlineStyle(style))}</span>
                     </div>
                 `).join('');
         } else if (change.changes) {
             changesText = Object.entries(change.changes)
                 .map(([prop, value]) => {
-                    if (typeof value === 'object' && value.from && value.to) {
+                    if (value === null || (typeof value === 'object' && value.remove)) {
+                        return this.renderRemovedProperty(prop, value && value.from);
+                    } else if (typeof value === 'object' && value.from && value.to) {
                         return `
                             <div class="change-property">
-                                <span class="property-name">${prop}:</span>
-                                <span class="property-value old">${value.from}</span> → 
-                                <span class="property-value new">${value.to}</span>
+                                <span class="property-name">${this.escapeHtml(prop)}:</span>
+                                <span class="property-value old">${this.escapeHtml(value.from)}</span> → 
+                                <span class="property-value new">${this.escapeHtml(this.formatChangeValue(value))}</span>
                             </div>`;
                     } else {
                         return `
                             <div class="change-property">
-                                <span class="property-name">${prop}:</span>
-                                <span class="property-value new">${value}</span>
+                                <span class="property-name">${this.escapeHtml(prop)}:</span>
+                                <span class="property-value new">${this.escapeHtml(this.formatChangeValue(value))}</span>
                             </div>`;
                     }
                 }).join('');
@@ -435,14 +651,22 @@ class CSSDevToolsPanel {
             <div class="change-item ${isSelected ? 'selected' : ''}" data-change-id="${change.id}">
                 <input type="checkbox" class="checkbox change-checkbox" ${isSelected ? 'checked' : ''}>
                 <div class="change-details">
-                    <div class="change-selector">${change.selector || 'Unknown selector'}</div>
+                    <div class="change-selector">${this.escapeHtml(change.selector || 'Unknown selector')}</div>
                     ${changesText}
                     <div style="font-size: 10px; color: #999; margin-top: 4px;">
-                        ${change.timestamp.toLocaleTimeString()} • ${change.type || 'style_change'}
+                        ${change.timestamp.toLocaleTimeString()} • ${this.escapeHtml(change.type || 'style_change')}
+                        ${change.mediaContext ? ` • ${this.escapeHtml(`${change.mediaContext.width}px ${change.mediaContext.colorScheme}`)}` : ''}
                         ${change.applied ? ' • <span style="color: #28a745;">Applied</span>' : ''}
+                        ${change.skipped ? ' • <span style="color: #999;">Skipped</span>' : ''}
                     </div>
+                    ${change.conflict && !change.applied ? this.renderConflict(change.conflict) : ''}
+                    ${change.candidates && !change.applied ? this.renderCandidates(change.candidates) : ''}
+                    ${change.preview && !change.applied ? this.renderPreview(change.preview) : ''}
+                    ${change.preview && !change.applied ? this.renderVariableWarnings(change.preview.warnings) : ''}
+                    ${change.preview && !change.applied ? this.renderTokenSuggestions(change.preview) : ''}
                 </div>
                 <div class="change-actions">
+                    <button class="btn btn-mini preview-single-btn" ${change.applied ? 'disabled' : ''}>Preview</button>
                     <button class="btn btn-mini success apply-single-btn" ${change.applied ? 'disabled' : ''}>
                         ${change.applied ? 'Applied' : 'Apply'}
                     </button>
@@ -451,6 +675,124 @@ class CSSDevToolsPanel {
             </div>`;
     }
 
+    renderConflict(conflict) {
+        const details = (conflict.conflicts || []).map(item => `
+            <div>
+                <span class="property-name">${this.escapeHtml(item.property)}:</span>
+                file has <code>${this.escapeHtml(item.current)}</code>, page had <code>${this.escapeHtml(item.expected)}</code>
+                (${this.escapeHtml(conflict.file)}:${item.line}:${item.column})
+            </div>`).join('');
+
+        return `
+            <div class="change-conflict">
+                <div>${this.escapeHtml(conflict.selector || '')} changed in the file since the page loaded</div>
+                ${details}
+                <div class="conflict-actions">
+                    <button class="btn btn-mini danger force-apply-btn">Force Apply</button>
+                    <button class="btn btn-mini skip-change-btn">Skip</button>
+                </div>
+            </div>`;
+    }
+
+    renderCandidates(result) {
+        const options = result.candidates.map((candidate, index) => `
+            <div class="candidate">
+                <button class="btn btn-mini choose-rule-btn" data-choice="${index}">Use</button>
+                <span>
+                    <code>${this.escapeHtml(candidate.resolvedSelector)}</code>
+                    ${this.escapeHtml(candidate.file)}:${candidate.line}${candidate.media ? ` • @media ${this.escapeHtml(candidate.media)}` : ''}
+                </span>
+                <span class="candidate-score">score ${candidate.score} (${this.escapeHtml(this.describeScore(candidate.breakdown))})</span>
+            </div>`).join('');
+
+        return `
+            <div class="change-candidates">
+                <div>${this.escapeHtml(result.error)}</div>
+                ${options}
+                <div class="conflict-actions">
+                    <button class="btn btn-mini choose-rule-btn" data-choice="create">New Rule</button>
+                </div>
+            </div>`;
+    }
+
+    describeScore(breakdown) {
+        if (breakdown.exact) {
+            return `exact selector +${breakdown.exact}${breakdown.media ? `, media +${breakdown.media}` : ''}`;
+        }
+        return [
+            breakdown.classes && `classes +${breakdown.classes}`,
+            breakdown.tokens && `selector parts +${breakdown.tokens}`,
+            breakdown.penalty && `too generic ${breakdown.penalty}`,
+            breakdown.media && `media +${breakdown.media}`
+        ].filter(Boolean).join(', ');
+    }
+
+    renderPreview(preview) {
+        const target = preview.created
+            ? `New rule in ${preview.file}`
+            : `${preview.file}:${preview.line} ${preview.selector} (score ${preview.score})`;
+        const diffLines = (preview.diff || '').split('\n').filter(line => line && !/^(---|\+\+\+) /.test(line))
+            .map(line => {
+                const type = line.startsWith('@@') ? 'hunk' : line[0] === '+' ? 'added' : line[0] === '-' ? 'removed' : '';
+                return `<div class="diff-line ${type}">${this.escapeHtml(line)}</div>`;
+            }).join('');
+
+        const definitions = (preview.definitions || []).map(definition => `
+            <div>Sets <code>${this.escapeHtml(definition.variable)}: ${this.escapeHtml(definition.value)}</code>
+                in ${this.escapeHtml(definition.selector)} (${this.escapeHtml(definition.file)}:${definition.line})</div>`).join('');
+
+        return `
+            <div class="change-preview">
+                <div>${this.escapeHtml(target)}${preview.media ? ` • @media ${this.escapeHtml(preview.media)}` : ''}</div>
+                ${definitions}
+                <pre class="change-diff">${diffLines || 'No changes to the file'}</pre>
+            </div>`;
+    }
+
+    // Values that replace a var() with a literal, with the two ways to keep a variable
+    renderVariableWarnings(warnings) {
+        if (!warnings || warnings.length === 0) {
+            return '';
+        }
+
+        const items = warnings.map(warning => `
+            <div class="variable-warning">
+                <div>${this.escapeHtml(warning.message)}</div>
+                <div class="conflict-actions">
+                    ${warning.variable ? `<button class="btn btn-mini variable-action-btn" data-property="${this.escapeHtml(warning.property)}" data-action="definition">Update ${this.escapeHtml(warning.variable)}</button>` : ''}
+                    ${warning.matches.length > 0 ? `<button class="btn btn-mini variable-action-btn" data-property="${this.escapeHtml(warning.property)}" data-action="reference">Use var(${this.escapeHtml(warning.matches[0])})</button>` : ''}
+                </div>
+            </div>`).join('');
+
+        return `<div class="change-variables">${items}</div>`;
+    }
+
+    // Design tokens near the new values, and values that are off every scale
+    renderTokenSuggestions(preview) {
+        const suggestions = preview.tokens || [];
+        const offScale = preview.offScale || [];
+        if (suggestions.length === 0 && offScale.length === 0) {
+            return '';
+        }
+
+        const items = suggestions.map(suggestion => `
+            <div class="token-suggestion">
+                <div>${this.escapeHtml(suggestion.property)}: ${this.escapeHtml(suggestion.value)}
+                    ${suggestion.exact ? 'matches' : 'is close to'} ${this.escapeHtml(suggestion.tokens.join(', '))}</div>
+                <div class="conflict-actions">
+                    ${suggestion.reference ? `<button class="btn btn-mini token-action-btn" data-property="${this.escapeHtml(suggestion.property)}" data-action="token">Use ${this.escapeHtml(suggestion.reference)}</button>` : ''}
+                    ${suggestion.exact ? '' : `<button class="btn btn-mini token-action-btn" data-property="${this.escapeHtml(suggestion.property)}" data-action="scale">Use ${this.escapeHtml(suggestion.scaleValue)}</button>`}
+                </div>
+            </div>`).join('');
+        const warnings = offScale.map(item => `<div class="off-scale">${this.escapeHtml(item.message)}</div>`).join('');
+
+        return `<div class="change-tokens">${items}${warnings}</div>`;
+    }
+
+    escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
     setupChangeItemListeners() {
         document.querySelectorAll('.change-checkbox').forEach(checkbox => {
             checkbox.addEventListener('change', (e) => {
@@ -465,6 +807,13 @@ class CSSDevToolsPanel {
             });
         });
 
+        document.querySelectorAll('.preview-single-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const changeId = e.target.closest('.change-item').dataset.changeId;
+                this.previewSingleChange(changeId);
+            });
+        });
+
         document.querySelectorAll('.apply-single-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 const changeId = e.target.closest('.change-item').dataset.changeId;
@@ -472,6 +821,41 @@ class CSSDevToolsPanel {
             });
         });
 
+        document.querySelectorAll('.force-apply-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const changeId = e.target.closest('.change-item').dataset.changeId;
+                this.forceApplyChange(changeId);
+            });
+        });
+
+        document.querySelectorAll('.choose-rule-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const changeId = e.target.closest('.change-item').dataset.changeId;
+                this.chooseRule(changeId, e.target.dataset.choice);
+            });
+        });
+
+        document.querySelectorAll('.variable-action-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const changeId = e.target.closest('.change-item').dataset.changeId;
+                this.setVariableAction(changeId, e.target.dataset.property, e.target.dataset.action);
+            });
+        });
+
+        document.querySelectorAll('.token-action-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const changeId = e.target.closest('.change-item').dataset.changeId;
+                this.setTokenAction(changeId, e.target.dataset.property, e.target.dataset.action);
+            });
+        });
+
+        document.querySelectorAll('.skip-change-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const changeId = e.target.closest('.change-item').dataset.changeId;
+                this.skipChange(changeId);
+            });
+        });
+
         document.querySelectorAll('.remove-single-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 const changeId = e.target.closest('.change-item').dataset.changeId;
@@ -510,6 +894,45 @@ class CSSDevToolsPanel {
         this.renderChanges();
     }
 
+    // Dry run on the server: shows the target file, rule and diff without writing
+    async previewSingleChange(changeId) {
+        const change = this.detectedChanges.find(c => c.id == changeId);
+        if (!change) return;
+
+        try {
+            const response = await this.sendMessage('PREVIEW_CSS_CHANGE', {
+                ...change,
+                targetRule: this.ruleChoices.get(change.selector),
+                tabId: chrome.devtools.inspectedWindow.tabId
+            });
+
+            if (response && response.staleChoice) {
+                this.forgetRuleChoice(change, response);
+                return this.previewSingleChange(changeId);
+            }
+
+            if (response && response.success) {
+                change.preview = response;
+                change.conflict = null;
+                change.candidates = null;
+                this.log(`Preview: ${change.selector} → ${response.file}`, 'info');
+            } else if (response && response.ambiguous) {
+                change.candidates = { ...response, action: 'preview' };
+                this.log(`${change.selector}: ${response.error}`, 'warning');
+            } else if (response && response.conflict) {
+                change.conflict = response;
+                this.log(`Conflict: ${change.selector} - ${response.error}`, 'warning');
+            } else {
+                this.log(`Failed to preview: ${change.selector} - ${response?.error}`, 'error');
+            }
+        } catch (error) {
+            console.error('[PANEL] Error previewing change:', error);
+            this.log(`Error previewing ${change.selector}: ${error.message}`, 'error');
+        }
+
+        this.renderChanges();
+    }
+
     async applySingleChange(changeId) {
         const change = this.detectedChanges.find(c => c.id == changeId);
         if (!change) return;
@@ -517,6 +940,75 @@ class CSSDevToolsPanel {
         await this.applyChangesToFiles([change]);
     }
 
+    // Applies a conflicting change anyway, overwriting the value now in the file
+    async forceApplyChange(changeId) {
+        const change = this.detectedChanges.find(c => c.id == changeId);
+        if (!change) return;
+
+        await this.applyChangesToFiles([change], { force: true });
+    }
+
+    // Remembers the picked rule for every change to the same selector this
+    // session, then retries the preview or apply that asked for it
+    async chooseRule(changeId, choice) {
+        const change = this.detectedChanges.find(c => c.id == changeId);
+        if (!change || !change.candidates) return;
+
+        const { action, candidates } = change.candidates;
+        const candidate = candidates[choice];
+        const targetRule = candidate
+            ? { file: candidate.fullPath, line: candidate.line, selector: candidate.resolvedSelector }
+            : { create: true };
+
+        this.ruleChoices.set(change.selector, targetRule);
+        change.candidates = null;
+        this.log(`${change.selector} → ${candidate ? `${candidate.resolvedSelector} (${candidate.file}:${candidate.line})` : 'new rule'} for this session`, 'info');
+
+        if (action === 'preview') {
+            await this.previewSingleChange(changeId);
+        } else {
+            await this.applyChangesToFiles([change]);
+        }
+    }
+
+    // 'definition' edits the variable the property references, 'reference'
+    // writes a matching variable instead of the literal. Previews again to
+    // show the result.
+    async setVariableAction(changeId, property, action) {
+        const change = this.detectedChanges.find(c => c.id == changeId);
+        if (!change) return;
+
+        change.variableActions = { ...change.variableActions, [property]: action };
+        this.log(`${change.selector}: ${property} will ${action === 'definition' ? 'update the variable it uses' : 'use a variable'}`, 'info');
+        await this.previewSingleChange(changeId);
+    }
+
+    // 'token' writes the design token's reference, 'scale' its exact value
+    async setTokenAction(changeId, property, action) {
+        const change = this.detectedChanges.find(c => c.id == changeId);
+        if (!change) return;
+
+        change.tokenActions = { ...change.tokenActions, [property]: action };
+        this.log(`${change.selector}: ${property} will use the ${action === 'token' ? 'design token' : 'scale value'}`, 'info');
+        await this.previewSingleChange(changeId);
+    }
+
+    forgetRuleChoice(change, response) {
+        this.ruleChoices.delete(change.selector);
+        this.log(`${response.error}; choose again`, 'warning');
+    }
+
+    skipChange(changeId) {
+        const change = this.detectedChanges.find(c => c.id == changeId);
+        if (!change) return;
+
+        change.skipped = true;
+        change.conflict = null;
+        this.selectedChanges.delete(change.id);
+        this.log(`Skipped: ${change.selector}`, 'info');
+        this.renderChanges();
+    }
+
     async applySelectedChanges() {
         const selectedChanges = this.detectedChanges.filter(change => 
             this.selectedChanges.has(change.id)
@@ -526,16 +1018,47 @@ class CSSDevToolsPanel {
         await this.applyChangesToFiles(selectedChanges);
     }
 
-    async applyChangesToFiles(changes) {
+    async applyChangesToFiles(changes, options = {}) {
         this.log(`Applying ${changes.length} changes to files...`, 'info');
 
         for (const change of changes) {
             try {
-                const response = await this.sendMessage('APPLY_CSS_CHANGE', change);
+                const response = await this.sendMessage('APPLY_CSS_CHANGE', {
+                    ...change,
+                    force: !!options.force,
+                    targetRule: this.ruleChoices.get(change.selector),
+                    tabId: chrome.devtools.inspectedWindow.tabId
+                });
+
+                if (response && response.staleChoice) {
+                    this.forgetRuleChoice(change, response);
+                    await this.applyChangesToFiles([change], options);
+                    continue;
+                }
 
                 if (response && response.success) {
                     change.applied = true;
-                    this.log(`Applied: ${change.selector} to ${response.file}`, 'success');
+                    change.conflict = null;
+                    change.candidates = null;
+                    const mediaNote = response.media ? ` (@media ${response.media})` : '';
+                    this.log(`Applied: ${change.selector} to ${response.file}${mediaNote}`, 'success');
+                    (response.definitions || []).forEach(definition => {
+                        this.log(`Updated ${definition.variable} in ${definition.file}:${definition.line}`, 'success');
+                    });
+                    [...(response.warnings || []), ...(response.offScale || [])].forEach(warning => {
+                        this.log(`${change.selector}: ${warning.message}`, 'warning');
+                    });
+                    if (response.ruleOrigin) {
+                        this.log(`Matched by DevTools: ${response.ruleOrigin.selector} (${response.ruleOrigin.sourceURL}:${response.ruleOrigin.line})`, 'info');
+                    } else if (response.sourceMap) {
+                        this.log(`Resolved via source map from ${response.sourceMap.compiledUrl}:${response.sourceMap.compiledLine}`, 'info');
+                    }
+                } else if (response && response.ambiguous) {
+                    change.candidates = { ...response, action: 'apply' };
+                    this.log(`${change.selector}: ${response.error}`, 'warning');
+                } else if (response && response.conflict) {
+                    change.conflict = response;
+                    this.log(`Conflict: ${change.selector} - ${response.error}. Force apply or skip it.`, 'warning');
                 } else {
                     this.log(`Failed to apply: ${change.selector} - ${response?.error}`, 'error');
                 }
@@ -569,7 +1092,8 @@ class CSSDevToolsPanel {
         const timestamp = new Date().toLocaleTimeString();
         const entry = document.createElement('div');
         entry.className = `log-entry ${type}`;
-        entry.innerHTML = `<span class="timestamp">[${timestamp}]</span> ${message}`;
+        // Messages quote selectors, values and server errors as they came
+        entry.innerHTML = `<span class="timestamp">[${timestamp}]</span> ${this.escapeHtml(message)}`;
         
         this.logEl.appendChild(entry);
         this.logEl.scrollTop = this.logEl.scrollHeight;
@@ -0,0 +1,46 @@
+// Pseudo Signature - The state and pseudo-element a selector styles
+//
+// A copy of server/pseudo-signature.js for the DevTools page, so the rules the
+// panel reports as `:hover` or `::before` edits are the ones the server
+// matches against `.btn:hover` or `.card::before`. Change both together; the
+// server's tests compare them.
+
+(function (exports) {
+    // States DevTools can force on an element, in the order signatures list them
+    const STATE_PSEUDO_CLASSES = ['hover', 'focus', 'focus-visible', 'focus-within', 'active', 'visited', 'target'];
+    const LEGACY_PSEUDO_ELEMENTS = ['before', 'after', 'first-line', 'first-letter'];
+
+    // The states and pseudo-element of the element a selector styles, as
+    // { classes: ['hover'], element: 'before' }. `.btn:hover .icon` styles
+    // `.icon` in any state, so only the last compound counts; so do states
+    // inside `:not()` and the like.
+    function getPseudoParts(selector) {
+        let text = selector.replace(/\[[^\]]*\]|"[^"]*"|'[^']*'/g, '');
+        while (/\([^()]*\)/.test(text)) {
+            text = text.replace(/\([^()]*\)/g, '');
+        }
+        const compounds = text.trim().split(/\s*[\s>+~]\s*/);
+        const subject = compounds[compounds.length - 1];
+
+        const pseudos = (subject.match(/::?[\w-]+/g) || []).map(pseudo => ({
+            element: pseudo.startsWith('::') || LEGACY_PSEUDO_ELEMENTS.includes(pseudo.slice(1).toLowerCase()),
+            name: pseudo.replace(/^::?/, '').toLowerCase()
+        }));
+        const element = pseudos.find(pseudo => pseudo.element);
+
+        return {
+            classes: STATE_PSEUDO_CLASSES.filter(state => pseudos.some(pseudo => !pseudo.element && pseudo.name === state)),
+            element: element ? element.name : null
+        };
+    }
+
+    // The same as `:hover:focus::before`, or '' for the element itself
+    function getPseudoSignature(selector) {
+        const { classes, element } = getPseudoParts(selector);
+        return classes.map(state => `:${state}`).join('') + (element ? `::${element}` : '');
+    }
+
+    exports.STATE_PSEUDO_CLASSES = STATE_PSEUDO_CLASSES;
+    exports.getPseudoParts = getPseudoParts;
+    exports.getPseudoSignature = getPseudoSignature;
+})(self);
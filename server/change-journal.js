@@ -0,0 +1,223 @@
+// Change Journal - Persistent record of every file write, with undo and redo
+//
+// Each entry stores the single contiguous range that a write changed (the
+// text before and after it) plus a little surrounding context. Undo and redo
+// locate that range again in the current file, so they still work after later
+// edits elsewhere in the file, and refuse to run when the range itself was
+// changed since.
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+const DEFAULT_JOURNAL_PATH = path.join(os.homedir(), '.css-devtools-sync', 'journal.json');
+const MAX_ENTRIES = 500;
+const CONTEXT_LENGTH = 40;
+
+class JournalConflictError extends Error {
+    constructor(message, entry) {
+        super(message);
+        this.name = 'JournalConflictError';
+        this.entry = entry;
+    }
+}
+
+class ChangeJournal {
+    constructor(journalPath = DEFAULT_JOURNAL_PATH) {
+        this.journalPath = journalPath;
+        this.entries = [];
+        this.nextId = 1;
+        this.saveChain = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.journalPath, 'utf8'));
+            this.entries = data.entries || [];
+            this.nextId = data.nextId || (this.entries.reduce((max, entry) => Math.max(max, entry.id), 0) + 1);
+            console.log(`Loaded change journal with ${this.entries.length} entries from ${this.journalPath}`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Error loading change journal:', error);
+            }
+        }
+    }
+
+    save() {
+        // Serialise writes so concurrent records never interleave on disk
+        this.saveChain = this.saveChain.then(async () => {
+            await fs.mkdir(path.dirname(this.journalPath), { recursive: true });
+            await fs.writeFile(this.journalPath, JSON.stringify({
+                nextId: this.nextId,
+                entries: this.entries
+            }, null, 2), 'utf8');
+        }).catch(error => {
+            console.error('Error saving change journal:', error);
+        });
+        return this.saveChain;
+    }
+
+    // Records the difference between two versions of a file. Returns the entry,
+    // or null when the content did not change.
+    async record(filePath, oldContent, newContent, details = {}) {
+        const range = diffRange(oldContent, newContent);
+        if (!range) {
+            return null;
+        }
+
+        const entry = {
+            id: this.nextId++,
+            timestamp: new Date().toISOString(),
+            file: filePath,
+            start: range.start,
+            end: range.start + range.before.length,
+            before: range.before,
+            after: range.after,
+            contextBefore: oldContent.substring(Math.max(0, range.start - CONTEXT_LENGTH), range.start),
+            contextAfter: oldContent.substring(range.start + range.before.length, range.start + range.before.length + CONTEXT_LENGTH),
+            domain: details.domain || null,
+            selector: details.selector || null,
+            action: details.action || 'update',
+            status: 'applied'
+        };
+
+        this.entries.push(entry);
+        if (this.entries.length > MAX_ENTRIES) {
+            this.entries.splice(0, this.entries.length - MAX_ENTRIES);
+        }
+
+        await this.save();
+        return entry;
+    }
+
+    getEntries(filter = {}) {
+        const { file, domain, limit } = filter;
+        let entries = this.entries.slice().reverse();
+
+        if (file) entries = entries.filter(entry => entry.file === file);
+        if (domain) entries = entries.filter(entry => entry.domain === domain);
+        if (limit) entries = entries.slice(0, limit);
+
+        return entries;
+    }
+
+    getEntry(id) {
+        return this.entries.find(entry => entry.id === Number(id)) || null;
+    }
+
+    getLastApplied(domain = null) {
+        for (let i = this.entries.length - 1; i >= 0; i--) {
+            const entry = this.entries[i];
+            if (entry.status === 'applied' && (!domain || entry.domain === domain)) {
+                return entry;
+            }
+        }
+        return null;
+    }
+
+    // Content of the file with the entry reverted. Throws JournalConflictError
+    // when the changed range can no longer be found unambiguously.
+    revert(entry, currentContent) {
+        if (entry.status !== 'applied') {
+            throw new JournalConflictError(`Change ${entry.id} is not applied`, entry);
+        }
+        return this.swap(entry, currentContent, entry.after, entry.before);
+    }
+
+    reapply(entry, currentContent) {
+        if (entry.status !== 'undone') {
+            throw new JournalConflictError(`Change ${entry.id} has not been undone`, entry);
+        }
+        return this.swap(entry, currentContent, entry.before, entry.after);
+    }
+
+    swap(entry, content, expected, replacement) {
+        const position = locate(content, entry, expected);
+        if (position === -1) {
+            throw new JournalConflictError(
+                `The text changed by change ${entry.id} was modified since in ${entry.file}; resolve it by hand`,
+                entry
+            );
+        }
+
+        entry.start = position;
+        entry.end = position + entry.before.length;
+        return content.substring(0, position) + replacement + content.substring(position + expected.length);
+    }
+
+    // Keeps entries pointing at a file after it was renamed or moved
+    async renameFile(oldPath, newPath) {
+        const entries = this.entries.filter(entry => entry.file === oldPath);
+        if (entries.length === 0) return;
+
+        entries.forEach(entry => { entry.file = newPath; });
+        await this.save();
+    }
+
+    async markStatus(entry, status) {
+        entry.status = status;
+        entry[status === 'undone' ? 'undoneAt' : 'redoneAt'] = new Date().toISOString();
+        await this.save();
+    }
+}
+
+// Smallest single range that turns `oldContent` into `newContent`
+function diffRange(oldContent, newContent) {
+    if (oldContent === newContent) {
+        return null;
+    }
+
+    let start = 0;
+    const maxStart = Math.min(oldContent.length, newContent.length);
+    while (start < maxStart && oldContent[start] === newContent[start]) {
+        start++;
+    }
+
+    let oldEnd = oldContent.length;
+    let newEnd = newContent.length;
+    while (oldEnd > start && newEnd > start && oldContent[oldEnd - 1] === newContent[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    return {
+        start,
+        before: oldContent.substring(start, oldEnd),
+        after: newContent.substring(start, newEnd)
+    };
+}
+
+// Finds `expected` in the current content: at its recorded offset, else at the
+// only place where it appears with its recorded context, else the only place
+// it appears at all. Returns -1 when none of these is unambiguous.
+function locate(content, entry, expected) {
+    if (content.substr(entry.start, expected.length) === expected &&
+        content.substring(entry.start - entry.contextBefore.length, entry.start) === entry.contextBefore) {
+        return entry.start;
+    }
+
+    const withContext = entry.contextBefore + expected + entry.contextAfter;
+    const contextMatch = findUnique(content, withContext);
+    if (contextMatch !== -1) {
+        return contextMatch + entry.contextBefore.length;
+    }
+
+    if (expected.length > 0) {
+        return findUnique(content, expected);
+    }
+
+    return -1;
+}
+
+function findUnique(content, text) {
+    const first = content.indexOf(text);
+    if (first === -1 || content.indexOf(text, first + 1) !== -1) {
+        return -1;
+    }
+    return first;
+}
+
+module.exports = {
+    ChangeJournal,
+    JournalConflictError
+};
@@ -0,0 +1,313 @@
+// Config - Server settings from CLI flags, the project's config file and the
+// settings saved by the last session
+//
+// Precedence, highest first: CLI flags, `css-devtools-sync.config.js` or
+// `.json`, saved settings (`~/.css-devtools-sync/settings.json`, written
+// whenever the extension changes the project configuration), defaults.
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { DEFAULT_INCLUDE, DEFAULT_EXCLUDE } = require('./file-filter');
+const { normalizeUrlPrefix } = require('./url-mappings');
+const { DEFAULT_ROOT_FONT_SIZE } = require('./value-format');
+
+const CONFIG_FILE_NAMES = ['css-devtools-sync.config.js', 'css-devtools-sync.config.json'];
+const DEFAULT_SETTINGS_PATH = path.join(os.homedir(), '.css-devtools-sync', 'settings.json');
+const DEFAULT_PORT = 3001;
+const REMOVAL_MODES = ['delete', 'comment'];
+const OPTIONS = ['root', 'port', 'include', 'exclude', 'map', 'map-url', 'removal', 'root-font-size', 'tokens', 'config'];
+
+const USAGE = `Usage: node server.js [options]
+
+Options:
+  --root <path>          Project directory to sync (default: last configured path)
+  --port <number>        Port to listen on (default: ${DEFAULT_PORT})
+  --include <glob>       Only sync matching stylesheets, repeatable (default: ${DEFAULT_INCLUDE.join(', ')})
+  --exclude <glob>       Skip matching files and directories, repeatable
+                         (always skipped: ${DEFAULT_EXCLUDE.join(', ')})
+  --map <domain=path>    Sync changes from a domain to a directory, repeatable
+  --map-url <url=path>   Sync stylesheets under a URL prefix to a directory, repeatable
+  --removal <mode>       What to do with declarations removed in DevTools:
+                         ${REMOVAL_MODES.join(' or ')} (default: ${REMOVAL_MODES[0]})
+  --root-font-size <px>  Root font size for writing rem values (default: ${DEFAULT_ROOT_FONT_SIZE})
+  --tokens <file>        Design tokens JSON to check synced values against
+  --config <file>        Config file (default: ${CONFIG_FILE_NAMES.join(' or ')} in the root)
+  -h, --help             Show this help`;
+
+class ConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConfigError';
+    }
+}
+
+function parseArgs(argv) {
+    const options = { include: [], exclude: [], domainMappings: {}, urlMappings: {} };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+            continue;
+        }
+
+        const match = arg.match(/^--([a-z-]+)(?:=(.*))?$/);
+        if (!match) {
+            throw new ConfigError(`Unexpected argument: ${arg}`);
+        }
+
+        const name = match[1];
+        if (!OPTIONS.includes(name)) {
+            throw new ConfigError(`Unknown option: --${name}`);
+        }
+
+        let value = match[2];
+        if (value === undefined) {
+            value = argv[++i];
+            if (value === undefined || value.startsWith('--')) {
+                throw new ConfigError(`Missing value for --${name}`);
+            }
+        }
+
+        switch (name) {
+            case 'root':
+                options.root = path.resolve(value);
+                break;
+            case 'port':
+                options.port = parsePort(value, '--port');
+                break;
+            case 'include':
+            case 'exclude':
+                options[name].push(...splitList(value));
+                break;
+            case 'map': {
+                const separator = value.indexOf('=');
+                if (separator <= 0 || separator === value.length - 1) {
+                    throw new ConfigError(`--map expects domain=path, got: ${value}`);
+                }
+                options.domainMappings[value.slice(0, separator)] = path.resolve(value.slice(separator + 1));
+                break;
+            }
+            case 'map-url': {
+                const separator = value.indexOf('=');
+                if (separator <= 0 || separator === value.length - 1) {
+                    throw new ConfigError(`--map-url expects url=path, got: ${value}`);
+                }
+                const prefix = parseUrlPrefix(value.slice(0, separator), '--map-url');
+                options.urlMappings[prefix] = path.resolve(value.slice(separator + 1));
+                break;
+            }
+            case 'removal':
+                options.removal = parseRemovalMode(value, '--removal');
+                break;
+            case 'root-font-size':
+                options.rootFontSize = parseFontSize(value, '--root-font-size');
+                break;
+            case 'tokens':
+                options.tokens = path.resolve(value);
+                break;
+            case 'config':
+                options.config = path.resolve(value);
+                break;
+        }
+    }
+
+    return options;
+}
+
+function splitList(value) {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parsePort(value, source) {
+    const port = Number(value);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        throw new ConfigError(`${source} must be a port number between 1 and 65535, got: ${value}`);
+    }
+    return port;
+}
+
+function parseFontSize(value, source) {
+    const size = Number(value);
+    if (!Number.isFinite(size) || size <= 0) {
+        throw new ConfigError(`${source} must be a font size in px, got: ${value}`);
+    }
+    return size;
+}
+
+function parseRemovalMode(value, source) {
+    if (!REMOVAL_MODES.includes(value)) {
+        throw new ConfigError(`${source} must be ${REMOVAL_MODES.join(' or ')}, got: ${value}`);
+    }
+    return value;
+}
+
+function parseUrlPrefix(value, source) {
+    try {
+        return normalizeUrlPrefix(value);
+    } catch (error) {
+        throw new ConfigError(`${source}: ${error.message}`);
+    }
+}
+
+async function fileExists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// `.js` configs run code when loaded, so they are only taken from directories
+// named when the server was launched. The saved project path can be changed
+// over HTTP, so only a JSON config is read from there.
+async function findConfigFile(launchDirectories, savedDirectories = []) {
+    const searches = [
+        ...launchDirectories.map(directory => ({ directory, names: CONFIG_FILE_NAMES })),
+        ...savedDirectories.map(directory => ({ directory, names: CONFIG_FILE_NAMES.filter(name => name.endsWith('.json')) }))
+    ];
+
+    for (const { directory, names } of searches) {
+        if (!directory) continue;
+        for (const name of names) {
+            const candidate = path.join(directory, name);
+            if (await fileExists(candidate)) {
+                return candidate;
+            }
+        }
+    }
+    return null;
+}
+
+// Reads a config file. Relative paths in it are relative to the file itself.
+async function readConfigFile(configPath) {
+    let data;
+    try {
+        if (configPath.endsWith('.js')) {
+            delete require.cache[require.resolve(configPath)];
+            data = require(configPath);
+        } else {
+            data = JSON.parse(await fs.readFile(configPath, 'utf8'));
+        }
+    } catch (error) {
+        throw new ConfigError(`Could not read ${configPath}: ${error.message}`);
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new ConfigError(`${configPath} must export an object`);
+    }
+
+    const baseDir = path.dirname(configPath);
+    const config = {};
+
+    if (data.root !== undefined) {
+        config.root = path.resolve(baseDir, String(data.root));
+    }
+    if (data.port !== undefined) {
+        config.port = parsePort(data.port, `"port" in ${configPath}`);
+    }
+    if (data.rootFontSize !== undefined) {
+        config.rootFontSize = parseFontSize(data.rootFontSize, `"rootFontSize" in ${configPath}`);
+    }
+    if (data.tokens !== undefined) {
+        config.tokens = path.resolve(baseDir, String(data.tokens));
+    }
+    if (data.removal !== undefined) {
+        config.removal = parseRemovalMode(data.removal, `"removal" in ${configPath}`);
+    }
+    for (const key of ['include', 'exclude']) {
+        if (data[key] === undefined) continue;
+        if (!Array.isArray(data[key]) || !data[key].every(item => typeof item === 'string')) {
+            throw new ConfigError(`"${key}" in ${configPath} must be an array of glob strings`);
+        }
+        config[key] = data[key];
+    }
+    if (data.domainMappings !== undefined) {
+        if (typeof data.domainMappings !== 'object' || Array.isArray(data.domainMappings)) {
+            throw new ConfigError(`"domainMappings" in ${configPath} must map domains to paths`);
+        }
+        config.domainMappings = {};
+        for (const [domain, mappedPath] of Object.entries(data.domainMappings)) {
+            config.domainMappings[domain] = path.resolve(baseDir, String(mappedPath));
+        }
+    }
+    if (data.urlMappings !== undefined) {
+        if (!data.urlMappings || typeof data.urlMappings !== 'object' || Array.isArray(data.urlMappings)) {
+            throw new ConfigError(`"urlMappings" in ${configPath} must map URL prefixes to paths`);
+        }
+        config.urlMappings = {};
+        for (const [prefix, mappedPath] of Object.entries(data.urlMappings)) {
+            config.urlMappings[parseUrlPrefix(prefix, `"urlMappings" in ${configPath}`)] = path.resolve(baseDir, String(mappedPath));
+        }
+    }
+
+    return config;
+}
+
+async function loadSavedSettings(settingsPath = DEFAULT_SETTINGS_PATH) {
+    try {
+        return JSON.parse(await fs.readFile(settingsPath, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Ignoring unreadable settings file ${settingsPath}:`, error.message);
+        }
+        return {};
+    }
+}
+
+async function saveSettings(settings, settingsPath = DEFAULT_SETTINGS_PATH) {
+    await fs.mkdir(path.dirname(settingsPath), { recursive: true });
+    await fs.writeFile(settingsPath, JSON.stringify(settings, null, 2), 'utf8');
+}
+
+async function loadConfig(options = {}) {
+    const { argv = [], cwd = process.cwd(), settingsPath = DEFAULT_SETTINGS_PATH } = options;
+    const cli = parseArgs(argv);
+    if (cli.help) {
+        return { help: true };
+    }
+
+    const saved = await loadSavedSettings(settingsPath);
+
+    let configFile = cli.config || null;
+    if (configFile && !(await fileExists(configFile))) {
+        throw new ConfigError(`Config file not found: ${configFile}`);
+    }
+    if (!configFile) {
+        configFile = await findConfigFile([cli.root, cwd], [saved.projectPath]);
+    }
+    const fileConfig = configFile ? await readConfigFile(configFile) : {};
+
+    return {
+        root: cli.root || fileConfig.root || saved.projectPath || null,
+        port: cli.port || fileConfig.port || DEFAULT_PORT,
+        include: cli.include.length > 0 ? cli.include : (fileConfig.include || DEFAULT_INCLUDE),
+        // Excludes add to the defaults; nobody wants node_modules synced
+        exclude: [...DEFAULT_EXCLUDE, ...(fileConfig.exclude || []), ...cli.exclude],
+        domainMappings: {
+            ...(saved.domainMappings || {}),
+            ...(fileConfig.domainMappings || {}),
+            ...cli.domainMappings
+        },
+        urlMappings: {
+            ...(saved.urlMappings || {}),
+            ...(fileConfig.urlMappings || {}),
+            ...cli.urlMappings
+        },
+        removal: cli.removal || fileConfig.removal || REMOVAL_MODES[0],
+        rootFontSize: cli.rootFontSize || fileConfig.rootFontSize || DEFAULT_ROOT_FONT_SIZE,
+        tokens: cli.tokens || fileConfig.tokens || null,
+        configFile,
+        settingsPath
+    };
+}
+
+module.exports = {
+    loadConfig,
+    parseArgs,
+    saveSettings,
+    ConfigError,
+    USAGE
+};
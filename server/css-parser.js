@@ -0,0 +1,817 @@
+// CSS Parser - Builds a source-mapped tree of rules, at-rules, declarations and comments
+//
+// Every node carries exact offsets into the original text so the writer can
+// patch the file in place instead of regenerating it:
+//   rule    { selector, selectors, resolvedSelectors, start, end, bodyStart, bodyEnd, children }
+//   atrule  { name, params, start, end, bodyStart, bodyEnd, children | null }
+//   decl    { prop, value, important, start, end, propStart, propEnd, valueStart, valueEnd }
+//   comment { text, start, end, inline }
+// `start`/`end` are half-open ranges; `bodyStart` is the index of `{` and
+// `bodyEnd` the index of the matching `}`.
+//
+// The `scss` syntax adds `//` comments, `#{}` interpolation and top-level
+// `$variable` declarations. The indented `sass` syntax has no braces: there
+// `bodyStart` is the end of the selector line and `bodyEnd` the end of the
+// last nested line.
+//
+// The `less` syntax adds `@variable` declarations, `@{}` interpolation,
+// mixin calls (`mixin` nodes), mixin definitions (rules flagged `mixin`),
+// guards (kept apart from the selector in `guard`) and detached rulesets
+// (at-rules named `detached-ruleset`).
+
+const { getPseudoSignature } = require('./pseudo-signature');
+
+// At-rules whose children are not selectors of the document (keyframe stops, mixin bodies etc.)
+const NON_SELECTOR_AT_RULES = ['keyframes', '-webkit-keyframes', '-moz-keyframes', 'font-feature-values', 'mixin', 'function', 'detached-ruleset'];
+
+const SYNTAX_BY_EXTENSION = {
+    '.css': 'css',
+    '.scss': 'scss',
+    '.sass': 'sass',
+    '.less': 'less'
+};
+
+class CSSParser {
+    constructor(options = {}) {
+        this.syntax = options.syntax || 'css';
+    }
+
+    parse(content) {
+        this.content = content;
+        this.pos = 0;
+
+        const root = {
+            type: 'stylesheet',
+            syntax: this.syntax,
+            start: 0,
+            end: content.length,
+            children: []
+        };
+
+        if (this.syntax === 'sass') {
+            this.parseIndented(root);
+            return root;
+        }
+
+        this.parseBlock(root);
+
+        // Stray closing braces at the top level are skipped, keep going until EOF
+        while (this.pos < content.length) {
+            this.pos++;
+            this.parseBlock(root);
+        }
+
+        return root;
+    }
+
+    parseBlock(parent) {
+        const content = this.content;
+
+        while (this.pos < content.length) {
+            this.skipWhitespace();
+            if (this.pos >= content.length) break;
+
+            const char = content[this.pos];
+
+            if (char === '}') {
+                return;
+            }
+
+            if (char === ';') {
+                this.pos++;
+                continue;
+            }
+
+            if (content.startsWith('/*', this.pos)) {
+                this.addChild(parent, this.parseComment());
+                continue;
+            }
+
+            if (this.hasLineComments() && content.startsWith('//', this.pos)) {
+                this.addChild(parent, this.parseLineComment());
+                continue;
+            }
+
+            const node = this.parseStatement(parent);
+            if (node) {
+                this.addChild(parent, node);
+            }
+        }
+    }
+
+    parseComment() {
+        const start = this.pos;
+        const close = this.content.indexOf('*/', start + 2);
+        const end = close === -1 ? this.content.length : close + 2;
+        this.pos = end;
+
+        return {
+            type: 'comment',
+            text: this.content.slice(start + 2, close === -1 ? end : close).trim(),
+            start,
+            end
+        };
+    }
+
+    parseLineComment() {
+        const start = this.pos;
+        const newline = this.content.indexOf('\n', start);
+        const end = newline === -1 ? this.content.length : newline;
+        this.pos = end;
+
+        return {
+            type: 'comment',
+            text: this.content.slice(start + 2, end).trim(),
+            inline: true,
+            start,
+            end
+        };
+    }
+
+    hasLineComments() {
+        return this.syntax !== 'css';
+    }
+
+    parseStatement(parent) {
+        const content = this.content;
+        const start = this.pos;
+        const stopIndex = this.scanStatement(start);
+        const stopChar = content[stopIndex];
+        const rawText = content.slice(start, stopIndex);
+        const textEnd = start + rawText.replace(/\s+$/, '').length;
+
+        if (stopChar === '{') {
+            const node = this.isAtRuleHeader(rawText)
+                ? this.createAtRule(start, textEnd)
+                : this.createRule(start, textEnd, parent);
+
+            // LESS detached ruleset: `@name: { ... }`
+            if (node.type === 'atrule' && this.syntax === 'less' && /^@[\w-]+\s*:\s*$/.test(rawText.trim())) {
+                node.variable = node.name;
+                node.name = 'detached-ruleset';
+                node.params = '';
+            }
+
+            node.bodyStart = stopIndex;
+            node.children = [];
+            this.pos = stopIndex + 1;
+
+            // Rules must be reachable from the parent while their children resolve selectors
+            Object.defineProperty(node, 'parent', { value: parent, writable: true, enumerable: false });
+            this.parseBlock(node);
+
+            if (this.pos < content.length) {
+                node.bodyEnd = this.pos;
+                node.end = this.pos + 1;
+                this.pos++;
+            } else {
+                node.bodyEnd = content.length;
+                node.end = content.length;
+            }
+
+            if (node.type === 'rule') {
+                node.properties = this.collectProperties(node);
+            }
+            return node;
+        }
+
+        // Statement terminated by `;`, the closing `}` of the block, or EOF
+        const end = stopChar === ';' ? stopIndex + 1 : textEnd;
+        this.pos = stopChar === ';' ? stopIndex + 1 : stopIndex;
+
+        if (textEnd === start) {
+            return null;
+        }
+
+        // Preprocessor variables may be declared at the top level
+        const isVariable = this.isVariableDeclaration(rawText);
+
+        if (this.isAtRuleHeader(rawText) && !isVariable) {
+            const node = this.createAtRule(start, textEnd);
+            node.end = end;
+            node.children = null;
+            return node;
+        }
+
+        if (this.syntax === 'less' && /^[.#][\w-]/.test(rawText)) {
+            return this.createMixinCall(start, textEnd, end);
+        }
+
+        if (this.syntax === 'less' && /^&:extend\s*\(/.test(rawText)) {
+            return {
+                type: 'extend',
+                text: content.slice(start, textEnd),
+                start,
+                end
+            };
+        }
+
+        if (parent.type !== 'stylesheet' || isVariable) {
+            const decl = this.createDeclaration(start, textEnd, end);
+            if (decl) return decl;
+        }
+
+        // Unknown content (e.g. a stray token at the top level) is kept so ranges stay contiguous
+        return {
+            type: 'raw',
+            text: content.slice(start, textEnd),
+            start,
+            end
+        };
+    }
+
+    // Returns the index of the `{`, `;` or `}` that ends the statement starting
+    // at `start`, skipping strings, comments and parenthesised groups.
+    scanStatement(start) {
+        const content = this.content;
+        const isCustomProperty = /^--[^:]*:/.test(content.slice(start, start + 256));
+        let depth = 0;
+        let braceDepth = 0;
+        let i = start;
+
+        while (i < content.length) {
+            const char = content[i];
+
+            if (char === '"' || char === "'") {
+                i = this.skipString(i);
+                continue;
+            }
+
+            if (char === '/' && content[i + 1] === '*') {
+                const close = content.indexOf('*/', i + 2);
+                i = close === -1 ? content.length : close + 2;
+                continue;
+            }
+
+            // `//` outside of url(...) and strings is a line comment in preprocessors
+            if (char === '/' && content[i + 1] === '/' && depth === 0 && this.hasLineComments()) {
+                const newline = content.indexOf('\n', i);
+                i = newline === -1 ? content.length : newline;
+                continue;
+            }
+
+            if (this.isInterpolationStart(i)) {
+                i = this.skipInterpolation(i);
+                continue;
+            }
+
+            if (char === '\\') {
+                i += 2;
+                continue;
+            }
+
+            if (char === '(' || char === '[') {
+                depth++;
+            } else if ((char === ')' || char === ']') && depth > 0) {
+                depth--;
+            } else if (depth === 0) {
+                // Custom property values may legally contain balanced braces
+                if (isCustomProperty && char === '{') {
+                    braceDepth++;
+                } else if (isCustomProperty && char === '}' && braceDepth > 0) {
+                    braceDepth--;
+                } else if (char === '{' || char === ';' || char === '}') {
+                    return i;
+                }
+            }
+
+            i++;
+        }
+
+        return content.length;
+    }
+
+    isInterpolationStart(index) {
+        if (this.content[index + 1] !== '{') return false;
+        return (this.syntax === 'scss' && this.content[index] === '#') ||
+            (this.syntax === 'less' && this.content[index] === '@');
+    }
+
+    isAtRuleHeader(text) {
+        if (!text.startsWith('@')) return false;
+        if (this.syntax === 'less' && text.startsWith('@{')) return false;
+        return !this.isAtRootRule(text);
+    }
+
+    isVariableDeclaration(text) {
+        if (this.syntax === 'scss') return /^\$[\w-]+\s*:/.test(text);
+        if (this.syntax === 'less') return /^@[\w-]+\s*:/.test(text);
+        return false;
+    }
+
+    // Returns the index just past the `}` closing an interpolation at `index`
+    skipInterpolation(index) {
+        const content = this.content;
+        let depth = 0;
+
+        for (let i = index + 1; i < content.length; i++) {
+            if (content[i] === '{') depth++;
+            if (content[i] === '}') {
+                depth--;
+                if (depth === 0) return i + 1;
+            }
+        }
+
+        return content.length;
+    }
+
+    skipString(index) {
+        const content = this.content;
+        const quote = content[index];
+        let i = index + 1;
+
+        while (i < content.length) {
+            if (content[i] === '\\') {
+                i += 2;
+                continue;
+            }
+            if (content[i] === quote || content[i] === '\n') {
+                return i + 1;
+            }
+            i++;
+        }
+
+        return content.length;
+    }
+
+    skipWhitespace() {
+        while (this.pos < this.content.length && /\s/.test(this.content[this.pos])) {
+            this.pos++;
+        }
+    }
+
+    isAtRootRule(text) {
+        return this.syntax !== 'css' && /^@at-root\s+[^\s{(]/.test(text);
+    }
+
+    createRule(start, textEnd, parent) {
+        let selectorStart = start;
+
+        // `@at-root .selector { }` is a rule whose selector ignores the enclosing rules
+        const headerText = this.content.slice(start, textEnd);
+        if (this.isAtRootRule(headerText)) {
+            selectorStart += headerText.match(/^@at-root\s+/)[0].length;
+            parent = null;
+        }
+
+        const selector = this.content.slice(selectorStart, textEnd);
+        let selectorText = stripComments(selector);
+        if (this.hasLineComments()) {
+            selectorText = selectorText.replace(/(^|\s)\/\/[^\n]*/g, '$1');
+        }
+
+        // LESS guards (`.a when (@mode = dark)`) and mixin definitions (`.m(@a)`)
+        let guard = null;
+        let mixin = false;
+        if (this.syntax === 'less') {
+            const guardMatch = selectorText.match(/\s+when\s+([\s\S]*)$/);
+            if (guardMatch) {
+                guard = guardMatch[1].trim();
+                selectorText = selectorText.slice(0, guardMatch.index);
+            }
+            mixin = /^\s*[.#][\w-]+\s*\(/.test(selectorText);
+        }
+
+        const selectors = splitSelectorList(selectorText);
+        const node = {
+            type: 'rule',
+            selector,
+            selectors,
+            resolvedSelectors: resolveNestedSelectors(selectors, findParentRule(parent)),
+            start,
+            end: null,
+            selectorStart,
+            selectorEnd: textEnd
+        };
+
+        if (guard) node.guard = guard;
+        if (mixin) node.mixin = true;
+        return node;
+    }
+
+    // LESS `.mixin();`, `#ns > .mixin(@a; @b) !important;`
+    createMixinCall(start, textEnd, end) {
+        const text = this.content.slice(start, textEnd);
+        const important = /!\s*important\s*$/i.test(text);
+        const call = text.replace(/\s*!\s*important\s*$/i, '');
+        const parenIndex = call.indexOf('(');
+
+        return {
+            type: 'mixin',
+            name: (parenIndex === -1 ? call : call.slice(0, parenIndex)).trim(),
+            params: parenIndex === -1 ? '' : call.slice(parenIndex + 1, call.lastIndexOf(')')).trim(),
+            important,
+            start,
+            end
+        };
+    }
+
+    createAtRule(start, textEnd) {
+        const text = this.content.slice(start, textEnd);
+        const match = text.match(/^@([\w-]+)/);
+        const name = match ? match[1] : '';
+        const paramsOffset = match ? match[0].length : 1;
+        const params = text.slice(paramsOffset).trim();
+
+        return {
+            type: 'atrule',
+            name: name.toLowerCase(),
+            params,
+            start,
+            end: null
+        };
+    }
+
+    createDeclaration(start, textEnd, end) {
+        const content = this.content;
+        const colonIndex = this.findTopLevelColon(start, textEnd);
+        if (colonIndex === -1) {
+            return null;
+        }
+
+        const propText = content.slice(start, colonIndex);
+        const prop = propText.trim();
+        if (!prop) {
+            return null;
+        }
+
+        let valueStart = colonIndex + 1;
+        while (valueStart < textEnd && /\s/.test(content[valueStart])) {
+            valueStart++;
+        }
+
+        let valueEnd = this.trimTrailingComments(valueStart, textEnd);
+        let important = false;
+        const importantMatch = content.slice(valueStart, valueEnd).match(/\s*!\s*important\s*$/i);
+        if (importantMatch) {
+            important = true;
+            valueEnd -= importantMatch[0].length;
+        }
+
+        return {
+            type: 'decl',
+            prop,
+            value: content.slice(valueStart, valueEnd),
+            important,
+            start,
+            end,
+            propStart: start,
+            propEnd: start + propText.replace(/\s+$/, '').length,
+            valueStart,
+            valueEnd
+        };
+    }
+
+    // End of a value without the comments that follow it (`red /* brand */`)
+    trimTrailingComments(start, end) {
+        let valueEnd = end;
+
+        while (valueEnd > start) {
+            const text = this.content.slice(start, valueEnd);
+            let commentStart = -1;
+
+            if (text.endsWith('*/')) {
+                commentStart = text.lastIndexOf('/*');
+            } else if (this.hasLineComments()) {
+                const lineComment = text.match(/\s\/\/[^\n]*$/);
+                if (lineComment && !/["']/.test(lineComment[0])) {
+                    commentStart = lineComment.index;
+                }
+            }
+
+            if (commentStart <= 0) break;
+            valueEnd = start + text.slice(0, commentStart).replace(/\s+$/, '').length;
+        }
+
+        return valueEnd;
+    }
+
+    findTopLevelColon(start, end) {
+        const content = this.content;
+        let depth = 0;
+
+        for (let i = start; i < end; i++) {
+            const char = content[i];
+            if (char === '"' || char === "'") {
+                i = this.skipString(i) - 1;
+            } else if (char === '/' && content[i + 1] === '*') {
+                const close = content.indexOf('*/', i + 2);
+                i = close === -1 ? end : close + 1;
+            } else if (this.isInterpolationStart(i)) {
+                i = this.skipInterpolation(i) - 1;
+            } else if (char === '(' || char === '[') {
+                depth++;
+            } else if ((char === ')' || char === ']') && depth > 0) {
+                depth--;
+            } else if (char === ':' && depth === 0) {
+                return i;
+            }
+        }
+
+        return -1;
+    }
+
+    collectProperties(rule) {
+        const properties = {};
+        for (const child of rule.children) {
+            if (child.type === 'decl') {
+                properties[child.prop] = child.value;
+            }
+        }
+        return properties;
+    }
+
+    // Indented Sass: nesting by indentation, declarations end at the line break
+    parseIndented(root) {
+        const content = this.content;
+        const lines = [];
+        let lineStart = 0;
+
+        while (lineStart <= content.length) {
+            const newline = content.indexOf('\n', lineStart);
+            const lineEnd = newline === -1 ? content.length : newline;
+            const raw = content.slice(lineStart, lineEnd).replace(/\r$/, '');
+            const text = raw.trim();
+
+            if (text) {
+                const indent = raw.length - raw.replace(/^\s+/, '').length;
+                lines.push({
+                    indent,
+                    start: lineStart + indent,
+                    end: lineStart + raw.replace(/\s+$/, '').length,
+                    text
+                });
+            }
+
+            if (newline === -1) break;
+            lineStart = newline + 1;
+        }
+
+        const stack = [{ indent: -1, node: root }];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            while (stack[stack.length - 1].indent >= line.indent) {
+                stack.pop();
+            }
+            const parent = stack[stack.length - 1].node;
+
+            // Comments swallow every line indented deeper than their first line
+            if (line.text.startsWith('//') || line.text.startsWith('/*')) {
+                let end = line.end;
+                while (i + 1 < lines.length && lines[i + 1].indent > line.indent) {
+                    i++;
+                    end = lines[i].end;
+                }
+                this.addChild(parent, {
+                    type: 'comment',
+                    text: content.slice(line.start, end).replace(/^\/[/*]|\*\/$/g, '').trim(),
+                    inline: line.text.startsWith('//'),
+                    start: line.start,
+                    end
+                });
+                i++;
+                continue;
+            }
+
+            // Selector lists may continue on the next line after a trailing comma
+            let headerEnd = line.end;
+            while (content[headerEnd - 1] === ',' && i + 1 < lines.length) {
+                i++;
+                headerEnd = lines[i].end;
+            }
+
+            const next = lines[i + 1];
+            const hasBlock = next && next.indent > line.indent;
+            const node = this.createIndentedNode(line.start, headerEnd, parent, hasBlock);
+
+            this.addChild(parent, node);
+            if (hasBlock) {
+                stack.push({ indent: line.indent, node });
+            }
+            i++;
+        }
+
+        this.closeIndentedBlocks(root);
+    }
+
+    createIndentedNode(start, end, parent, hasBlock) {
+        const text = this.content.slice(start, end);
+        let node;
+
+        if (text.startsWith('@')) {
+            node = this.createAtRule(start, end);
+        } else if (text.startsWith('=') || text.startsWith('+')) {
+            // `=name` defines and `+name` includes a mixin
+            node = this.createAtRule(start, end);
+            node.name = text.startsWith('=') ? 'mixin' : 'include';
+            node.params = text.slice(1).trim();
+        } else if (hasBlock) {
+            node = this.createRule(start, end, parent);
+        } else {
+            node = this.createDeclaration(start, end, end) || {
+                type: 'raw',
+                text,
+                start,
+                end
+            };
+        }
+
+        if (node.type === 'rule' || node.type === 'atrule') {
+            node.end = end;
+            node.bodyStart = end;
+            node.bodyEnd = end;
+            node.children = hasBlock ? [] : null;
+        }
+
+        return node;
+    }
+
+    closeIndentedBlocks(node) {
+        if (!node.children) return;
+
+        for (const child of node.children) {
+            this.closeIndentedBlocks(child);
+        }
+
+        if (node.type === 'rule' || node.type === 'atrule') {
+            const lastChild = node.children[node.children.length - 1];
+            if (lastChild) {
+                node.bodyEnd = lastChild.end;
+                node.end = lastChild.end;
+            }
+            if (node.type === 'rule') {
+                node.properties = this.collectProperties(node);
+            }
+        }
+    }
+
+    addChild(parent, node) {
+        if (!Object.prototype.hasOwnProperty.call(node, 'parent')) {
+            Object.defineProperty(node, 'parent', { value: parent, writable: true, enumerable: false });
+        }
+        parent.children.push(node);
+    }
+}
+
+function stripComments(text) {
+    return text.replace(/\/\*[\s\S]*?\*\//g, '');
+}
+
+// Splits `a, b:is(c, d)` into ['a', 'b:is(c, d)'] with whitespace normalised
+function splitSelectorList(selectorText) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+
+    for (let i = 0; i < selectorText.length; i++) {
+        const char = selectorText[i];
+
+        if (quote) {
+            if (char === '\\') {
+                current += char + (selectorText[i + 1] || '');
+                i++;
+                continue;
+            }
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '(' || char === '[') {
+            depth++;
+        } else if ((char === ')' || char === ']') && depth > 0) {
+            depth--;
+        } else if (char === ',' && depth === 0) {
+            parts.push(current);
+            current = '';
+            continue;
+        }
+
+        current += char;
+    }
+    parts.push(current);
+
+    return parts
+        .map(part => part.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+}
+
+function findParentRule(node) {
+    let current = node;
+    while (current && current.type !== 'stylesheet') {
+        if (current.type === 'rule') return current;
+        // Sass `@at-root` lifts its children out of the enclosing selector
+        if (current.type === 'atrule' && current.name === 'at-root') return null;
+        current = current.parent;
+    }
+    return null;
+}
+
+// Expands nested selectors against their parent rule: `&` is replaced by the
+// parent selector, anything else becomes a descendant of it.
+function resolveNestedSelectors(selectors, parentRule) {
+    if (!parentRule) {
+        return selectors.slice();
+    }
+
+    const resolved = [];
+    for (const parentSelector of parentRule.resolvedSelectors) {
+        for (const selector of selectors) {
+            if (selector.includes('&')) {
+                resolved.push(selector.replace(/&/g, parentSelector));
+            } else {
+                resolved.push(`${parentSelector} ${selector}`);
+            }
+        }
+    }
+    return resolved;
+}
+
+function walk(node, callback) {
+    if (!node.children) return;
+    for (const child of node.children) {
+        if (callback(child) === false) continue;
+        walk(child, callback);
+    }
+}
+
+// Rules that style document elements, in source order. Keyframe stops and
+// similar non-selector blocks are skipped.
+function getStyleRules(root) {
+    const rules = [];
+    walk(root, (node) => {
+        if (node.type === 'atrule' && NON_SELECTOR_AT_RULES.includes(node.name)) {
+            return false;
+        }
+        // LESS mixin definitions only emit CSS where they are called
+        if (node.type === 'rule' && node.mixin) {
+            return false;
+        }
+        if (node.type === 'rule') {
+            rules.push(node);
+        }
+    });
+    return rules;
+}
+
+// Enclosing at-rules from outermost to innermost
+function getAtRuleAncestors(node) {
+    const ancestors = [];
+    let current = node.parent;
+    while (current && current.type !== 'stylesheet') {
+        if (current.type === 'atrule') {
+            ancestors.unshift(current);
+        }
+        current = current.parent;
+    }
+    return ancestors;
+}
+
+function getSyntaxForFile(filePath) {
+    const extension = filePath.slice(filePath.lastIndexOf('.')).toLowerCase();
+    return SYNTAX_BY_EXTENSION[extension] || null;
+}
+
+// 1-based line and 0-based column of an offset
+function getPosition(content, index) {
+    const before = content.slice(0, index);
+    const lineStart = before.lastIndexOf('\n') + 1;
+    return {
+        line: before.split('\n').length,
+        column: index - lineStart
+    };
+}
+
+function getOffset(content, line, column) {
+    let index = 0;
+    for (let current = 1; current < line; current++) {
+        const newline = content.indexOf('\n', index);
+        if (newline === -1) return content.length;
+        index = newline + 1;
+    }
+    return Math.min(index + column, content.length);
+}
+
+function getLineNumber(content, index) {
+    let line = 1;
+    for (let i = 0; i < index && i < content.length; i++) {
+        if (content[i] === '\n') line++;
+    }
+    return line;
+}
+
+module.exports = {
+    CSSParser,
+    walk,
+    getStyleRules,
+    getAtRuleAncestors,
+    getLineNumber,
+    getPosition,
+    getOffset,
+    getSyntaxForFile,
+    splitSelectorList,
+    getPseudoSignature,
+    SUPPORTED_EXTENSIONS: Object.keys(SYNTAX_BY_EXTENSION)
+};
@@ -0,0 +1,377 @@
+// CSS Writer - Applies property changes to source text as minimal patches
+//
+// Edits are computed against the parsed tree (see css-parser.js) and applied
+// back to front so earlier offsets stay valid. Everything outside the edited
+// value spans is left byte-for-byte as authored.
+
+const { isShorthand, covers, expandShorthand, composeShorthand } = require('./shorthands');
+const { formatValue, canonicalizeColors } = require('./value-format');
+
+// The value a change sets: a plain string or the `to` of `{ from, to }`.
+// Null when the change carries no value that could be written.
+function getChangeValue(change) {
+    const value = change !== null && typeof change === 'object' ? change.to : change;
+    return typeof value === 'string' && value.trim() !== '' ? value : null;
+}
+
+// The value to write and its priority. `important: true/false` on the change
+// decides the flag; otherwise a `!important` typed into the value sets it, and
+// null leaves the flag of an existing declaration as it is.
+function getChangeDeclaration(change) {
+    const text = String(getChangeValue(change));
+    const flag = text.match(/\s*!\s*important\s*$/i);
+    let important = flag ? true : null;
+    if (typeof change === 'object' && change !== null && typeof change.important === 'boolean') {
+        important = change.important;
+    }
+    return { value: flag ? text.slice(0, flag.index) : text, important };
+}
+
+// A new declaration, its value formatted like the file's other declarations
+// of the property when `format` is given (see value-format.js)
+function formatDeclaration(property, change, format = null) {
+    const { value, important } = getChangeDeclaration(change);
+    const text = format ? formatValue(property, value, (format.samples || {})[property], format) : value;
+    return `${property}: ${text}${important ? ' !important' : ''}`;
+}
+
+// A removal is `null` or `{ remove: true }`, optionally with the `from` value
+// the browser had, which is checked for conflicts like any other change
+function isRemoval(change) {
+    return change === null || (typeof change === 'object' && change.remove === true);
+}
+
+function getExpectedValue(change) {
+    return typeof change === 'object' && change !== null && typeof change.from === 'string' ? change.from : null;
+}
+
+// Whitespace and case differences are not conflicts: `rgba(0,0,0,.5)` and
+// `RGBA(0, 0, 0, .5)` are the same value as far as the browser is concerned
+function normalizeValue(value) {
+    return canonicalizeColors(value.replace(/!\s*important\s*$/i, '').trim())
+        .replace(/\s+/g, ' ')
+        .replace(/\s*([,()/])\s*/g, '$1')
+        .toLowerCase();
+}
+
+// Preprocessor expressions can't be compared with the value the browser saw
+function isPreprocessorValue(value, syntax) {
+    if (syntax === 'scss' || syntax === 'sass') {
+        return /\$[\w-]|#\{/.test(value);
+    }
+    if (syntax === 'less') {
+        return /@[\w-]|@\{|~["']/.test(value);
+    }
+    return false;
+}
+
+// Changes whose `from` value no longer matches the declaration in the file,
+// meaning the file moved on since the browser loaded it
+function findValueConflicts(rule, changes, syntax = 'css') {
+    const declarations = rule.children.filter(child => child.type === 'decl');
+    const conflicts = [];
+
+    for (const [property, change] of Object.entries(changes)) {
+        const expected = getExpectedValue(change);
+        const existing = declarations.filter(decl => decl.prop === property).pop();
+        // The page reports what variables resolve to, which can't be compared
+        if (expected === null || !existing || isPreprocessorValue(existing.value, syntax) || existing.value.includes('var(')) {
+            continue;
+        }
+
+        if (normalizeValue(existing.value) !== normalizeValue(expected)) {
+            conflicts.push({ property, expected, current: existing.value, declaration: existing });
+        }
+    }
+
+    return conflicts;
+}
+
+function applyEdits(content, edits) {
+    const sorted = edits.slice().sort((a, b) => b.start - a.start);
+    let result = content;
+
+    for (const edit of sorted) {
+        result = result.substring(0, edit.start) + edit.text + result.substring(edit.end);
+    }
+
+    return result;
+}
+
+function getLineIndent(content, index) {
+    const lineStart = content.lastIndexOf('\n', index - 1) + 1;
+    const prefix = content.substring(lineStart, index);
+    return /^\s*$/.test(prefix) ? prefix : prefix.match(/^\s*/)[0];
+}
+
+// The file's indentation unit: a tab, or the shortest run of leading spaces.
+// Lines starting with `*` are block comment continuations and don't count.
+function detectIndentUnit(content) {
+    let smallest = null;
+
+    for (const match of content.matchAll(/^([ \t]+)[^\s*]/gm)) {
+        if (match[1].startsWith('\t')) return '\t';
+        if (!smallest || match[1].length < smallest.length) smallest = match[1];
+    }
+
+    return smallest || '  ';
+}
+
+function detectNewline(content) {
+    return content.includes('\r\n') ? '\r\n' : '\n';
+}
+
+// Indentation for children of a rule or at-rule block: copied from an existing
+// child on its own line, otherwise one level deeper than the block itself
+function detectChildIndent(content, block) {
+    const firstChild = block.children.find(child => child.type !== 'comment') || block.children[0];
+    if (firstChild && content.lastIndexOf('\n', firstChild.start - 1) >= block.bodyStart) {
+        return getLineIndent(content, firstChild.start);
+    }
+    return getLineIndent(content, block.start) + detectIndentUnit(content);
+}
+
+// Comments that follow a declaration on the same line, like `color: red; /* brand */`
+function findTrailingComments(content, rule, declaration) {
+    const comments = [];
+    let end = declaration.end;
+
+    for (const child of rule.children) {
+        if (child.type !== 'comment' || child.start < end) continue;
+        if (!/^[ \t]*$/.test(content.substring(end, child.start))) break;
+        comments.push(child);
+        end = child.end;
+    }
+
+    return comments;
+}
+
+// Deletes a declaration, taking its whole line when it has one to itself, or
+// wraps it in a comment when `mode` is 'comment'
+function buildRemovalEdit(content, rule, declaration, syntax, mode) {
+    if (mode === 'comment') {
+        const text = content.substring(declaration.start, declaration.end);
+        return {
+            start: declaration.start,
+            end: declaration.end,
+            text: syntax === 'sass' ? `// ${text}` : `/* ${text} */`
+        };
+    }
+
+    const comments = findTrailingComments(content, rule, declaration);
+    const end = comments.length > 0 ? comments[comments.length - 1].end : declaration.end;
+    const lineStart = content.lastIndexOf('\n', declaration.start - 1) + 1;
+    const before = content.substring(lineStart, declaration.start);
+    const after = content.substring(end).match(/^[ \t]*(\r?\n|$)?/);
+
+    if (lineStart > rule.bodyStart && /^[ \t]*$/.test(before) && after[1] !== undefined) {
+        return { start: lineStart, end: end + after[0].length, text: '' };
+    }
+
+    // Sharing the line with other code: take the spacing on one side with it
+    const spacing = content.substring(declaration.end).match(/^[ \t]*/)[0];
+    if (spacing && !/^[ \t]*(\r?\n|$)/.test(content.substring(declaration.end))) {
+        return { start: declaration.start, end: declaration.end + spacing.length, text: '' };
+    }
+    return { start: declaration.start - before.match(/[ \t]*$/)[0].length, end: declaration.end, text: '' };
+}
+
+// Replaces a declaration's value, in the declaration's own format when
+// `format` is given. The value span stops before `!important`, so the flag
+// survives unless the change sets a priority of its own.
+function buildValueEdit(content, declaration, change, format = null) {
+    const { value, important } = getChangeDeclaration(change);
+    let end = declaration.valueEnd;
+    let text = format ? formatValue(declaration.prop, value, declaration.value, format) : value;
+
+    if (important === true && !declaration.important) {
+        text += ' !important';
+    } else if (important === false && declaration.important) {
+        end += content.substring(end).match(/^\s*!\s*important/i)[0].length;
+    }
+
+    return { start: declaration.valueStart, end, text };
+}
+
+// Rewrites `changes` to fit how the rule is authored, so the result matches
+// what the browser shows:
+// - a shorthand the rule writes as longhands only is set through them
+// - a longhand under a shorthand declared after it is merged into that
+//   shorthand when its value can be split (`margin: 0 auto` + `margin-top`)
+// Returns the rewritten changes and the declarations that became stale: ones
+// a changed shorthand resets, and longhands a later shorthand overrides.
+function reconcileShorthands(declarations, changes) {
+    const result = { ...changes };
+    const stale = new Set();
+    const lastOf = property => declarations.filter(decl => decl.prop === property && !stale.has(decl)).pop();
+
+    for (const [property, change] of Object.entries(changes)) {
+        if (isRemoval(change) || !isShorthand(property) || lastOf(property)) continue;
+
+        const { value, important } = getChangeDeclaration(change);
+        const longhands = expandShorthand(property, value);
+        if (!longhands || !Object.keys(longhands).every(longhand => lastOf(longhand))) continue;
+
+        delete result[property];
+        for (const [longhand, longhandValue] of Object.entries(longhands)) {
+            if (!(longhand in result)) {
+                result[longhand] = important === null ? longhandValue : { to: longhandValue, important };
+            }
+        }
+    }
+
+    // A shorthand resets everything it covers; removing one the rule writes as
+    // longhands removes those
+    for (const [property, change] of Object.entries(result)) {
+        if (!isShorthand(property) || (isRemoval(change) && lastOf(property))) continue;
+        for (const decl of declarations) {
+            if (covers(property, decl.prop) && !(decl.prop in result)) {
+                stale.add(decl);
+            }
+        }
+    }
+
+    const merges = new Map(); // shorthand declaration -> { longhand: value }
+    for (const [property, change] of Object.entries(result)) {
+        if (isRemoval(change)) continue;
+
+        const own = lastOf(property);
+        const shorthand = declarations
+            .filter(decl => !stale.has(decl) && covers(decl.prop, property) && (!own || decl.start > own.start))
+            .pop();
+        if (!shorthand || shorthand.prop in result) continue;
+
+        const { value, important } = getChangeDeclaration(change);
+        const longhands = important === null || important === shorthand.important ?
+            expandShorthand(shorthand.prop, shorthand.value) : null;
+        if (longhands && property in longhands) {
+            merges.set(shorthand, { ...(merges.get(shorthand) || longhands), [property]: value });
+            delete result[property];
+        }
+
+        // Edited in place, the longhand would still be overridden by the
+        // shorthand; it goes after it instead
+        if (own) {
+            stale.add(own);
+        }
+    }
+
+    for (const [shorthand, longhands] of merges) {
+        result[shorthand.prop] = composeShorthand(shorthand.prop, longhands);
+    }
+
+    return { changes: result, stale };
+}
+
+// Builds the edits that set each changed property on `rule`. Existing
+// declarations get their value replaced in place; new ones are inserted after
+// the last declaration so they stay ahead of nested rules and @include blocks.
+// Removals delete the declaration the browser uses, or comment it out with
+// `options.removal = 'comment'`. Shorthands and longhands are reconciled first
+// (see reconcileShorthands); stale declarations are always deleted.
+// `options.format` converts values to the authored colors and units.
+function buildDeclarationEdits(content, rule, changes, syntax = 'css', options = {}) {
+    const { removal = 'delete', format = null } = options;
+    const edits = [];
+    const declarations = rule.children.filter(child => child.type === 'decl');
+    const additions = [];
+    const plan = reconcileShorthands(declarations, changes);
+    const removed = plan.stale;
+
+    for (const decl of removed) {
+        edits.push(buildRemovalEdit(content, rule, decl, syntax, 'delete'));
+    }
+
+    for (const [property, change] of Object.entries(plan.changes)) {
+        // The last declaration of a property is the one the browser uses
+        const existing = declarations.filter(decl => decl.prop === property && !removed.has(decl)).pop();
+        if (isRemoval(change)) {
+            if (existing) {
+                edits.push(buildRemovalEdit(content, rule, existing, syntax, removal));
+                removed.add(existing);
+            }
+        } else if (existing) {
+            edits.push(buildValueEdit(content, existing, change, format));
+        } else {
+            additions.push(formatDeclaration(property, change, format));
+        }
+    }
+
+    if (additions.length === 0) {
+        return edits;
+    }
+
+    const terminator = syntax === 'sass' ? '' : ';';
+    const newline = detectNewline(content);
+    const remaining = declarations.filter(decl => !removed.has(decl));
+    const lastDeclaration = remaining[remaining.length - 1];
+    const bodyText = content.substring(rule.bodyStart, rule.bodyEnd);
+    const singleLine = syntax !== 'sass' && !bodyText.includes('\n') && rule.children.length > 0;
+
+    let insertAt;
+    let prefix = '';
+    if (lastDeclaration) {
+        insertAt = lastDeclaration.end;
+        if (terminator && content[lastDeclaration.end - 1] !== ';') {
+            prefix = ';';
+        }
+
+        // Keep a trailing comment on the line of the declaration it annotates
+        const trailingComment = rule.children.find(child => 
+            child.type === 'comment' &&
+            child.start >= lastDeclaration.end &&
+            !content.substring(lastDeclaration.end, child.start).includes('\n')
+        );
+        if (trailingComment && !singleLine && !prefix) {
+            insertAt = trailingComment.end;
+        }
+    } else {
+        insertAt = syntax === 'sass' ? rule.bodyStart : rule.bodyStart + 1;
+    }
+
+    let text;
+    if (singleLine) {
+        text = prefix + additions.map(declaration => ` ${declaration}${terminator}`).join('');
+    } else {
+        const indent = detectChildIndent(content, rule);
+        text = prefix + additions.map(declaration => `${newline}${indent}${declaration}${terminator}`).join('');
+
+        // An empty `{}` needs its closing brace moved to its own line
+        if (syntax !== 'sass' && rule.children.length === 0 && !bodyText.includes('\n')) {
+            text += `${newline}${getLineIndent(content, rule.start)}`;
+        }
+    }
+
+    edits.push({ start: insertAt, end: insertAt, text });
+    return edits;
+}
+
+// Source text for a new rule in the file's syntax and indentation style
+function formatRule(selector, changes, syntax = 'css', options = {}) {
+    const { indent = '', indentUnit = '  ', newline = '\n', format = null } = options;
+    const declarations = Object.entries(changes)
+        .filter(([, change]) => !isRemoval(change))
+        .map(([prop, change]) => formatDeclaration(prop, change, format));
+
+    if (syntax === 'sass') {
+        return `${indent}${selector}${newline}` + 
+            declarations.map(declaration => `${indent}${indentUnit}${declaration}`).join(newline);
+    }
+
+    return `${indent}${selector} {${newline}` +
+        declarations.map(declaration => `${indent}${indentUnit}${declaration};${newline}`).join('') +
+        `${indent}}`;
+}
+
+module.exports = {
+    getChangeValue,
+    getChangeDeclaration,
+    isRemoval,
+    findValueConflicts,
+    applyEdits,
+    buildDeclarationEdits,
+    detectChildIndent,
+    detectIndentUnit,
+    detectNewline,
+    formatRule
+};
@@ -0,0 +1,188 @@
+// Custom Properties - Keeps var() references intact when values change
+//
+// DevTools reports the value a property resolved to, so writing it straight
+// over `color: var(--brand-primary)` would hard-code the color. Each changed
+// property can instead ask for an action:
+//   definition  update `--brand-primary` where it is declared
+//   reference   write `var(--name)` for an existing variable with that value
+// Without one the literal is written and a warning names the variable it
+// bypasses, unless the literal is what the variable already holds.
+
+const { splitValue } = require('./shorthands');
+const { parseColor, formatValue, isEquivalentValue } = require('./value-format');
+const { getChangeDeclaration, isRemoval } = require('./css-writer');
+const { walk } = require('./css-parser');
+
+const VARIABLE_ACTIONS = ['definition', 'reference'];
+
+// Scopes a definition applies to everywhere, preferred over theme scopes
+const GLOBAL_SCOPES = [':root', 'html', ':host'];
+
+class CustomProperties {
+    // `files` is an iterable of [filePath, fileData] with parsed content
+    constructor(files) {
+        this.definitions = new Map(); // name -> [{ filePath, rule, decl }]
+        this.preprocessorVariables = new Set(); // `$name` and `@name` declared anywhere
+
+        for (const [filePath, fileData] of files) {
+            if (!fileData.parsed) continue;
+            walk(fileData.parsed, (node) => {
+                if (node.type !== 'decl') return;
+                if (node.prop.startsWith('--') && node.parent && node.parent.type === 'rule') {
+                    const definitions = this.definitions.get(node.prop) || [];
+                    definitions.push({ filePath, rule: node.parent, decl: node });
+                    this.definitions.set(node.prop, definitions);
+                } else if (/^[$@][\w-]+$/.test(node.prop)) {
+                    this.preprocessorVariables.add(node.prop);
+                }
+            });
+        }
+    }
+
+    // Whether `--name`, `$name` or `@name` is declared in the project
+    isDefined(name) {
+        return name.startsWith('--') ? this.definitions.has(name) : this.preprocessorVariables.has(name);
+    }
+
+    // The declaration to edit for `name`: one in the edited rule itself, then
+    // a global scope outside at-rules, then the first one found
+    getDefinition(name, rule = null) {
+        const definitions = this.definitions.get(name) || [];
+        return definitions.find(definition => definition.rule === rule) ||
+            definitions.find(definition => isGlobalScope(definition.rule)) ||
+            definitions[0] ||
+            null;
+    }
+
+    // Variables whose value is `token`, global ones first
+    findMatches(property, token, format) {
+        const matches = [];
+        for (const [name, definitions] of this.definitions) {
+            const definition = definitions.find(isGlobal) || definitions[0];
+            if (isEquivalentValue(property, token, definition.decl.value, format)) {
+                matches.push({ name, global: isGlobal(definition) });
+            }
+        }
+        return matches.sort((a, b) => b.global - a.global).map(match => match.name);
+    }
+}
+
+function isGlobal(definition) {
+    return isGlobalScope(definition.rule);
+}
+
+function isGlobalScope(rule) {
+    return rule.parent && rule.parent.type === 'stylesheet' && GLOBAL_SCOPES.includes(rule.selector.trim());
+}
+
+function getVariableName(token) {
+    const match = token.match(/^var\(\s*(--[\w-]+)\s*(?:,.*)?\)$/);
+    return match ? match[1] : null;
+}
+
+// Only colors and lengths are worth replacing with a variable; `0`, `auto` or
+// `solid` never are
+function isVariableCandidate(token) {
+    return parseColor(token) !== null || /^[+-]?(\d*\.)?\d*[1-9]\d*(\.\d+)?[a-z%]+$/i.test(token);
+}
+
+function describeBypass(property, value, name, action, definition) {
+    if (action !== 'definition') {
+        return `${property}: ${value} replaces var(${name}) with a literal`;
+    }
+    if (!definition) {
+        return `${name} is not declared in the project; ${property} was written as a literal`;
+    }
+    return `No part of ${property}: ${value} lines up with var(${name}); it was written as a literal`;
+}
+
+// Rewrites `changes` for `rule` (null for a new rule) so var() references
+// survive. `actions` maps properties to 'definition' or 'reference'.
+// Returns the rewritten changes, the definitions to update and warnings.
+function planVariableChanges(rule, changes, actions, customProperties, format) {
+    const result = { changes: { ...changes }, definitions: [], warnings: [] };
+    const declarations = rule ? rule.children.filter(child => child.type === 'decl') : [];
+
+    for (const [property, change] of Object.entries(changes)) {
+        if (isRemoval(change) || property.startsWith('--')) {
+            continue;
+        }
+
+        const action = VARIABLE_ACTIONS.includes(actions[property]) ? actions[property] : null;
+        const { value, important } = getChangeDeclaration(change);
+        const existing = declarations.filter(decl => decl.prop === property).pop();
+        const authoredTokens = existing ? splitValue(existing.value) : [];
+        const tokens = splitValue(value);
+        const aligned = authoredTokens.length === tokens.length;
+        const written = tokens.slice();
+
+        authoredTokens.forEach((authored, index) => {
+            const name = getVariableName(authored);
+            if (!name) return;
+
+            const definition = customProperties.getDefinition(name, rule);
+            const token = aligned ? tokens[index] : null;
+            if (token !== null && definition && isEquivalentValue(property, token, definition.decl.value, format)) {
+                written[index] = authored;
+                return;
+            }
+            // The same edit sets the variable in this rule, which takes care of the value
+            if (definition && definition.rule === rule && changes[name] !== undefined) {
+                written[index] = authored;
+                return;
+            }
+            if (token !== null && definition && action === 'definition') {
+                result.definitions.push({
+                    ...definition,
+                    name,
+                    value: formatValue(property, token, definition.decl.value, format)
+                });
+                written[index] = authored;
+                return;
+            }
+            if (action === 'reference') {
+                return;
+            }
+
+            // The literal takes the place of the variable, so write it the way
+            // the variable's value is written
+            if (token !== null && definition) {
+                written[index] = formatValue(property, token, definition.decl.value, format);
+            }
+            result.warnings.push({
+                property,
+                variable: name,
+                matches: token !== null ? customProperties.findMatches(property, token, format) : [],
+                message: describeBypass(property, token !== null ? written[index] : value, name, action, definition)
+            });
+        });
+
+        if (action === 'reference') {
+            let referenced = false;
+            written.forEach((token, index) => {
+                if (getVariableName(token) || !isVariableCandidate(token)) return;
+                const [match] = customProperties.findMatches(property, token, format);
+                if (match) {
+                    written[index] = `var(${match})`;
+                    referenced = true;
+                }
+            });
+            if (!referenced && !written.some(getVariableName)) {
+                result.warnings.push({ property, variable: null, matches: [], message: `No variable has the value ${value}` });
+            }
+        }
+
+        if (written.join(' ') !== tokens.join(' ')) {
+            result.changes[property] = { to: written.join(' '), important };
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    CustomProperties,
+    VARIABLE_ACTIONS,
+    getVariableName,
+    planVariableChanges
+};
@@ -0,0 +1,313 @@
+// Design Tokens - Snaps incoming values to the project's design scales
+//
+// The tokens file is JSON with a top-level group per scale. Groups nest
+// freely; a token is a string or number (px), or an object with `value` or
+// `$value`, which may point at another token as `{group.name}`:
+//   {
+//     "space": { "1": "4px", "2": "8px", "4": "16px" },
+//     "color": { "brand": { "primary": { "$value": "#0055ff" } } },
+//     "font-size": { "sm": ".875rem", "base": "1rem" },
+//     "radius": { "sm": "2px", "md": "4px" }
+//   }
+// A token is named by its path, so `space.4` is written `var(--space-4)` in
+// CSS, `$space-4` in Sass and `@space-4` in LESS. It is only offered by name
+// when the project declares that variable (a Sass or LESS file may use the
+// CSS custom property instead); otherwise only its value is.
+//
+// A color or length close to a token is offered as that token; one with no
+// token near it on its property's scale is off-scale. Each changed property
+// can take the offer:
+//   token  write the token's reference
+//   scale  write the token's exact value
+
+const fs = require('fs').promises;
+const { splitValue } = require('./shorthands');
+const { parseColor, toPixels } = require('./value-format');
+const { getChangeDeclaration, isRemoval } = require('./css-writer');
+
+const TOKEN_ACTIONS = ['token', 'scale'];
+
+// Top-level group names for each scale
+const SCALES = {
+    spacing: ['spacing', 'space'],
+    color: ['color', 'colors', 'palette'],
+    'font-size': ['font-size', 'font-sizes'],
+    radius: ['radius', 'radii', 'border-radius']
+};
+
+const SCALE_LABELS = { spacing: 'spacing', color: 'color', 'font-size': 'font size', radius: 'radius' };
+
+// A length snaps to a token within this fraction of its size (at least 1px),
+// a color within this distance in RGB space
+const LENGTH_TOLERANCE = 0.1;
+const COLOR_TOLERANCE = 12;
+
+const COLOR_PROPERTIES = /(^|-)color$|^(fill|stroke|background|border(-(top|right|bottom|left))?|outline|column-rule|text-decoration|box-shadow|text-shadow)$/;
+const SPACING_PROPERTIES = /^((scroll-)?(margin|padding)(-(top|right|bottom|left|block|inline)(-(start|end))?)?|gap|row-gap|column-gap|inset(-(block|inline)(-(start|end))?)?|top|right|bottom|left)$/;
+const RADIUS_PROPERTIES = /^border(-(top|bottom|start|end)-(left|right|start|end))?-radius$/;
+
+class DesignTokenError extends Error {
+    constructor(message, filePath) {
+        super(message);
+        this.name = 'DesignTokenError';
+        this.filePath = filePath;
+    }
+}
+
+class DesignTokens {
+    constructor(filePath = null) {
+        this.filePath = filePath;
+        this.scales = {}; // scale -> [{ name, value }]
+        this.loadedAt = null; // mtime of the loaded file
+    }
+
+    async load() {
+        if (!this.filePath) return;
+
+        let stats;
+        let data;
+        try {
+            stats = await fs.stat(this.filePath);
+            data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            throw new DesignTokenError(`Could not read tokens file ${this.filePath}: ${error.message}`, this.filePath);
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new DesignTokenError(`Tokens file ${this.filePath} must contain an object`, this.filePath);
+        }
+
+        this.scales = parseTokens(data, this.filePath);
+        this.loadedAt = stats.mtimeMs;
+        const counts = Object.entries(this.scales).map(([scale, tokens]) => `${tokens.length} ${SCALE_LABELS[scale]}`);
+        console.log(`Loaded design tokens from ${this.filePath}: ${counts.join(', ') || 'none'}`);
+    }
+
+    // Picks up edits to the tokens file; a broken edit keeps the last good tokens
+    async refresh() {
+        if (!this.filePath) return;
+
+        try {
+            const stats = await fs.stat(this.filePath);
+            if (stats.mtimeMs !== this.loadedAt) {
+                await this.load();
+            }
+        } catch (error) {
+            console.error(`Keeping previous design tokens: ${error.message}`);
+        }
+    }
+
+    describe() {
+        if (!this.filePath) return null;
+        const counts = {};
+        for (const [scale, tokens] of Object.entries(this.scales)) {
+            counts[scale] = tokens.length;
+        }
+        return { file: this.filePath, scales: counts };
+    }
+
+    // The token closest to `token` on `scale` as { token, exact, near }, or
+    // null when the scale is empty or `token` isn't comparable
+    findNearest(scale, token, property, format) {
+        const tokens = this.scales[scale] || [];
+        let best = null;
+
+        for (const candidate of tokens) {
+            const distance = measure(scale, token, candidate.value, property, format);
+            if (distance === null || (best && distance >= best.distance)) continue;
+            best = { token: candidate, distance };
+        }
+        if (!best) {
+            return null;
+        }
+
+        const tolerance = scale === 'color'
+            ? COLOR_TOLERANCE
+            : Math.max(1, LENGTH_TOLERANCE * toPixels(best.token.value, property, format));
+        return { token: best.token, exact: best.distance < 0.001, near: best.distance <= tolerance };
+    }
+}
+
+function toKebabCase(segment) {
+    return segment.replace(/([a-z0-9])([A-Z])/g, '$1-$2').replace(/[^\w-]+/g, '-').toLowerCase();
+}
+
+function getScaleForGroup(group) {
+    const name = toKebabCase(group);
+    return Object.keys(SCALES).find(scale => SCALES[scale].includes(name)) || null;
+}
+
+function isTokenLeaf(node) {
+    return typeof node === 'string' || typeof node === 'number' ||
+        (node && typeof node === 'object' && ('value' in node || '$value' in node));
+}
+
+// { scale: [{ name, value }] } from the tokens file's groups. Tokens that
+// aren't a color or length of their scale are skipped.
+function parseTokens(data, filePath) {
+    const leaves = new Map(); // dotted path -> raw value
+    const collect = (node, segments) => {
+        if (isTokenLeaf(node)) {
+            leaves.set(segments.join('.'), typeof node === 'object' ? (node.$value !== undefined ? node.$value : node.value) : node);
+            return;
+        }
+        if (!node || typeof node !== 'object') return;
+        for (const [key, child] of Object.entries(node)) {
+            if (!key.startsWith('$')) collect(child, [...segments, key]);
+        }
+    };
+    collect(data, []);
+
+    const scales = {};
+    for (const [tokenPath, raw] of leaves) {
+        const segments = tokenPath.split('.');
+        const scale = getScaleForGroup(segments[0]);
+        if (!scale) {
+            continue;
+        }
+
+        const value = resolveAlias(raw, leaves);
+        const isValid = scale === 'color'
+            ? typeof value === 'string' && parseColor(value) !== null
+            : typeof value === 'string' && toPixels(value, 'margin') !== null;
+        if (!isValid) {
+            console.log(`Skipping design token ${tokenPath} in ${filePath}: ${JSON.stringify(raw)} is not a ${SCALE_LABELS[scale]} value`);
+            continue;
+        }
+
+        (scales[scale] = scales[scale] || []).push({ name: segments.map(toKebabCase).join('-'), value });
+    }
+
+    for (const group of Object.keys(data)) {
+        if (!group.startsWith('$') && !getScaleForGroup(group)) {
+            console.log(`Ignoring token group "${group}" in ${filePath}: not a spacing, color, font size or radius scale`);
+        }
+    }
+    return scales;
+}
+
+// Follows `{group.name}` references; numbers are px
+function resolveAlias(value, leaves, seen = new Set()) {
+    if (typeof value === 'number') {
+        return `${value}px`;
+    }
+    const match = typeof value === 'string' && value.match(/^\{([^}]+)\}$/);
+    if (!match || seen.has(match[1]) || !leaves.has(match[1])) {
+        return value;
+    }
+    seen.add(match[1]);
+    return resolveAlias(leaves.get(match[1]), leaves, seen);
+}
+
+// Distance between a value and a token value: RGB distance for colors, px
+// for lengths; null when they can't be compared
+function measure(scale, token, tokenValue, property, format) {
+    if (scale === 'color') {
+        const color = parseColor(token);
+        const other = parseColor(tokenValue);
+        if (!color || !other || Math.abs(color.a - other.a) > 0.01) return null;
+        return Math.hypot(color.r - other.r, color.g - other.g, color.b - other.b);
+    }
+
+    const px = toPixels(token, property, format);
+    const tokenPx = toPixels(tokenValue, property, format);
+    return px === null || tokenPx === null ? null : Math.abs(px - tokenPx);
+}
+
+// The scale a part of `property`'s value is checked against, or null
+function getScale(property, token, format) {
+    if (parseColor(token)) {
+        return COLOR_PROPERTIES.test(property) ? 'color' : null;
+    }
+    // Zero and negative lengths are never off-scale
+    const px = toPixels(token, property, format);
+    if (px === null || px <= 0) return null;
+    if (property === 'font-size') return 'font-size';
+    if (RADIUS_PROPERTIES.test(property)) return 'radius';
+    if (SPACING_PROPERTIES.test(property)) return 'spacing';
+    return null;
+}
+
+// The token's variable as the file would write it, or null when the project
+// declares none
+function formatReference(name, syntax, customProperties) {
+    const prefix = syntax === 'scss' || syntax === 'sass' ? '$' : syntax === 'less' ? '@' : null;
+    if (prefix && customProperties.isDefined(prefix + name)) {
+        return prefix + name;
+    }
+    return customProperties.isDefined(`--${name}`) ? `var(--${name})` : null;
+}
+
+// Checks `changes` against the design tokens. Returns the changes with the
+// chosen `actions` applied, offers of tokens near the incoming values, and
+// the values that are off-scale. An offer's `reference` is null when a token
+// has no variable in the project, and `token` then writes the scale value.
+function planTokenChanges(changes, actions, designTokens, customProperties, syntax, format) {
+    const result = { changes: { ...changes }, suggestions: [], offScale: [] };
+
+    for (const [property, change] of Object.entries(changes)) {
+        if (isRemoval(change) || property.startsWith('--')) {
+            continue;
+        }
+
+        const { value, important } = getChangeDeclaration(change);
+        const parts = splitValue(value);
+        const references = parts.slice();
+        const scaleValues = parts.slice();
+        const names = [];
+        let exact = true;
+
+        parts.forEach((part, index) => {
+            const scale = getScale(property, part, format);
+            const nearest = scale ? designTokens.findNearest(scale, part, property, format) : null;
+            if (!nearest) return;
+
+            const { token } = nearest;
+            if (!nearest.near) {
+                result.offScale.push({
+                    property,
+                    value: part,
+                    scale,
+                    nearest: token,
+                    message: `${property}: ${part} is off the ${SCALE_LABELS[scale]} scale (nearest ${token.name}: ${token.value})`
+                });
+                return;
+            }
+            references[index] = formatReference(token.name, syntax, customProperties);
+            scaleValues[index] = token.value;
+            names.push(token.name);
+            exact = exact && nearest.exact;
+        });
+
+        if (names.length === 0) {
+            continue;
+        }
+
+        const reference = references.includes(null) ? null : references.join(' ');
+        if (exact && !reference) {
+            // Already the token's value, and there's no variable to write
+            continue;
+        }
+        const action = TOKEN_ACTIONS.includes(actions[property]) ? actions[property] : null;
+        if (action) {
+            result.changes[property] = { to: action === 'token' && reference ? reference : scaleValues.join(' '), important };
+        } else {
+            result.suggestions.push({
+                property,
+                value,
+                tokens: names,
+                exact,
+                reference,
+                scaleValue: scaleValues.join(' ')
+            });
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    DesignTokens,
+    DesignTokenError,
+    TOKEN_ACTIONS,
+    planTokenChanges
+};
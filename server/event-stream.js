@@ -0,0 +1,57 @@
+// Event Stream - Server-Sent Events channel pushing server activity to the extension
+//
+// Clients keep `GET /events` open and receive one `event:` / `data:` frame per
+// event. A comment line every HEARTBEAT_INTERVAL keeps proxies and the
+// extension's service worker from treating the connection as idle.
+
+const HEARTBEAT_INTERVAL = 25000;
+const RETRY_DELAY = 3000;
+
+class EventStream {
+    constructor() {
+        this.clients = new Set();
+        this.nextId = 1;
+    }
+
+    // Express handler that subscribes the request to all future events
+    handler() {
+        return (req, res) => {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+            res.write(`retry: ${RETRY_DELAY}\n\n`);
+
+            const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+            this.clients.add(res);
+            console.log(`Event stream client connected (${this.clients.size} open)`);
+
+            req.on('close', () => {
+                clearInterval(heartbeat);
+                this.clients.delete(res);
+                console.log(`Event stream client disconnected (${this.clients.size} open)`);
+            });
+        };
+    }
+
+    // Sends an event to every connected client
+    broadcast(type, data = {}) {
+        const frame = `id: ${this.nextId++}\nevent: ${type}\ndata: ${JSON.stringify({ ...data, timestamp: Date.now() })}\n\n`;
+        for (const client of this.clients) {
+            client.write(frame);
+        }
+    }
+
+    close() {
+        for (const client of this.clients) {
+            client.end();
+        }
+        this.clients.clear();
+    }
+}
+
+module.exports = {
+    EventStream
+};
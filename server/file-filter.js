@@ -0,0 +1,117 @@
+// File Filter - Decides which files under a project root are synced
+//
+// Patterns follow .gitignore conventions: a pattern without a slash matches a
+// file or directory name anywhere in the tree (`*.scss`, `node_modules`), one
+// with a slash matches the path relative to the root (`src/styles/**`).
+// `**` spans directories, `*` and `?` stay within one path segment and
+// `{a,b}` matches either alternative.
+
+const path = require('path');
+const { SUPPORTED_EXTENSIONS } = require('./css-parser');
+
+const DEFAULT_INCLUDE = SUPPORTED_EXTENSIONS.map(extension => `*${extension}`);
+const DEFAULT_EXCLUDE = ['node_modules', '.git', '.vscode', 'dist', 'build', '.next', 'coverage'];
+
+function globToRegExp(pattern) {
+    return new RegExp(`^${globSource(pattern)}$`);
+}
+
+function globSource(pattern) {
+    let source = '';
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+
+        if (pattern.slice(i) === '/**') {
+            // `dir/**` also matches the directory itself, so it can be skipped whole
+            source += '(?:/.*)?';
+            break;
+        } else if (char === '*' && pattern[i + 1] === '*') {
+            // `**/` matches zero or more directories, a trailing `**` everything below
+            if (pattern[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{') {
+            const close = pattern.indexOf('}', i);
+            if (close === -1) {
+                source += '\\{';
+                continue;
+            }
+            const alternatives = pattern.slice(i + 1, close).split(',').map(globSource);
+            source += `(?:${alternatives.join('|')})`;
+            i = close;
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+
+    return source;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+function compilePattern(pattern) {
+    const normalized = pattern.replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/$/, '');
+    return {
+        pattern,
+        anchored: normalized.includes('/'),
+        regex: globToRegExp(normalized.replace(/^\//, ''))
+    };
+}
+
+function toPosix(relativePath) {
+    return relativePath.split(path.sep).join('/');
+}
+
+class FileFilter {
+    constructor(options = {}) {
+        const { include = DEFAULT_INCLUDE, exclude = DEFAULT_EXCLUDE } = options;
+        this.include = include.map(compilePattern);
+        this.exclude = exclude.map(compilePattern);
+    }
+
+    // True when the path or one of its parent directories matches an exclude
+    // pattern. `relativePath` is relative to the project root.
+    isExcluded(relativePath) {
+        const segments = toPosix(relativePath).split('/').filter(Boolean);
+
+        return this.exclude.some(({ anchored, regex }) => {
+            if (!anchored) {
+                return segments.some(segment => regex.test(segment));
+            }
+            for (let i = 1; i <= segments.length; i++) {
+                if (regex.test(segments.slice(0, i).join('/'))) return true;
+            }
+            return false;
+        });
+    }
+
+    // Whether a file is synced: a stylesheet the parser supports, matched by an
+    // include pattern and not excluded
+    isIncluded(relativePath) {
+        const posixPath = toPosix(relativePath);
+        if (!SUPPORTED_EXTENSIONS.includes(path.extname(posixPath).toLowerCase()) || this.isExcluded(posixPath)) {
+            return false;
+        }
+
+        const baseName = path.posix.basename(posixPath);
+        return this.include.some(({ anchored, regex }) => regex.test(anchored ? posixPath : baseName));
+    }
+}
+
+module.exports = {
+    FileFilter,
+    globToRegExp,
+    DEFAULT_INCLUDE,
+    DEFAULT_EXCLUDE
+};
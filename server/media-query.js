@@ -0,0 +1,266 @@
+// Media Query evaluation against the viewport context reported by the extension
+//
+// The context mirrors what the inspected page sees:
+//   { width, height, devicePixelRatio, colorScheme, pointer, hover, reducedMotion, mobile }
+// Features the context does not describe are treated as matching so that
+// rules are never excluded on information we do not have.
+
+const ROOT_FONT_SIZE = 16;
+
+function evaluateMediaQuery(params, context) {
+    if (!context) return true;
+
+    const queries = splitTopLevel(params.toLowerCase(), ',');
+    if (queries.length === 0) return true;
+
+    return queries.some(query => evaluateSingleQuery(query, context));
+}
+
+function evaluateSingleQuery(query, context) {
+    let text = query.trim();
+    let negate = false;
+
+    if (text.startsWith('not ')) {
+        negate = true;
+        text = text.slice(4).trim();
+    } else if (text.startsWith('only ')) {
+        text = text.slice(5).trim();
+    }
+
+    let result = true;
+
+    // Leading media type: `screen and (...)`
+    const typeMatch = text.match(/^([a-z-]+)\s*(?:and\s+|$)/);
+    if (typeMatch && typeMatch[1] !== 'and') {
+        const mediaType = typeMatch[1];
+        if (mediaType === 'print' || mediaType === 'speech') {
+            result = false;
+        }
+        text = text.slice(typeMatch[0].length);
+    }
+
+    if (result && text) {
+        // `(a) or (b)` is true when any branch is, `and` binds tighter
+        const branches = splitTopLevel(text, ' or ');
+        result = branches.some(branch => {
+            const conditions = branch.match(/\((?:[^()]|\([^()]*\))*\)/g) || [];
+            return conditions.every(condition => evaluateCondition(condition.slice(1, -1).trim(), context));
+        });
+    }
+
+    return negate ? !result : result;
+}
+
+function evaluateCondition(condition, context) {
+    if (condition.startsWith('not ')) {
+        return !evaluateCondition(condition.slice(4).trim().replace(/^\((.*)\)$/, '$1'), context);
+    }
+
+    if (/[<>=]/.test(condition) && !condition.includes(':')) {
+        return evaluateRange(condition, context);
+    }
+
+    const [rawFeature, rawValue] = condition.split(':').map(part => part && part.trim());
+    let feature = rawFeature;
+    let comparison = '=';
+
+    if (feature.startsWith('min-')) {
+        feature = feature.slice(4);
+        comparison = '>=';
+    } else if (feature.startsWith('max-')) {
+        feature = feature.slice(4);
+        comparison = '<=';
+    }
+    if (feature.startsWith('-webkit-min-')) {
+        feature = feature.slice(12);
+        comparison = '>=';
+    } else if (feature.startsWith('-webkit-max-')) {
+        feature = feature.slice(12);
+        comparison = '<=';
+    }
+
+    const actual = getContextValue(feature, context);
+    if (actual === undefined || actual === null) {
+        return true;
+    }
+
+    // Boolean form: `(hover)`, `(color)`
+    if (rawValue === undefined) {
+        return actual !== 'none' && actual !== 0 && actual !== false;
+    }
+
+    if (typeof actual === 'number') {
+        const expected = toNumber(rawValue, feature);
+        if (expected === null) return true;
+        return compare(actual, comparison, expected);
+    }
+
+    return actual === rawValue;
+}
+
+// `(width <= 600px)` or `(400px < width <= 800px)`
+function evaluateRange(condition, context) {
+    const parts = condition.split(/(<=|>=|<|>|=)/).map(part => part.trim()).filter(Boolean);
+    let result = true;
+
+    for (let i = 0; i + 2 < parts.length; i += 2) {
+        const left = parts[i];
+        const operator = parts[i + 1];
+        const right = parts[i + 2];
+        const feature = /^[a-z-]+$/.test(left) ? left : right;
+        const actual = getContextValue(feature, context);
+
+        if (typeof actual !== 'number') continue;
+
+        const leftValue = left === feature ? actual : toNumber(left, feature);
+        const rightValue = right === feature ? actual : toNumber(right, feature);
+        if (leftValue === null || rightValue === null) continue;
+
+        result = result && compare(leftValue, operator, rightValue);
+    }
+
+    return result;
+}
+
+function getContextValue(feature, context) {
+    switch (feature) {
+        case 'width':
+        case 'device-width':
+            return context.width;
+        case 'height':
+        case 'device-height':
+            return context.height;
+        case 'aspect-ratio':
+            return context.width && context.height ? context.width / context.height : undefined;
+        case 'orientation':
+            if (!context.width || !context.height) return undefined;
+            return context.height >= context.width ? 'portrait' : 'landscape';
+        case 'resolution':
+        case 'device-pixel-ratio':
+            return context.devicePixelRatio;
+        case 'prefers-color-scheme':
+            return context.colorScheme;
+        case 'prefers-reduced-motion':
+            return context.reducedMotion;
+        case 'hover':
+        case 'any-hover':
+            return context.hover;
+        case 'pointer':
+        case 'any-pointer':
+            return context.pointer;
+        default:
+            return undefined;
+    }
+}
+
+function toNumber(value, feature) {
+    const match = String(value).trim().match(/^(-?[\d.]+)\s*([a-z%]*)$/);
+    if (!match) {
+        // aspect-ratio: 16/9
+        const ratio = String(value).match(/^([\d.]+)\s*\/\s*([\d.]+)$/);
+        return ratio ? parseFloat(ratio[1]) / parseFloat(ratio[2]) : null;
+    }
+
+    const number = parseFloat(match[1]);
+    const unit = match[2];
+
+    if (feature === 'resolution' || feature === 'device-pixel-ratio') {
+        if (unit === 'dpi') return number / 96;
+        if (unit === 'dpcm') return (number * 2.54) / 96;
+        return number;
+    }
+
+    switch (unit) {
+        case '':
+        case 'px':
+            return number;
+        case 'em':
+        case 'rem':
+            return number * ROOT_FONT_SIZE;
+        default:
+            return null;
+    }
+}
+
+function compare(actual, operator, expected) {
+    switch (operator) {
+        case '>=': return actual >= expected;
+        case '<=': return actual <= expected;
+        case '>': return actual > expected;
+        case '<': return actual < expected;
+        default: return Math.abs(actual - expected) < 0.01;
+    }
+}
+
+// Width interval covered by a media query list, used to prefer the narrowest
+// breakpoint that applies. Returns null when the query does not constrain width.
+function getWidthRange(params) {
+    const text = params.toLowerCase();
+    let min = 0;
+    let max = Infinity;
+    let constrained = false;
+
+    const minMatch = text.match(/min-width\s*:\s*([\d.]+[a-z]*)/);
+    const maxMatch = text.match(/max-width\s*:\s*([\d.]+[a-z]*)/);
+    if (minMatch) {
+        min = toNumber(minMatch[1], 'width');
+        constrained = true;
+    }
+    if (maxMatch) {
+        max = toNumber(maxMatch[1], 'width');
+        constrained = true;
+    }
+
+    const rangeRegex = /([\d.]+[a-z]*)?\s*(<=|<|>=|>)?\s*\bwidth\b\s*(<=|<|>=|>)\s*([\d.]+[a-z]*)/g;
+    let rangeMatch;
+    while ((rangeMatch = rangeRegex.exec(text)) !== null) {
+        constrained = true;
+        if (rangeMatch[1] && rangeMatch[2] && rangeMatch[2].startsWith('<')) {
+            min = toNumber(rangeMatch[1], 'width');
+        }
+        const bound = toNumber(rangeMatch[4], 'width');
+        if (rangeMatch[3].startsWith('<')) {
+            max = bound;
+        } else {
+            min = bound;
+        }
+    }
+
+    return constrained ? { min, max } : null;
+}
+
+// Width a range covers; a missing bound leaves that side open
+function getWidthSpan(range) {
+    const min = range.min === null || range.min === undefined ? -Infinity : range.min;
+    const max = range.max === null || range.max === undefined ? Infinity : range.max;
+    return max - min;
+}
+
+function splitTopLevel(text, separator) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+
+        if (depth === 0 && text.startsWith(separator, i)) {
+            parts.push(current);
+            current = '';
+            i += separator.length - 1;
+            continue;
+        }
+        current += char;
+    }
+    parts.push(current);
+
+    return parts.map(part => part.trim()).filter(Boolean);
+}
+
+module.exports = {
+    evaluateMediaQuery,
+    getWidthRange,
+    getWidthSpan
+};
@@ -0,0 +1,77 @@
+// Pairing Token - Shared secret between the extension and the server
+//
+// The token is generated on first start and kept in a file only the current
+// user can read, so the extension stays paired across server restarts. It is
+// printed in the terminal at startup; pasting it into the DevTools panel pairs
+// the extension. Every request must carry it in the `X-CSS-Sync-Token` header.
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+const DEFAULT_TOKEN_PATH = path.join(os.homedir(), '.css-devtools-sync', 'token');
+const TOKEN_HEADER = 'x-css-sync-token';
+
+class PairingToken {
+    constructor(tokenPath = DEFAULT_TOKEN_PATH) {
+        this.tokenPath = tokenPath;
+        this.token = null;
+    }
+
+    // Loads the saved token, or generates one when there is none yet
+    async init() {
+        try {
+            const saved = (await fs.readFile(this.tokenPath, 'utf8')).trim();
+            if (saved) {
+                this.token = saved;
+                return this.token;
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Error reading pairing token:', error);
+            }
+        }
+
+        return this.rotate();
+    }
+
+    // Replaces the token, invalidating the old one for every client
+    async rotate() {
+        this.token = crypto.randomBytes(24).toString('hex');
+        await fs.mkdir(path.dirname(this.tokenPath), { recursive: true });
+        await fs.writeFile(this.tokenPath, this.token + '\n', { encoding: 'utf8', mode: 0o600 });
+        await fs.chmod(this.tokenPath, 0o600);
+        return this.token;
+    }
+
+    verify(candidate) {
+        if (!this.token || typeof candidate !== 'string') {
+            return false;
+        }
+
+        const expected = Buffer.from(this.token);
+        const received = Buffer.from(candidate);
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+
+    // Express middleware rejecting requests without the current token
+    middleware() {
+        return (req, res, next) => {
+            if (this.verify(req.get(TOKEN_HEADER))) {
+                return next();
+            }
+
+            res.status(401).json({
+                success: false,
+                unauthorized: true,
+                error: `Missing or invalid pairing token. Copy it from the server terminal or ${this.tokenPath}`
+            });
+        };
+    }
+}
+
+module.exports = {
+    PairingToken,
+    TOKEN_HEADER
+};
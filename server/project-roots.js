@@ -0,0 +1,105 @@
+// Project Roots - Allowlist of directories the server may write to
+//
+// Roots are canonicalized with symlinks resolved, and so is every path checked
+// against them, so neither `..` segments nor a symlink inside a project can
+// lead a write outside of it.
+
+const fs = require('fs').promises;
+const path = require('path');
+
+class PathNotAllowedError extends Error {
+    constructor(message, filePath) {
+        super(message);
+        this.name = 'PathNotAllowedError';
+        this.filePath = filePath;
+    }
+}
+
+class ProjectRoots {
+    constructor() {
+        this.roots = [];
+    }
+
+    // Replaces the allowlist. Every root must be an existing directory.
+    async setRoots(rootPaths) {
+        const roots = [];
+
+        for (const rootPath of rootPaths) {
+            if (!rootPath) continue;
+
+            let realPath;
+            try {
+                realPath = await fs.realpath(path.resolve(rootPath));
+            } catch (error) {
+                throw new PathNotAllowedError(`Project path does not exist: ${rootPath}`, rootPath);
+            }
+
+            const stats = await fs.stat(realPath);
+            if (!stats.isDirectory()) {
+                throw new PathNotAllowedError(`Project path is not a directory: ${rootPath}`, rootPath);
+            }
+
+            if (!roots.includes(realPath)) {
+                roots.push(realPath);
+            }
+        }
+
+        this.roots = roots;
+        return roots;
+    }
+
+    getRoots() {
+        return this.roots.slice();
+    }
+
+    // Canonical path of a file or directory that may not exist yet: the real
+    // path of its nearest existing ancestor plus the remaining segments
+    async canonicalize(filePath) {
+        const resolvedPath = path.resolve(filePath);
+        const missing = [];
+        let current = resolvedPath;
+
+        while (true) {
+            try {
+                const realPath = await fs.realpath(current);
+                return path.join(realPath, ...missing.reverse());
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+
+                const parent = path.dirname(current);
+                if (parent === current) {
+                    return resolvedPath;
+                }
+                missing.push(path.basename(current));
+                current = parent;
+            }
+        }
+    }
+
+    async isAllowed(filePath) {
+        const canonicalPath = await this.canonicalize(filePath);
+        return this.roots.some(root => isInside(root, canonicalPath));
+    }
+
+    // Throws PathNotAllowedError unless the path is inside a configured root
+    async assertAllowed(filePath) {
+        if (this.roots.length === 0) {
+            throw new PathNotAllowedError('No project path configured; set one before syncing changes', filePath);
+        }
+        if (!(await this.isAllowed(filePath))) {
+            throw new PathNotAllowedError(`Path is outside the configured project roots: ${filePath}`, filePath);
+        }
+    }
+}
+
+function isInside(rootPath, filePath) {
+    const relative = path.relative(rootPath, filePath);
+    return relative === '' ||
+        (relative !== '..' && !relative.startsWith('..' + path.sep) && !path.isAbsolute(relative));
+}
+
+module.exports = {
+    ProjectRoots,
+    PathNotAllowedError,
+    isInside
+};
@@ -2,22 +2,66 @@ const express = require('express');
 const cors = require('cors');
 const fs = require('fs').promises;
 const path = require('path');
+const { fileURLToPath } = require('url');
 const chokidar = require('chokidar');
+const { CSSParser, getStyleRules, getAtRuleAncestors, walk, getSyntaxForFile, getPosition, getOffset, getLineNumber, splitSelectorList, getPseudoSignature } = require('./css-parser');
+const { applyEdits, buildDeclarationEdits, findValueConflicts, formatRule, isRemoval, detectChildIndent, detectIndentUnit, detectNewline, getChangeValue } = require('./css-writer');
+const { evaluateMediaQuery, getWidthRange, getWidthSpan } = require('./media-query');
+const { SourceMapResolver, getSourcePathSegments } = require('./source-maps');
+const { ChangeJournal, JournalConflictError } = require('./change-journal');
+const { createUnifiedDiff } = require('./unified-diff');
+const { ProjectRoots, PathNotAllowedError, isInside } = require('./project-roots');
+const { PairingToken } = require('./pairing-token');
+const { FileFilter } = require('./file-filter');
+const { loadConfig, saveSettings, ConfigError, USAGE } = require('./config');
+const { EventStream } = require('./event-stream');
+const { UrlMappings, UrlMappingError } = require('./url-mappings');
+const { describeFileFormat, DEFAULT_ROOT_FONT_SIZE } = require('./value-format');
+const { CustomProperties, planVariableChanges } = require('./custom-properties');
+const { DesignTokens, planTokenChanges } = require('./design-tokens');
+const { SHORTHANDS } = require('./shorthands');
+
+const NEW_FILE_HEADER = '/* CSS DevTools Sync - Auto-generated */\n';
+
+// An unlink followed by an add of the same content within this window is a rename
+const RENAME_WINDOW = 1000;
+
+// A rule is edited without asking when its selector scores above MATCH_THRESHOLD
+// and no other rule comes within AMBIGUITY_MARGIN of it. Rules scoring at least
+// MIN_CANDIDATE_SCORE (a shared class) are offered when the user has to choose.
+const MATCH_THRESHOLD = 50;
+const MIN_CANDIDATE_SCORE = 30;
+const AMBIGUITY_MARGIN = 10;
+const MAX_CANDIDATES = 8;
 
 class CSSSync {
-    constructor() {
+    constructor(config = {}) {
         this.app = express();
-        this.port = 3001;
-        this.projectPath = null;
-        this.domainMappings = {}; // Map domains to specific paths
+        this.port = config.port || 3001;
+        this.projectPath = config.root || null;
+        this.domainMappings = config.domainMappings || {}; // Map domains to specific paths
+        this.urlMappings = new UrlMappings(config.urlMappings); // Map stylesheet URL prefixes to directories
+        this.removalMode = config.removal || 'delete'; // Delete or comment out declarations removed in DevTools
+        this.rootFontSize = config.rootFontSize || DEFAULT_ROOT_FONT_SIZE; // px per rem when writing values
+        this.designTokens = new DesignTokens(config.tokens); // Scales incoming values are snapped to
+        this.fileFilter = new FileFilter(config); // Which files under a root are synced
+        this.settingsPath = config.settingsPath;
         this.cssFiles = new Map(); // Cache of CSS file contents
+        this.watchers = new Map(); // Watched root path -> chokidar watcher
+        this.recentlyRemoved = []; // Files unlinked in the last RENAME_WINDOW, for rename detection
+        this.sourceMaps = new SourceMapResolver();
+        this.journal = new ChangeJournal();
+        this.projectRoots = new ProjectRoots(); // The only directories the server writes to
+        this.pairingToken = new PairingToken();
+        this.events = new EventStream(); // Pushes file, change and config events to the extension
         this.setupMiddleware();
         this.setupRoutes();
     }
 
     setupMiddleware() {
+        // Only the extension and local dev pages; arbitrary sites must not reach the file writer
         this.app.use(cors({
-            origin: ['chrome-extension://*', 'http://localhost:*', 'https://*'],
+            origin: [/^chrome-extension:\/\/[a-p]{32}$/, /^http:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/],
             credentials: true
         }));
         this.app.use(express.json());
@@ -27,6 +71,9 @@ class CSSSync {
             console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
             next();
         });
+
+        // Every route requires the pairing token
+        this.app.use(this.pairingToken.middleware());
     }
 
     setupRoutes() {
@@ -36,6 +83,11 @@ class CSSSync {
                 status: 'running',
                 projectPath: this.projectPath,
                 domainMappings: this.domainMappings,
+                urlMappings: this.urlMappings.toObject(),
+                removal: this.removalMode,
+                rootFontSize: this.rootFontSize,
+                tokens: this.designTokens.describe(),
+                shorthands: Object.keys(SHORTHANDS),
                 cssFilesLoaded: this.cssFiles.size,
                 supportedDomains: Object.keys(this.domainMappings)
             });
@@ -44,27 +96,54 @@ class CSSSync {
         // Set project configuration (replaces old set-project-path)
         this.app.post('/set-project-configuration', async (req, res) => {
             try {
-                const { projectPath, domainMappings = {}, currentDomain, activePath } = req.body;
+                const {
+                    projectPath,
+                    domainMappings = this.domainMappings,
+                    urlMappings = this.urlMappings.toObject(),
+                    currentDomain,
+                    activePath
+                } = req.body;
                 
                 console.log('Setting project configuration:', {
                     projectPath,
                     domainMappings,
+                    urlMappings,
                     currentDomain,
                     activePath
                 });
 
-                // Update configuration
-                if (projectPath) {
-                    this.projectPath = path.resolve(projectPath);
-                }
+                // The project path and the domain and URL mapping paths are the allowlisted roots
+                const newProjectPath = projectPath ? path.resolve(projectPath) : this.projectPath;
+                const newUrlMappings = new UrlMappings(urlMappings);
+                await this.projectRoots.setRoots([
+                    newProjectPath,
+                    ...Object.values(domainMappings),
+                    ...newUrlMappings.getDirectories()
+                ]);
+
+                // Update configuration and keep it for the next start
+                this.projectPath = newProjectPath;
                 this.domainMappings = domainMappings;
+                this.urlMappings = newUrlMappings;
+                await saveSettings({
+                    projectPath: this.projectPath,
+                    domainMappings: this.domainMappings,
+                    urlMappings: this.urlMappings.toObject()
+                }, this.settingsPath);
 
                 // Load CSS files for the active path
                 const targetPath = activePath || projectPath;
                 if (targetPath) {
+                    await this.projectRoots.assertAllowed(targetPath);
                     await this.loadCSSFilesForPath(targetPath);
                 }
                 
+                this.events.broadcast('config-updated', {
+                    projectPath: this.projectPath,
+                    domainMappings: this.domainMappings,
+                    urlMappings: this.urlMappings.toObject()
+                });
+                
                 console.log(`Configuration updated. Active path: ${targetPath}`);
                 console.log(`Domain mappings:`, this.domainMappings);
                 console.log(`Loaded ${this.cssFiles.size} CSS files`);
@@ -73,10 +152,14 @@ class CSSSync {
                     success: true, 
                     projectPath: this.projectPath,
                     domainMappings: this.domainMappings,
+                    urlMappings: this.urlMappings.toObject(),
                     activePath: targetPath,
                     filesLoaded: this.cssFiles.size
                 });
             } catch (error) {
+                if (error instanceof PathNotAllowedError || error instanceof UrlMappingError) {
+                    return res.status(400).json({ success: false, error: error.message });
+                }
                 console.error('Error setting project configuration:', error);
                 res.status(500).json({ success: false, error: error.message });
             }
@@ -90,33 +173,117 @@ class CSSSync {
                 
                 console.log(`Applying CSS change for domain: ${domain}`);
                 
-                // Determine target path for this domain
-                let targetPath = this.projectPath;
-                if (domain && this.domainMappings[domain]) {
-                    targetPath = this.domainMappings[domain];
-                    console.log(`Using domain-specific path: ${targetPath}`);
-                } else if (changeData.targetPath) {
-                    targetPath = changeData.targetPath;
-                }
-
+                const targetPath = this.getTargetPath(changeData);
                 if (!targetPath) {
                     return res.status(400).json({ 
                         success: false, 
                         error: 'No target path configured for this domain' 
                     });
                 }
+                await this.projectRoots.assertAllowed(targetPath);
 
                 // Load CSS files for this path if not already loaded
                 await this.ensureCSSFilesLoaded(targetPath);
 
                 const result = await this.applyCSSChange(changeData, targetPath);
-                res.json(result);
+                if (result.success) {
+                    this.broadcastChangeApplied(result.created ? 'create' : 'update', {
+                        domain,
+                        file: result.fullPath,
+                        selector: result.resolvedSelector || result.selector,
+                        journalId: result.journalId,
+                        changes: result.changes
+                    });
+                    for (const definitionFile of result.definitionFiles || []) {
+                        this.broadcastChangeApplied('update', {
+                            domain,
+                            file: definitionFile.fullPath,
+                            selector: result.resolvedSelector || result.selector,
+                            journalId: definitionFile.journalId,
+                            changes: definitionFile.variables
+                        });
+                    }
+                } else if (result.conflict) {
+                    this.events.broadcast('conflict', {
+                        domain,
+                        file: result.fullPath,
+                        selector: result.selector,
+                        conflicts: result.conflicts
+                    });
+                }
+                res.status(result.conflict ? 409 : result.ambiguous ? 300 : 200).json(result);
             } catch (error) {
+                if (error instanceof PathNotAllowedError) {
+                    console.log(`Rejected write outside project roots: ${error.filePath}`);
+                    return res.status(403).json({ success: false, error: error.message });
+                }
                 console.error('Error applying CSS change:', error);
                 res.status(500).json({ success: false, error: error.message });
             }
         });
 
+        // Same matching and rewrite as /apply-css-change, but returns a diff instead of writing
+        this.app.post('/preview-css-change', async (req, res) => {
+            try {
+                const changeData = req.body;
+                const targetPath = this.getTargetPath(changeData);
+                if (!targetPath) {
+                    return res.status(400).json({ 
+                        success: false, 
+                        error: 'No target path configured for this domain' 
+                    });
+                }
+                await this.projectRoots.assertAllowed(targetPath);
+
+                await this.ensureCSSFilesLoaded(targetPath);
+
+                const result = await this.applyCSSChange(changeData, targetPath, { dryRun: true });
+                res.status(result.conflict ? 409 : result.ambiguous ? 300 : 200).json(result);
+            } catch (error) {
+                if (error instanceof PathNotAllowedError) {
+                    return res.status(403).json({ success: false, error: error.message });
+                }
+                console.error('Error previewing CSS change:', error);
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // Which of the page's stylesheets come from a changed file, so the
+        // extension can refresh them without reloading the page
+        this.app.post('/stylesheets-for-file', async (req, res) => {
+            try {
+                const { file, styleSheets = [] } = req.body;
+                const targetPath = this.getTargetPath(req.body);
+                if (!file || !targetPath) {
+                    return res.status(400).json({ success: false, error: 'file and a target path are required' });
+                }
+
+                const filePath = path.resolve(file);
+                await this.projectRoots.assertAllowed(filePath);
+                await this.ensureCSSFilesLoaded(targetPath);
+
+                const fileData = this.cssFiles.get(filePath);
+                if (!fileData) {
+                    return res.status(404).json({ success: false, error: `Not a synced stylesheet: ${file}` });
+                }
+
+                const matches = await this.findStyleSheetsForFile(filePath, styleSheets, targetPath);
+                res.json({
+                    success: true,
+                    file: filePath,
+                    styleSheets: matches,
+                    // Only needed for in-place replacement
+                    text: matches.some(match => match.method === 'setText') ? fileData.content : null
+                });
+            } catch (error) {
+                if (error instanceof PathNotAllowedError) {
+                    return res.status(403).json({ success: false, error: error.message });
+                }
+                console.error('Error finding stylesheets for file:', error);
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
         // Get domain configuration
         this.app.get('/domain-config/:domain', (req, res) => {
             const domain = req.params.domain;
@@ -127,6 +294,130 @@ class CSSSync {
             };
             res.json(config);
         });
+
+        // Live events for the extension (Server-Sent Events)
+        this.app.get('/events', this.events.handler());
+
+        // Pairing token management. Rotate hands the new token to the caller;
+        // revoke only prints it here, so every client has to pair again.
+        this.app.post('/pairing/rotate', async (req, res) => {
+            const token = await this.pairingToken.rotate();
+            console.log('Pairing token rotated');
+            res.json({ success: true, token });
+            // Open event streams were authorized with the old token
+            this.events.close();
+        });
+
+        this.app.post('/pairing/revoke', async (req, res) => {
+            await this.pairingToken.rotate();
+            console.log('Pairing token revoked. New token for pairing:');
+            this.printPairingToken();
+            res.json({ success: true });
+            this.events.close();
+        });
+
+        // Change journal, newest first
+        this.app.get('/history', (req, res) => {
+            const { file, domain, limit } = req.query;
+            const entries = this.journal.getEntries({
+                file: file ? path.resolve(file) : null,
+                domain,
+                limit: limit ? parseInt(limit, 10) : 50
+            });
+            res.json({ success: true, entries });
+        });
+
+        this.app.post('/undo/:id', async (req, res) => {
+            await this.handleJournalRequest(res, this.journal.getEntry(req.params.id), 'undo');
+        });
+
+        this.app.post('/redo/:id', async (req, res) => {
+            await this.handleJournalRequest(res, this.journal.getEntry(req.params.id), 'redo');
+        });
+
+        this.app.post('/undo-last', async (req, res) => {
+            const domain = req.body && req.body.domain;
+            await this.handleJournalRequest(res, this.journal.getLastApplied(domain), 'undo');
+        });
+    }
+
+    // action is 'update', 'create', 'undo' or 'redo'
+    broadcastChangeApplied(action, details) {
+        this.events.broadcast('change-applied', { action, ...details });
+    }
+
+    // Target path for a change: the domain mapping, else the path sent with the change, else the project path
+    getTargetPath(changeData) {
+        const domain = changeData.domain;
+        if (domain && this.domainMappings[domain]) {
+            console.log(`Using domain-specific path: ${this.domainMappings[domain]}`);
+            return this.domainMappings[domain];
+        }
+        return changeData.targetPath || this.projectPath;
+    }
+
+    async handleJournalRequest(res, entry, action) {
+        if (!entry) {
+            return res.status(404).json({ success: false, error: 'No matching change in the journal' });
+        }
+
+        try {
+            const result = await this.revertJournalEntry(entry, action);
+            this.broadcastChangeApplied(action, {
+                domain: entry.domain,
+                file: entry.file,
+                selector: entry.selector,
+                journalId: entry.id
+            });
+            res.json(result);
+        } catch (error) {
+            if (error instanceof JournalConflictError) {
+                this.events.broadcast('conflict', {
+                    domain: entry.domain,
+                    file: entry.file,
+                    selector: entry.selector,
+                    journalId: entry.id,
+                    error: error.message
+                });
+                console.log(`Cannot ${action} change ${entry.id}: ${error.message}`);
+                return res.status(409).json({ success: false, conflict: true, error: error.message, entry });
+            }
+            if (error instanceof PathNotAllowedError) {
+                return res.status(403).json({ success: false, error: error.message, entry });
+            }
+            console.error(`Error during ${action}:`, error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    async revertJournalEntry(entry, action) {
+        await this.projectRoots.assertAllowed(entry.file);
+
+        // Always work from the file on disk, it may have been edited since
+        const currentContent = await fs.readFile(entry.file, 'utf8');
+        const updatedContent = action === 'undo'
+            ? this.journal.revert(entry, currentContent)
+            : this.journal.reapply(entry, currentContent);
+
+        await fs.writeFile(entry.file, updatedContent, 'utf8');
+        await this.loadCSSFile(entry.file);
+        await this.journal.markStatus(entry, action === 'undo' ? 'undone' : 'applied');
+
+        console.log(`${action === 'undo' ? 'Undid' : 'Redid'} change ${entry.id} in ${entry.file}`);
+        return { success: true, action, entry };
+    }
+
+    // Writes a stylesheet, records the change in the journal and refreshes the cache
+    async writeCSSFile(filePath, content, details = {}) {
+        const fileData = this.cssFiles.get(filePath);
+        const previousContent = fileData ? fileData.content : '';
+
+        await this.projectRoots.assertAllowed(filePath);
+        await fs.writeFile(filePath, content, 'utf8');
+        const entry = await this.journal.record(filePath, previousContent, content, details);
+        await this.loadCSSFile(filePath);
+
+        return entry;
     }
 
     async ensureCSSFilesLoaded(targetPath) {
@@ -135,7 +426,7 @@ class CSSSync {
         let hasFilesForPath = false;
         
         for (const [filePath] of this.cssFiles) {
-            if (filePath.startsWith(resolvedPath)) {
+            if (isInside(resolvedPath, filePath)) {
                 hasFilesForPath = true;
                 break;
             }
@@ -160,13 +451,115 @@ class CSSSync {
             }
 
             await this.scanDirectory(resolvedPath);
+            this.watchPath(resolvedPath);
         } catch (error) {
             console.error('Error loading CSS files for path:', error);
             throw error;
         }
     }
 
-    async scanDirectory(dirPath) {
+    // Keeps the cache in sync with edits made outside the server (editors, git, build tools)
+    watchPath(rootPath) {
+        for (const watchedPath of this.watchers.keys()) {
+            if (rootPath === watchedPath || rootPath.startsWith(watchedPath + path.sep)) {
+                return;
+            }
+        }
+
+        // A new root above existing ones replaces their watchers
+        for (const [watchedPath, watcher] of this.watchers) {
+            if (watchedPath.startsWith(rootPath + path.sep)) {
+                watcher.close();
+                this.watchers.delete(watchedPath);
+            }
+        }
+
+        const watcher = chokidar.watch(rootPath, {
+            ignored: watchedPath => watchedPath !== rootPath && this.fileFilter.isExcluded(path.relative(rootPath, watchedPath)),
+            ignoreInitial: true,
+            awaitWriteFinish: { stabilityThreshold: 100, pollInterval: 50 }
+        });
+
+        watcher
+            .on('add', filePath => this.isTrackedFile(filePath, rootPath) && this.handleFileAdded(filePath))
+            .on('change', filePath => this.isTrackedFile(filePath, rootPath) && this.refreshCSSFile(filePath))
+            .on('unlink', filePath => this.handleFileRemoved(filePath))
+            .on('unlinkDir', dirPath => this.handleDirectoryRemoved(dirPath))
+            .on('error', error => console.error(`Watcher error for ${rootPath}:`, error));
+
+        this.watchers.set(rootPath, watcher);
+        console.log(`Watching ${rootPath} for stylesheet changes`);
+    }
+
+    isTrackedFile(filePath, rootPath) {
+        return this.fileFilter.isIncluded(path.relative(rootPath, filePath));
+    }
+
+    // Re-parses a file when its content on disk differs from the cache. The
+    // server's own writes come back as change events with identical content.
+    async refreshCSSFile(filePath) {
+        try {
+            const content = await fs.readFile(filePath, 'utf8');
+            const fileData = this.cssFiles.get(filePath);
+            if (fileData && fileData.content === content) {
+                return;
+            }
+            console.log(`Detected external change: ${filePath}`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Error reading ${filePath}:`, error);
+            }
+            return;
+        }
+
+        await this.loadCSSFile(filePath);
+        this.events.broadcast('file-changed', { file: filePath, reason: 'changed' });
+    }
+
+    async handleFileAdded(filePath) {
+        // Files the server created itself are already cached
+        if (this.cssFiles.has(filePath)) {
+            return this.refreshCSSFile(filePath);
+        }
+
+        await this.loadCSSFile(filePath);
+        const fileData = this.cssFiles.get(filePath);
+        if (!fileData) return;
+
+        const now = Date.now();
+        this.recentlyRemoved = this.recentlyRemoved.filter(removed => now - removed.time < RENAME_WINDOW);
+        const renamedFrom = this.recentlyRemoved.find(removed => removed.content === fileData.content);
+
+        if (renamedFrom) {
+            this.recentlyRemoved.splice(this.recentlyRemoved.indexOf(renamedFrom), 1);
+            console.log(`Detected rename: ${renamedFrom.filePath} -> ${filePath}`);
+            await this.journal.renameFile(renamedFrom.filePath, filePath);
+            this.events.broadcast('file-changed', { file: filePath, reason: 'renamed', previousFile: renamedFrom.filePath });
+        } else {
+            console.log(`Detected new stylesheet: ${filePath}`);
+            this.events.broadcast('file-changed', { file: filePath, reason: 'added' });
+        }
+    }
+
+    handleFileRemoved(filePath) {
+        const fileData = this.cssFiles.get(filePath);
+        if (!fileData) return;
+
+        this.cssFiles.delete(filePath);
+        this.recentlyRemoved.push({ filePath, content: fileData.content, time: Date.now() });
+        console.log(`Stylesheet removed: ${filePath}`);
+        this.events.broadcast('file-changed', { file: filePath, reason: 'removed' });
+    }
+
+    handleDirectoryRemoved(dirPath) {
+        for (const filePath of [...this.cssFiles.keys()]) {
+            if (filePath.startsWith(dirPath + path.sep)) {
+                this.handleFileRemoved(filePath);
+            }
+        }
+    }
+
+    async scanDirectory(dirPath, rootPath = dirPath) {
         try {
             const entries = await fs.readdir(dirPath, { withFileTypes: true });
             
@@ -174,11 +567,11 @@ class CSSSync {
                 const fullPath = path.join(dirPath, entry.name);
                 
                 if (entry.isDirectory()) {
-                    // Skip node_modules and other common directories
-                    if (!['node_modules', '.git', '.vscode', 'dist', 'build', '.next', 'coverage'].includes(entry.name)) {
-                        await this.scanDirectory(fullPath);
+                    // Skip node_modules and other excluded directories
+                    if (!this.fileFilter.isExcluded(path.relative(rootPath, fullPath))) {
+                        await this.scanDirectory(fullPath, rootPath);
                     }
-                } else if (entry.isFile() && entry.name.endsWith('.css')) {
+                } else if (entry.isFile() && this.isTrackedFile(fullPath, rootPath)) {
                     await this.loadCSSFile(fullPath);
                 }
             }
@@ -190,10 +583,12 @@ class CSSSync {
     async loadCSSFile(filePath) {
         try {
             const content = await fs.readFile(filePath, 'utf8');
-            const parsedCSS = this.parseCSS(content);
+            const syntax = getSyntaxForFile(filePath) || 'css';
+            const parsedCSS = this.parseCSS(content, syntax);
             
             this.cssFiles.set(filePath, {
                 content,
+                syntax,
                 parsed: parsedCSS,
                 lastModified: new Date()
             });
@@ -204,103 +599,694 @@ class CSSSync {
         }
     }
 
-    parseCSS(content) {
-        const rules = [];
-        const ruleRegex = /([^{]+)\{([^}]+)\}/g;
-        let match;
-
-        while ((match = ruleRegex.exec(content)) !== null) {
-            const selector = match[1].trim();
-            const declarations = match[2].trim();
-            
-            const properties = {};
-            const propRegex = /([^:;]+):([^;]+)/g;
-            let propMatch;
-            
-            while ((propMatch = propRegex.exec(declarations)) !== null) {
-                const property = propMatch[1].trim();
-                const value = propMatch[2].trim();
-                properties[property] = value;
-            }
-            
-            rules.push({
-                selector,
-                properties,
-                startIndex: match.index,
-                endIndex: match.index + match[0].length
-            });
-        }
-        
-        return rules;
+    parseCSS(content, syntax = 'css') {
+        return new CSSParser({ syntax }).parse(content);
     }
 
-    async applyCSSChange(changeData, targetPath) {
-        const { selectorVariations, changes, classList, domain } = changeData;
+    async applyCSSChange(changeData, targetPath, options = {}) {
+        const { selectorVariations, changes, classList, domain, mediaContext, force = false } = changeData;
+        const { dryRun = false } = options;
+        // Reference size for em values, from the element DevTools changed
+        const fontSize = this.getElementFontSize(changeData);
+        // Per property, whether to edit the variable it references or write one,
+        // and whether to write the design token near its value
+        const variableActions = changeData.variableActions || {};
+        const tokenActions = changeData.tokenActions || {};
         
         if (!selectorVariations || !changes) {
             return { success: false, error: 'Invalid change data' };
         }
+        await this.designTokens.refresh();
+
+        const invalid = Object.keys(changes).filter(property =>
+            !isRemoval(changes[property]) && getChangeValue(changes[property]) === null);
+        if (invalid.length > 0) {
+            return { success: false, error: `No value given for ${invalid.join(', ')}` };
+        }
 
         console.log('Applying CSS change:', {
             domain,
             targetPath,
             variations: selectorVariations.length,
-            changes: Object.keys(changes)
+            changes: Object.keys(changes),
+            viewport: mediaContext ? mediaContext.width : null
         });
 
-        // Find the best matching CSS file and rule within the target path
-        const match = await this.findBestMatch(selectorVariations, classList, targetPath);
+        // The user picked the rule when an earlier match was ambiguous
+        if (changeData.targetRule) {
+            return await this.applyToChosenRule(changeData.targetRule, changeData, targetPath, { domain, dryRun, force, fontSize, variableActions, tokenActions });
+        }
+
+        // DevTools reported the authored rule that supplies the changed properties
+        const originMatch = await this.findOriginMatch(changeData.ruleOrigin, targetPath);
+        if (originMatch) {
+            const result = await this.updateExistingRule(originMatch, changes, targetPath, { domain, dryRun, force, fontSize, variableActions, tokenActions });
+            if (result.success) {
+                result.ruleOrigin = originMatch.ruleOrigin;
+            }
+            return result;
+        }
+
+        // Only the rule DevTools reported declares what was removed. Selector
+        // matching could pick another rule and delete CSS the page still uses.
+        const removals = Object.keys(changes).filter(property => isRemoval(changes[property]));
+        if (removals.length > 0) {
+            return { success: false, error: `No rule origin for the removal of ${removals.join(', ')}, nothing removed` };
+        }
+
+        // Bundled stylesheets with source maps point straight at the authored rule
+        const sourceMappedMatch = await this.findSourceMappedMatch(changeData, targetPath);
+        if (sourceMappedMatch) {
+            const result = await this.updateExistingRule(sourceMappedMatch, changes, targetPath, { domain, dryRun, force, fontSize, variableActions, tokenActions });
+            if (result.success) {
+                result.sourceMap = sourceMappedMatch.sourceMap;
+            }
+            return result;
+        }
+
+        // Stylesheets mapped to local files by URL prefix narrow the search to
+        // those files; scoring every file under the target path is the fallback
+        const mappedFiles = await this.getUrlMappedFiles(changeData.styleSheets);
+        let candidates = [];
+        if (mappedFiles.length > 0) {
+            candidates = this.findCandidates(selectorVariations, classList, targetPath, mediaContext, mappedFiles);
+        }
+        if (!this.isConfidentMatch(candidates[0])) {
+            candidates = this.findCandidates(selectorVariations, classList, targetPath, mediaContext);
+        }
+
+        // Rather than guess between close scores, or create a rule when only weak
+        // matches exist, let the user choose
+        if (this.isAmbiguous(candidates)) {
+            return this.describeCandidates(candidates, selectorVariations[0].selector, targetPath);
+        }
+
+        const match = this.isConfidentMatch(candidates[0]) ? candidates[0] : null;
+        console.log(`Best match found with score ${match ? match.score : 0}:`, match?.rule?.selector);
         
         if (!match) {
             // Create new rule if no match found
-            return await this.createNewRule(selectorVariations[0], changes, targetPath);
+            return await this.createNewRule(selectorVariations[0], changes, targetPath, { mediaContext, domain, dryRun, fontSize, variableActions, tokenActions });
+        }
+
+        // The edit was made at a viewport covered by a breakpoint that already
+        // styles this component: write it into that @media block rather than the
+        // base rule. A block before the rule would lose to it in the cascade.
+        if (mediaContext && !this.isInWidthMediaBlock(match.rule)) {
+            const mediaBlock = this.findMediaBlockForContext(match.filePath, mediaContext, {
+                after: match.rule,
+                relatedTo: match.ruleSelector
+            });
+            if (mediaBlock) {
+                return await this.createNewRule({ selector: match.ruleSelector }, changes, targetPath, {
+                    mediaContext,
+                    domain,
+                    dryRun,
+                    fontSize,
+                    variableActions,
+                    tokenActions,
+                    filePath: match.filePath,
+                    score: match.score
+                });
+            }
         }
 
         // Apply changes to existing rule
-        return await this.updateExistingRule(match, changes, targetPath);
+        return await this.updateExistingRule(match, changes, targetPath, { domain, dryRun, force, fontSize, variableActions, tokenActions });
     }
 
-    async findBestMatch(selectorVariations, classList, targetPath) {
-        let bestMatch = null;
-        let bestScore = 0;
+    // Ranked candidate rules in the given files, or in every file within the target path
+    findCandidates(selectorVariations, classList, targetPath, mediaContext = null, filePaths = null) {
+        const candidates = [];
 
         const resolvedTargetPath = path.resolve(targetPath);
+        const files = filePaths
+            ? filePaths.map(filePath => [filePath, this.cssFiles.get(filePath)])
+            : this.cssFiles;
 
-        for (const [filePath, fileData] of this.cssFiles) {
+        for (const [filePath, fileData] of files) {
             // Only consider files within the target path
-            if (!filePath.startsWith(resolvedTargetPath)) {
+            if (!fileData || (!filePaths && !isInside(resolvedTargetPath, filePath))) {
                 continue;
             }
 
-            for (const rule of fileData.parsed) {
+            for (const candidate of this.rankRules(getStyleRules(fileData.parsed), selectorVariations, classList, mediaContext)) {
+                candidates.push({ filePath, ...candidate });
+            }
+        }
+
+        return candidates.sort((a, b) => b.score - a.score);
+    }
+
+    isConfidentMatch(candidate) {
+        return !!candidate && candidate.selectorScore > MATCH_THRESHOLD;
+    }
+
+    // Several confident matches within AMBIGUITY_MARGIN of the best, or weak
+    // matches only. A best match inside more of the breakpoints that apply to
+    // the viewport is the one to edit, however close the other scores.
+    isAmbiguous(candidates) {
+        if (candidates.length === 0) {
+            return false;
+        }
+        const [best, next] = candidates;
+        if (!this.isConfidentMatch(best)) {
+            return true;
+        }
+        return !!next &&
+            this.isConfidentMatch(next) &&
+            best.score - next.score <= AMBIGUITY_MARGIN &&
+            best.breakdown.media <= next.breakdown.media;
+    }
+
+    describeCandidates(candidates, selector, targetPath) {
+        const confident = this.isConfidentMatch(candidates[0]);
+        console.log(`Ambiguous match for ${selector}: ${candidates.length} candidates, best score ${candidates[0].score}`);
+
+        return {
+            success: false,
+            ambiguous: true,
+            error: confident
+                ? `Several rules match ${selector} about equally well; choose one`
+                : `No rule matches ${selector} confidently; choose one or create a new rule`,
+            selector,
+            candidates: candidates.slice(0, MAX_CANDIDATES).map(candidate => ({
+                file: path.relative(targetPath, candidate.filePath),
+                fullPath: candidate.filePath,
+                line: getLineNumber(this.cssFiles.get(candidate.filePath).content, candidate.rule.start),
+                selector: candidate.rule.selector,
+                resolvedSelector: candidate.ruleSelector,
+                media: this.describeMedia(candidate.rule),
+                score: candidate.score,
+                breakdown: candidate.breakdown
+            }))
+        };
+    }
+
+    getElementFontSize(changeData) {
+        const computedStyles = changeData.computedStyles || {};
+        return parseFloat(computedStyles['font-size']) || null;
+    }
+
+    // Colors and units to write values in: the file's own formats, with the
+    // configured root font size and the element's font size for rem and em
+    getValueFormat(fileData, fontSize) {
+        return {
+            rootFontSize: this.rootFontSize,
+            fontSize,
+            ...(fileData.parsed ? describeFileFormat(fileData.parsed) : {})
+        };
+    }
+
+    // Custom properties declared anywhere within the target path
+    getCustomProperties(targetPath) {
+        const resolvedTargetPath = path.resolve(targetPath);
+        const files = Array.from(this.cssFiles).filter(([filePath]) => isInside(resolvedTargetPath, filePath));
+        return new CustomProperties(files);
+    }
+
+    // Value edits for the variable definitions a change updates, per file. A
+    // definition updated by two properties keeps the last value.
+    buildDefinitionEdits(definitions) {
+        const editsByFile = new Map();
+        for (const { filePath, decl, value } of definitions) {
+            const edits = (editsByFile.get(filePath) || []).filter(edit => edit.start !== decl.valueStart);
+            edits.push({ start: decl.valueStart, end: decl.valueEnd, text: value });
+            editsByFile.set(filePath, edits);
+        }
+        return editsByFile;
+    }
+
+    // `targetRule` is { file, line, selector } of a candidate, or { create: true }
+    async applyToChosenRule(targetRule, changeData, targetPath, context) {
+        const { selectorVariations, changes, mediaContext } = changeData;
+
+        if (targetRule.create) {
+            return await this.createNewRule(selectorVariations[0], changes, targetPath, {
+                mediaContext,
+                domain: context.domain,
+                dryRun: context.dryRun,
+                fontSize: context.fontSize,
+                variableActions: context.variableActions,
+                tokenActions: context.tokenActions
+            });
+        }
+
+        const filePath = path.resolve(targetRule.file);
+        await this.projectRoots.assertAllowed(filePath);
+
+        const rule = this.findChosenRule(filePath, targetRule.line, targetRule.selector);
+        if (!rule) {
+            return {
+                success: false,
+                staleChoice: true,
+                error: `The chosen rule ${targetRule.selector} is no longer in ${path.relative(targetPath, filePath)}`
+            };
+        }
+
+        const match = { filePath, rule, ruleSelector: targetRule.selector, matchedSelector: selectorVariations[0].selector, score: null };
+        return await this.updateExistingRule(match, changes, targetPath, context);
+    }
+
+    // The rule with that selector starting on that line, or the only rule with
+    // that selector if the file changed since it was chosen
+    findChosenRule(filePath, line, selector) {
+        const fileData = this.cssFiles.get(filePath);
+        if (!fileData) {
+            return null;
+        }
+
+        const rules = getStyleRules(fileData.parsed).filter(rule => rule.resolvedSelectors.includes(selector));
+        return rules.find(rule => getLineNumber(fileData.content, rule.start) === line) ||
+            (rules.length === 1 ? rules[0] : null);
+    }
+
+    findBestRuleMatch(rules, selectorVariations, classList, mediaContext) {
+        const [best] = this.rankRules(rules, selectorVariations, classList, mediaContext);
+        return this.isConfidentMatch(best) ? best : null;
+    }
+
+    // Rules scoring at least MIN_CANDIDATE_SCORE against one of the variations,
+    // best first, each with its best selector and how the score came about
+    rankRules(rules, selectorVariations, classList, mediaContext) {
+        const ranked = [];
+
+        for (const rule of rules) {
+            // Rules behind media conditions that exclude the inspected viewport can't be the source
+            const mediaScore = this.calculateMediaScore(rule, mediaContext);
+            if (mediaScore === null) {
+                continue;
+            }
+
+            // Score each selector of a list (`.a, .b`) separately, nested ones fully resolved
+            let best = null;
+            for (const ruleSelector of rule.resolvedSelectors) {
                 for (const variation of selectorVariations) {
-                    const score = this.calculateMatchScore(rule.selector, variation.selector, classList);
-                    
-                    if (score > bestScore) {
-                        bestScore = score;
-                        bestMatch = {
-                            filePath,
+                    const breakdown = this.getMatchScoreBreakdown(ruleSelector, variation.selector, classList);
+                    if (breakdown.total < MIN_CANDIDATE_SCORE) {
+                        continue;
+                    }
+
+                    const score = breakdown.total + mediaScore;
+                    if (!best || score > best.score) {
+                        best = {
                             rule,
+                            ruleSelector,
                             matchedSelector: variation.selector,
-                            score
+                            score,
+                            selectorScore: breakdown.total,
+                            breakdown: { ...breakdown, media: mediaScore }
                         };
                     }
                 }
             }
+
+            if (best) {
+                ranked.push(best);
+            }
+        }
+
+        return ranked.sort((a, b) => b.score - a.score);
+    }
+
+    // Local rule for a rule DevTools matched on the page: `origin` has the
+    // stylesheet's URL (and source map), the selector text and the 0-based
+    // range of the selector in the served stylesheet
+    async findOriginMatch(origin, targetPath) {
+        if (!origin || !origin.sourceURL || !origin.selectorRange) {
+            return null;
+        }
+
+        try {
+            let line = origin.selectorRange.startLine + 1;
+            let column = origin.selectorRange.startColumn;
+            let filePath;
+
+            if (origin.sourceMapURL) {
+                const loaded = await this.sourceMaps.load(origin);
+                const original = loaded && this.sourceMaps.originalPositionFor(loaded, line, column);
+                if (!original) {
+                    return null;
+                }
+                filePath = await this.resolveOriginalSource(original.source, targetPath);
+                line = original.line;
+                column = original.column;
+            } else {
+                filePath = this.urlMappings.resolve(origin.sourceURL) ||
+                    await this.resolveOriginalSource(origin.sourceURL, targetPath);
+            }
+
+            if (!filePath || !getSyntaxForFile(filePath)) {
+                console.log(`Rule origin ${origin.sourceURL} is not a stylesheet inside ${targetPath}`);
+                return null;
+            }
+            if (!this.cssFiles.has(filePath)) {
+                await this.loadCSSFile(filePath);
+            }
+
+            const rule = this.findOriginRule(filePath, line, column, origin.selector);
+            if (!rule) {
+                console.log(`No rule ${origin.selector} in ${filePath}, falling back to selector matching`);
+                return null;
+            }
+
+            const ruleLine = getLineNumber(this.cssFiles.get(filePath).content, rule.start);
+            console.log(`Rule origin: ${origin.selector} in ${origin.sourceURL} -> ${filePath}:${ruleLine}`);
+
+            return {
+                filePath,
+                rule,
+                ruleSelector: rule.resolvedSelectors[0],
+                matchedSelector: origin.selector,
+                score: null,
+                ruleOrigin: {
+                    sourceURL: origin.sourceURL,
+                    selector: origin.selector,
+                    line: origin.selectorRange.startLine + 1
+                }
+            };
+        } catch (error) {
+            console.log(`Could not use rule origin ${origin.sourceURL}: ${error.message}`);
+            return null;
+        }
+    }
+
+    // The rule at the reported position when its selector still matches. If the
+    // file changed since the page loaded it, the only rule with that selector.
+    findOriginRule(filePath, line, column, selector) {
+        const rule = this.findRuleAtPosition(filePath, line, column);
+        if (rule && (!selector || this.isSameSelectorList(rule, selector))) {
+            return rule;
+        }
+        if (!selector) {
+            return null;
+        }
+
+        const candidates = getStyleRules(this.cssFiles.get(filePath).parsed)
+            .filter(candidate => this.isSameSelectorList(candidate, selector));
+        return candidates.length === 1 ? candidates[0] : null;
+    }
+
+    // Compares the rule's selectors, with nesting resolved, to a selector list
+    // as the browser reports it
+    isSameSelectorList(rule, selectorText) {
+        const normalize = selector => selector.replace(/\s*([>+~])\s*/g, '$1');
+        const expected = splitSelectorList(selectorText).map(normalize);
+        const actual = rule.resolvedSelectors.map(normalize);
+        return expected.length === actual.length && expected.every(selector => actual.includes(selector));
+    }
+
+    // Local files of the page's stylesheets, for those under a URL prefix mapping
+    async getUrlMappedFiles(styleSheets = []) {
+        const files = [];
+
+        for (const styleSheet of styleSheets) {
+            const filePath = styleSheet && this.urlMappings.resolve(styleSheet.sourceURL);
+            if (!filePath || files.includes(filePath) || !getSyntaxForFile(filePath)) {
+                continue;
+            }
+
+            if (!this.cssFiles.has(filePath)) {
+                try {
+                    await fs.access(filePath);
+                } catch (error) {
+                    console.log(`Mapped stylesheet ${styleSheet.sourceURL} not found at ${filePath}`);
+                    continue;
+                }
+                await this.loadCSSFile(filePath);
+            }
+            console.log(`URL mapping: ${styleSheet.sourceURL} -> ${filePath}`);
+            files.push(filePath);
+        }
+
+        return files;
+    }
+
+    async findSourceMappedMatch(changeData, targetPath) {
+        const { selectorVariations, classList, mediaContext, styleSheets = [] } = changeData;
+        const mappedSheets = styleSheets.filter(sheet => sheet && sheet.sourceURL && sheet.sourceMapURL);
+        const loads = await Promise.allSettled(mappedSheets.map(styleSheet => this.sourceMaps.load(styleSheet)));
+        let best = null;
+
+        for (const [index, styleSheet] of mappedSheets.entries()) {
+            try {
+                if (loads[index].status === 'rejected') {
+                    throw loads[index].reason;
+                }
+                const loaded = loads[index].value;
+                if (!loaded) continue;
+
+                const compiled = this.parseCSS(loaded.css);
+                const match = this.findBestRuleMatch(getStyleRules(compiled), selectorVariations, classList, mediaContext);
+                if (match && (!best || match.score > best.score)) {
+                    best = { ...match, loaded, styleSheet };
+                }
+            } catch (error) {
+                console.log(`Could not use source map for ${styleSheet.sourceURL}: ${error.message}`);
+            }
+        }
+
+        if (!best) {
+            return null;
+        }
+
+        const position = getPosition(best.loaded.css, best.rule.selectorStart);
+        let original;
+        try {
+            original = this.sourceMaps.originalPositionFor(best.loaded, position.line, position.column);
+        } catch (error) {
+            console.log(`Could not use source map for ${best.styleSheet.sourceURL}: ${error.message}`);
+            return null;
+        }
+        if (!original) {
+            return null;
+        }
+
+        const filePath = await this.resolveOriginalSource(original.source, targetPath);
+        if (!filePath) {
+            console.log(`Source ${original.source} is not inside ${targetPath}, falling back to selector matching`);
+            return null;
+        }
+
+        const rule = this.findRuleAtPosition(filePath, original.line, original.column);
+        if (!rule) {
+            return null;
+        }
+
+        console.log(`Source map: ${best.styleSheet.sourceURL}:${position.line} -> ${filePath}:${original.line}`);
+
+        return {
+            filePath,
+            rule,
+            ruleSelector: rule.resolvedSelectors[0],
+            matchedSelector: best.matchedSelector,
+            score: best.score,
+            sourceMap: {
+                compiledUrl: best.styleSheet.sourceURL,
+                compiledLine: position.line,
+                source: original.source,
+                line: original.line
+            }
+        };
+    }
+
+    // Local file for a source map `sources` entry: an absolute file URL, or the
+    // longest trailing part of its path that exists under the target path
+    async resolveOriginalSource(source, targetPath) {
+        const resolvedTargetPath = path.resolve(targetPath);
+        const candidates = [];
+
+        // A source that is not a valid URL or path (bad escapes, a file URL
+        // with a host) simply has no local file
+        try {
+            if (source.startsWith('file://')) {
+                candidates.push(fileURLToPath(source));
+            }
+
+            const segments = getSourcePathSegments(source);
+            for (let i = 0; i < segments.length; i++) {
+                candidates.push(path.join(resolvedTargetPath, ...segments.slice(i)));
+            }
+        } catch (error) {
+            console.log(`Could not resolve source ${source}: ${error.message}`);
+            return null;
+        }
+
+        for (const candidate of candidates) {
+            if (!isInside(resolvedTargetPath, candidate) || !getSyntaxForFile(candidate)) {
+                continue;
+            }
+            if (this.cssFiles.has(candidate)) {
+                return candidate;
+            }
+            try {
+                await fs.access(candidate);
+                await this.loadCSSFile(candidate);
+                return candidate;
+            } catch (error) {
+                // Not at this location, try a shorter suffix
+            }
+        }
+
+        return null;
+    }
+
+    // Page stylesheets served from a local file, and how to refresh each: plain
+    // CSS served as-is can have its text replaced in place, anything compiled
+    // from the file (found through the sheet's source map) has to be re-fetched
+    async findStyleSheetsForFile(filePath, styleSheets, targetPath) {
+        const syntax = getSyntaxForFile(filePath);
+        const matches = [];
+        // Maps are fetched side by side, each awaited where it's needed
+        const loads = styleSheets.map(styleSheet => styleSheet && styleSheet.sourceURL && styleSheet.sourceMapURL
+            ? this.sourceMaps.load(styleSheet)
+            : Promise.resolve(null));
+        loads.forEach(loading => loading.catch(() => {}));
+
+        for (const [index, styleSheet] of styleSheets.entries()) {
+            if (!styleSheet || !styleSheet.sourceURL) continue;
+
+            try {
+                const servedFrom = this.urlMappings.resolve(styleSheet.sourceURL) ||
+                    await this.resolveOriginalSource(styleSheet.sourceURL, targetPath);
+                if (servedFrom === filePath) {
+                    matches.push({ ...styleSheet, method: syntax === 'css' && !styleSheet.sourceMapURL ? 'setText' : 'reload' });
+                    continue;
+                }
+
+                const loaded = await loads[index];
+                if (!loaded) continue;
+
+                for (const source of this.sourceMaps.getSources(loaded)) {
+                    if (await this.resolveOriginalSource(source, targetPath) === filePath) {
+                        matches.push({ ...styleSheet, method: 'reload' });
+                        break;
+                    }
+                }
+            } catch (error) {
+                console.log(`Could not check ${styleSheet.sourceURL} against ${filePath}: ${error.message}`);
+            }
+        }
+
+        return matches;
+    }
+
+    // Innermost rule at a 1-based line / 0-based column, preferring one whose selector starts there
+    findRuleAtPosition(filePath, line, column) {
+        const fileData = this.cssFiles.get(filePath);
+        if (!fileData) {
+            return null;
+        }
+
+        const offset = getOffset(fileData.content, line, column);
+        let best = null;
+
+        for (const rule of getStyleRules(fileData.parsed)) {
+            if (rule.selectorStart === offset) {
+                return rule;
+            }
+            if (rule.start <= offset && offset < rule.end && (!best || rule.start >= best.start)) {
+                best = rule;
+            }
         }
 
-        console.log(`Best match found with score ${bestScore}:`, bestMatch?.rule?.selector);
+        return best;
+    }
+
+    calculateMediaScore(rule, mediaContext) {
+        let score = 0;
+        
+        for (const atRule of getAtRuleAncestors(rule)) {
+            if (atRule.name !== 'media') {
+                continue;
+            }
+            if (!evaluateMediaQuery(atRule.params, mediaContext)) {
+                return null;
+            }
+            // Prefer rules inside a matching breakpoint over the base rule
+            if (mediaContext) {
+                score += 10;
+            }
+        }
         
-        // Only accept matches with reasonable confidence
-        return bestScore > 50 ? bestMatch : null;
+        return score;
+    }
+
+    isInWidthMediaBlock(rule) {
+        return getAtRuleAncestors(rule).some(atRule => 
+            atRule.name === 'media' && getWidthRange(atRule.params)
+        );
+    }
+
+    // Narrowest width breakpoint in the file that applies to the viewport. With
+    // `after`, only blocks following that rule; with `relatedTo`, only blocks
+    // with a rule sharing a class with that selector.
+    findMediaBlockForContext(filePath, mediaContext, options = {}) {
+        const { after = null, relatedTo = null } = options;
+        const fileData = this.cssFiles.get(filePath);
+        if (!fileData || !mediaContext || !mediaContext.width) {
+            return null;
+        }
+
+        let bestBlock = null;
+        let bestSpan = Infinity;
+
+        walk(fileData.parsed, (node) => {
+            // Only blocks that hold rules directly, not ones nested inside a rule
+            if (node.type === 'rule') {
+                return false;
+            }
+            if (node.type !== 'atrule' || node.name !== 'media' || !node.children) {
+                return;
+            }
+
+            const range = getWidthRange(node.params);
+            const applies = [...getAtRuleAncestors(node), node].every(atRule => 
+                atRule.name !== 'media' || evaluateMediaQuery(atRule.params, mediaContext)
+            );
+            
+            const follows = !after || node.start >= after.end;
+            const related = !relatedTo || this.isRelatedBlock(node, relatedTo);
+            if (!range || !applies || !follows || !related) {
+                return;
+            }
+            // Open-ended blocks (`min-width` only) span to infinity and lose to bounded ones
+            const span = getWidthSpan(range);
+            if (span <= bestSpan) {
+                bestSpan = span;
+                bestBlock = node;
+            }
+        });
+
+        return bestBlock;
+    }
+
+    // Whether a rule in the block shares a class with `selector`
+    isRelatedBlock(block, selector) {
+        const classes = selector.match(/\.[\w-]+/g) || [];
+        return getStyleRules(block).some(rule => rule.resolvedSelectors.some(ruleSelector =>
+            (ruleSelector.match(/\.[\w-]+/g) || []).some(className => classes.includes(className))
+        ));
     }
 
     calculateMatchScore(cssSelector, targetSelector, classList) {
-        let score = 0;
+        return this.getMatchScoreBreakdown(cssSelector, targetSelector, classList).total;
+    }
+
+    getMatchScoreBreakdown(cssSelector, targetSelector, classList) {
+        const breakdown = { exact: 0, classes: 0, tokens: 0, penalty: 0, total: 0 };
         
         // Exact match gets highest score
         if (cssSelector === targetSelector) {
-            return 100;
+            breakdown.exact = 100;
+            breakdown.total = 100;
+            return breakdown;
+        }
+
+        // `.btn:hover` and `.btn::before` style something other than `.btn`; an
+        // edit to one state never goes to another
+        if (getPseudoSignature(cssSelector) !== getPseudoSignature(targetSelector)) {
+            return breakdown;
         }
         
         // Clean selectors for comparison
@@ -311,7 +1297,7 @@ class CSSSync {
         if (classList && classList.length > 0) {
             for (const className of classList) {
                 if (cleanCSS.includes(`.${className}`)) {
-                    score += 30;
+                    breakdown.classes += 30;
                 }
             }
         }
@@ -322,19 +1308,20 @@ class CSSSync {
         
         for (const token of targetTokens) {
             if (cssTokens.includes(token)) {
-                score += 20;
+                breakdown.tokens += 20;
             }
         }
         
         // Penalize overly generic selectors
         if (cleanCSS.length < 3) {
-            score -= 10;
+            breakdown.penalty = -10;
         }
         
-        return Math.max(0, score);
+        breakdown.total = Math.max(0, breakdown.classes + breakdown.tokens + breakdown.penalty);
+        return breakdown;
     }
 
-    async updateExistingRule(match, changes, targetPath) {
+    async updateExistingRule(match, changes, targetPath, context = {}) {
         const { filePath, rule } = match;
         const fileData = this.cssFiles.get(filePath);
         
@@ -343,95 +1330,218 @@ class CSSSync {
         }
 
         try {
-            let updatedContent = fileData.content;
-            let newProperties = { ...rule.properties };
-            
-            // Apply changes to properties
-            for (const [property, change] of Object.entries(changes)) {
-                if (typeof change === 'object' && change.to) {
-                    newProperties[property] = change.to;
-                } else {
-                    newProperties[property] = change;
-                }
+            const relativePath = path.relative(targetPath, filePath);
+
+            // `from` values that no longer match the file mean it changed since the
+            // browser loaded it; writing anyway would silently discard that edit
+            const conflicts = context.force ? [] : findValueConflicts(rule, changes, fileData.syntax);
+            if (conflicts.length > 0) {
+                console.log(`Conflict in ${relativePath} for ${rule.selector}: ${conflicts.map(c => c.property).join(', ')}`);
+                return {
+                    success: false,
+                    conflict: true,
+                    error: `The file no longer matches the page for ${conflicts.map(c => c.property).join(', ')}`,
+                    file: relativePath,
+                    fullPath: filePath,
+                    selector: rule.selector,
+                    conflicts: conflicts.map(({ property, expected, current, declaration }) => {
+                        const position = getPosition(fileData.content, declaration.start);
+                        return { property, expected, current, line: position.line, column: position.column + 1 };
+                    })
+                };
+            }
+
+            // Patch only the changed value spans and insert new declarations in the
+            // rule's own style, so the diff shows exactly the lines that changed
+            const format = this.getValueFormat(fileData, context.fontSize);
+            const customProperties = this.getCustomProperties(targetPath);
+            const plan = planVariableChanges(rule, changes, context.variableActions || {}, customProperties, format);
+            const tokenPlan = planTokenChanges(plan.changes, context.tokenActions || {}, this.designTokens, customProperties, fileData.syntax, format);
+            const definitionEdits = this.buildDefinitionEdits(plan.definitions);
+            const edits = buildDeclarationEdits(fileData.content, rule, tokenPlan.changes, fileData.syntax, {
+                removal: this.removalMode,
+                format
+            });
+            edits.push(...(definitionEdits.get(filePath) || []));
+            definitionEdits.delete(filePath);
+
+            const updatedContent = applyEdits(fileData.content, edits);
+            const updatedFiles = Array.from(definitionEdits, ([definitionPath, fileEdits]) => {
+                const content = this.cssFiles.get(definitionPath).content;
+                const variables = plan.definitions.filter(definition => definition.filePath === definitionPath).map(definition => definition.name);
+                return { filePath: definitionPath, content, updatedContent: applyEdits(content, fileEdits), variables };
+            });
+            const removed = Object.keys(changes).filter(property => isRemoval(changes[property]));
+            const result = {
+                success: true,
+                file: relativePath,
+                fullPath: filePath,
+                selector: rule.selector,
+                resolvedSelector: match.ruleSelector,
+                line: getLineNumber(fileData.content, rule.start),
+                media: this.describeMedia(rule),
+                score: match.score,
+                changes: Object.keys(changes),
+                removed,
+                definitions: plan.definitions.map(definition => ({
+                    variable: definition.name,
+                    file: path.relative(targetPath, definition.filePath),
+                    line: getLineNumber(this.cssFiles.get(definition.filePath).content, definition.decl.start),
+                    selector: definition.rule.selector,
+                    value: definition.value
+                })),
+                warnings: plan.warnings,
+                tokens: tokenPlan.suggestions,
+                offScale: tokenPlan.offScale
+            };
+            for (const warning of [...plan.warnings, ...tokenPlan.offScale]) {
+                console.log(`Warning in ${relativePath} for ${rule.selector}: ${warning.message}`);
+            }
+
+            // Removing a property the rule doesn't declare leaves nothing to write
+            if (updatedContent === fileData.content && updatedFiles.length === 0) {
+                return { ...result, unchanged: true };
             }
             
-            // Reconstruct the CSS rule
-            const newDeclarations = Object.entries(newProperties)
-                .map(([prop, value]) => `  ${prop}: ${value}`)
-                .join(';\n');
-            
-            const newRule = `${rule.selector} {\n${newDeclarations};\n}`;
-            
-            // Replace the old rule in content
-            const beforeRule = updatedContent.substring(0, rule.startIndex);
-            const afterRule = updatedContent.substring(rule.endIndex);
-            updatedContent = beforeRule + newRule + afterRule;
-            
-            // Write back to file
-            await fs.writeFile(filePath, updatedContent, 'utf8');
+            if (context.dryRun) {
+                const diff = createUnifiedDiff(relativePath, fileData.content, updatedContent) +
+                    updatedFiles.map(file => createUnifiedDiff(path.relative(targetPath, file.filePath), file.content, file.updatedContent)).join('');
+                return { ...result, preview: true, diff };
+            }
             
-            // Update cache
-            await this.loadCSSFile(filePath);
+            // Write back to file, journal it and update cache. Definitions in other
+            // files get journal entries of their own.
+            const details = {
+                domain: context.domain,
+                selector: match.ruleSelector || rule.selector,
+                action: 'update'
+            };
+            const journalEntry = updatedContent !== fileData.content
+                ? await this.writeCSSFile(filePath, updatedContent, details)
+                : null;
+            for (const file of updatedFiles) {
+                const entry = await this.writeCSSFile(file.filePath, file.updatedContent, details);
+                file.journalId = entry ? entry.id : null;
+                console.log(`Updated custom properties in ${path.relative(targetPath, file.filePath)}`);
+            }
             
-            const relativePath = path.relative(targetPath, filePath);
             console.log(`Updated CSS rule in ${relativePath}: ${rule.selector}`);
             
             return {
-                success: true,
-                file: relativePath,
-                fullPath: filePath,
-                selector: rule.selector,
-                changes: Object.keys(changes)
+                ...result,
+                journalId: journalEntry ? journalEntry.id : null,
+                definitionFiles: updatedFiles.map(file => ({ fullPath: file.filePath, journalId: file.journalId, variables: file.variables }))
             };
         } catch (error) {
+            if (error instanceof PathNotAllowedError) throw error;
             console.error('Error updating CSS rule:', error);
             return { success: false, error: error.message };
         }
     }
 
-    async createNewRule(selectorVariation, changes, targetPath) {
+    async createNewRule(selectorVariation, changes, targetPath, options = {}) {
+        const {
+            mediaContext = null,
+            filePath = null,
+            domain = null,
+            dryRun = false,
+            score = null,
+            fontSize = null,
+            variableActions = {},
+            tokenActions = {}
+        } = options;
+
+        // A new rule can't remove anything, so it only carries the values being set
+        const declarations = Object.fromEntries(Object.entries(changes).filter(([, change]) => !isRemoval(change)));
+        if (Object.keys(declarations).length === 0) {
+            return { success: false, error: `No rule declares ${Object.keys(changes).join(', ')}, nothing to remove` };
+        }
+        
         // Find the most appropriate CSS file to add the new rule
-        const targetFile = await this.findTargetFile(targetPath);
+        const targetFile = filePath || await this.findTargetFile(targetPath, { dryRun });
         
         if (!targetFile) {
             return { success: false, error: 'No suitable CSS file found' };
         }
 
         try {
-            const properties = Object.entries(changes)
-                .map(([prop, change]) => {
-                    const value = typeof change === 'object' && change.to ? change.to : change;
-                    return `  ${prop}: ${value}`;
-                })
-                .join(';\n');
-            
-            const newRule = `\n\n${selectorVariation.selector} {\n${properties};\n}`;
+            // A dry run does not create the placeholder file, so preview against its initial content
+            const fileData = this.cssFiles.get(targetFile) || { content: NEW_FILE_HEADER, syntax: 'css' };
+            const mediaBlock = mediaContext ? this.findMediaBlockForContext(targetFile, mediaContext) : null;
+            const newline = detectNewline(fileData.content);
+            const format = this.getValueFormat(fileData, fontSize);
+            // A new rule has no var() to keep; only writing references applies
+            const customProperties = this.getCustomProperties(targetPath);
+            const plan = planVariableChanges(null, declarations, variableActions, customProperties, format);
+            const tokenPlan = planTokenChanges(plan.changes, tokenActions, this.designTokens, customProperties, fileData.syntax, format);
             
-            // Append to file
-            const fileData = this.cssFiles.get(targetFile);
-            const updatedContent = fileData.content + newRule;
+            const newRule = newline + newline + formatRule(selectorVariation.selector, tokenPlan.changes, fileData.syntax, {
+                indent: mediaBlock ? detectChildIndent(fileData.content, mediaBlock) : '',
+                indentUnit: detectIndentUnit(fileData.content),
+                newline,
+                format
+            });
             
-            await fs.writeFile(targetFile, updatedContent, 'utf8');
-            await this.loadCSSFile(targetFile);
+            // Append to the matching breakpoint, or to the end of the file
+            let updatedContent;
+            if (mediaBlock) {
+                const insertAt = this.findBlockInsertionPoint(fileData.content, mediaBlock);
+                const closing = mediaBlock.children.length > 0 ? '' : newline;
+                updatedContent = fileData.content.substring(0, insertAt) + newRule + closing +
+                    fileData.content.substring(insertAt);
+            } else {
+                updatedContent = fileData.content + newRule;
+            }
             
             const relativePath = path.relative(targetPath, targetFile);
-            console.log(`Created new CSS rule in ${relativePath}: ${selectorVariation.selector}`);
-            
-            return {
+            const result = {
                 success: true,
                 file: relativePath,
                 fullPath: targetFile,
                 selector: selectorVariation.selector,
-                changes: Object.keys(changes),
-                created: true
+                media: mediaBlock ? mediaBlock.params : null,
+                score,
+                changes: Object.keys(declarations),
+                created: true,
+                warnings: plan.warnings,
+                tokens: tokenPlan.suggestions,
+                offScale: tokenPlan.offScale
             };
+            
+            if (dryRun) {
+                return { ...result, preview: true, diff: createUnifiedDiff(relativePath, fileData.content, updatedContent) };
+            }
+            
+            const journalEntry = await this.writeCSSFile(targetFile, updatedContent, {
+                domain,
+                selector: selectorVariation.selector,
+                action: 'create'
+            });
+            
+            console.log(`Created new CSS rule in ${relativePath}: ${selectorVariation.selector}`);
+            
+            return { ...result, journalId: journalEntry ? journalEntry.id : null };
         } catch (error) {
+            if (error instanceof PathNotAllowedError) throw error;
             console.error('Error creating CSS rule:', error);
             return { success: false, error: error.message };
         }
     }
 
-    async findTargetFile(targetPath) {
+    describeMedia(rule) {
+        const conditions = getAtRuleAncestors(rule)
+            .filter(atRule => atRule.name === 'media')
+            .map(atRule => atRule.params);
+        return conditions.length > 0 ? conditions.join(' and ') : null;
+    }
+
+    // Just after the last child of a block, so the closing brace keeps its line
+    findBlockInsertionPoint(content, block) {
+        const lastChild = block.children[block.children.length - 1];
+        return lastChild ? lastChild.end : block.bodyStart + 1;
+    }
+
+    async findTargetFile(targetPath, options = {}) {
         const resolvedTargetPath = path.resolve(targetPath);
         
         // Find CSS files within the target path
@@ -439,7 +1549,7 @@ class CSSSync {
         let maxSize = 0;
         
         for (const [filePath, fileData] of this.cssFiles) {
-            if (filePath.startsWith(resolvedTargetPath) && fileData.content.length > maxSize) {
+            if (isInside(resolvedTargetPath, filePath) && fileData.content.length > maxSize) {
                 maxSize = fileData.content.length;
                 targetFile = filePath;
             }
@@ -448,14 +1558,58 @@ class CSSSync {
         // If no CSS files found, create main.css in target directory
         if (!targetFile) {
             targetFile = path.join(resolvedTargetPath, 'main.css');
-            await fs.writeFile(targetFile, '/* CSS DevTools Sync - Auto-generated */\n', 'utf8');
-            await this.loadCSSFile(targetFile);
+            if (!options.dryRun) {
+                await this.projectRoots.assertAllowed(targetFile);
+                await fs.writeFile(targetFile, NEW_FILE_HEADER, 'utf8');
+                await this.loadCSSFile(targetFile);
+            }
         }
         
         return targetFile;
     }
 
-    start() {
+    // Project root and domain mappings from the CLI, config file or last session
+    async loadConfiguredProject() {
+        if (!this.projectPath && Object.keys(this.domainMappings).length === 0) {
+            return;
+        }
+
+        try {
+            await this.projectRoots.setRoots([
+                this.projectPath,
+                ...Object.values(this.domainMappings),
+                ...this.urlMappings.getDirectories()
+            ]);
+            if (this.projectPath) {
+                await this.loadCSSFilesForPath(this.projectPath);
+            }
+            console.log(`Project: ${this.projectPath || '(none)'}, ${this.cssFiles.size} stylesheets loaded`);
+        } catch (error) {
+            console.error(`Could not load the configured project: ${error.message}`);
+        }
+    }
+
+    // A missing or broken tokens file only turns the token offers off; they
+    // come back once the file is fixed, as refresh() picks up the change
+    async loadDesignTokens() {
+        try {
+            await this.designTokens.load();
+        } catch (error) {
+            console.error(`${error.message}. Syncing without design tokens.`);
+        }
+    }
+
+    printPairingToken() {
+        console.log(`  ${this.pairingToken.token}`);
+        console.log(`  (also saved in ${this.pairingToken.tokenPath})`);
+    }
+
+    async start() {
+        await this.journal.load();
+        await this.pairingToken.init();
+        await this.loadDesignTokens();
+        await this.loadConfiguredProject();
+        
         this.app.listen(this.port, () => {
             console.log(`CSS DevTools Sync Server running on http://localhost:${this.port}`);
             console.log('Ready to sync CSS changes from any domain to local files');
@@ -464,10 +1618,35 @@ class CSSSync {
             console.log('  ✓ Domain-specific CSS path mapping');
             console.log('  ✓ Intelligent CSS selector matching');
             console.log('  ✓ Incremental updates only');
+            console.log('  ✓ Change journal with undo/redo');
+            console.log('Pairing token (paste it into the CSS Sync DevTools panel):');
+            this.printPairingToken();
         });
     }
 }
 
-// Start the server
-const cssSync = new CSSSync();
-cssSync.start();
\ No newline at end of file
+if (require.main === module) {
+    // Start the server
+    loadConfig({ argv: process.argv.slice(2) })
+        .then(config => {
+            if (config.help) {
+                console.log(USAGE);
+                return;
+            }
+            if (config.configFile) {
+                console.log(`Using config file ${config.configFile}`);
+            }
+            const cssSync = new CSSSync(config);
+            return cssSync.start();
+        })
+        .catch(error => {
+            if (error instanceof ConfigError) {
+                console.error(`Error: ${error.message}\n\n${USAGE}`);
+            } else {
+                console.error('Failed to start server:', error);
+            }
+            process.exit(1);
+        });
+}
+
+module.exports = { CSSSync };
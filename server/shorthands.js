@@ -0,0 +1,221 @@
+// Shorthands - Shorthand/longhand property families
+//
+// Each shorthand lists the properties it sets. Some of those are shorthands
+// themselves (`border` sets `border-top`, which sets `border-top-width`...), so
+// coverage is decided on the leaf longhands. Shorthands with a `syntax` can
+// be split into their longhand values and put back together:
+//   box   1-4 values in top, right, bottom, left order (`margin: 0 auto`)
+//   pair  1-2 values, the second defaulting to the first (`gap: 8px`)
+//   flex  grow, shrink and basis, with the `auto` and `none` keywords
+// Values of the other shorthands (`font`, `background`, `grid`...) are never
+// taken apart; only their coverage is used.
+//
+// Shorthands come before the ones they set. The extension gets the names in
+// this order from `/status` and reports the first one an element's inline
+// style can serialize in place of its longhands.
+
+const SHORTHANDS = {
+    'margin': { longhands: boxSides('margin-{}'), syntax: 'box' },
+    'padding': { longhands: boxSides('padding-{}'), syntax: 'box' },
+    'inset': { longhands: boxSides('{}'), syntax: 'box' },
+    'scroll-margin': { longhands: boxSides('scroll-margin-{}'), syntax: 'box' },
+    'scroll-padding': { longhands: boxSides('scroll-padding-{}'), syntax: 'box' },
+    'border': { longhands: ['border-top', 'border-right', 'border-bottom', 'border-left', 'border-image'] },
+    'border-top': { longhands: ['border-top-width', 'border-top-style', 'border-top-color'] },
+    'border-right': { longhands: ['border-right-width', 'border-right-style', 'border-right-color'] },
+    'border-bottom': { longhands: ['border-bottom-width', 'border-bottom-style', 'border-bottom-color'] },
+    'border-left': { longhands: ['border-left-width', 'border-left-style', 'border-left-color'] },
+    'border-width': { longhands: boxSides('border-{}-width'), syntax: 'box' },
+    'border-style': { longhands: boxSides('border-{}-style'), syntax: 'box' },
+    'border-color': { longhands: boxSides('border-{}-color'), syntax: 'box' },
+    'border-radius': {
+        longhands: ['border-top-left-radius', 'border-top-right-radius', 'border-bottom-right-radius', 'border-bottom-left-radius'],
+        syntax: 'box'
+    },
+    'border-image': {
+        longhands: ['border-image-source', 'border-image-slice', 'border-image-width', 'border-image-outset', 'border-image-repeat']
+    },
+    'outline': { longhands: ['outline-color', 'outline-style', 'outline-width'] },
+    'background': {
+        longhands: [
+            'background-image', 'background-position', 'background-size', 'background-repeat',
+            'background-attachment', 'background-origin', 'background-clip', 'background-color'
+        ]
+    },
+    'background-position': { longhands: ['background-position-x', 'background-position-y'] },
+    'font': {
+        longhands: ['font-style', 'font-variant', 'font-weight', 'font-stretch', 'font-size', 'line-height', 'font-family']
+    },
+    'list-style': { longhands: ['list-style-type', 'list-style-position', 'list-style-image'] },
+    'text-decoration': {
+        longhands: ['text-decoration-line', 'text-decoration-style', 'text-decoration-color', 'text-decoration-thickness']
+    },
+    'flex': { longhands: ['flex-grow', 'flex-shrink', 'flex-basis'], syntax: 'flex' },
+    'flex-flow': { longhands: ['flex-direction', 'flex-wrap'] },
+    'gap': { longhands: ['row-gap', 'column-gap'], syntax: 'pair' },
+    'overflow': { longhands: ['overflow-x', 'overflow-y'], syntax: 'pair' },
+    'place-items': { longhands: ['align-items', 'justify-items'], syntax: 'pair' },
+    'place-content': { longhands: ['align-content', 'justify-content'], syntax: 'pair' },
+    'place-self': { longhands: ['align-self', 'justify-self'], syntax: 'pair' },
+    'grid': {
+        longhands: ['grid-template', 'grid-auto-rows', 'grid-auto-columns', 'grid-auto-flow']
+    },
+    'grid-template': { longhands: ['grid-template-rows', 'grid-template-columns', 'grid-template-areas'] },
+    'grid-area': { longhands: ['grid-row', 'grid-column'] },
+    'grid-row': { longhands: ['grid-row-start', 'grid-row-end'] },
+    'grid-column': { longhands: ['grid-column-start', 'grid-column-end'] },
+    'columns': { longhands: ['column-width', 'column-count'] },
+    'transition': {
+        longhands: ['transition-property', 'transition-duration', 'transition-timing-function', 'transition-delay', 'transition-behavior']
+    },
+    'animation': {
+        longhands: [
+            'animation-name', 'animation-duration', 'animation-timing-function', 'animation-delay',
+            'animation-iteration-count', 'animation-direction', 'animation-fill-mode', 'animation-play-state'
+        ]
+    }
+};
+
+function boxSides(pattern) {
+    return ['top', 'right', 'bottom', 'left'].map(side => pattern.replace('{}', side));
+}
+
+function isShorthand(property) {
+    return Object.prototype.hasOwnProperty.call(SHORTHANDS, property);
+}
+
+// The leaf longhands a property sets: itself unless it is a shorthand
+function getLonghands(property) {
+    if (!isShorthand(property)) {
+        return [property];
+    }
+    return SHORTHANDS[property].longhands.flatMap(getLonghands);
+}
+
+// Whether setting `shorthand` also sets every longhand of `property`
+function covers(shorthand, property) {
+    if (shorthand === property || !isShorthand(shorthand)) {
+        return false;
+    }
+    const longhands = getLonghands(shorthand);
+    return getLonghands(property).every(longhand => longhands.includes(longhand));
+}
+
+// Splits a value on top-level whitespace, keeping functions and strings whole
+function splitValue(value) {
+    const parts = [];
+    let current = '';
+    let depth = 0;
+    let quote = null;
+
+    for (const char of value.trim()) {
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === '\'') {
+            quote = char;
+        } else if (char === '(') {
+            depth++;
+        } else if (char === ')') {
+            depth--;
+        } else if (/\s/.test(char) && depth === 0) {
+            if (current) parts.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    if (current) parts.push(current);
+
+    return parts;
+}
+
+// A variable can stand for any number of values, and a `/` or comma means a
+// form the simple syntaxes don't model (`border-radius: 4px / 8px`)
+function isExpandable(value) {
+    return !/var\(|\$[\w-]|@[\w-]|#\{|~["']|[,/]/.test(value);
+}
+
+// Longhand values of a shorthand value as { longhand: value }, or null when
+// the shorthand can't be split
+function expandShorthand(property, value) {
+    const shorthand = SHORTHANDS[property];
+    if (!shorthand || !shorthand.syntax || !isExpandable(value)) {
+        return null;
+    }
+
+    const parts = splitValue(value);
+    let values;
+    if (shorthand.syntax === 'box' && parts.length >= 1 && parts.length <= 4) {
+        const [top, right = top, bottom = top, left = right] = parts;
+        values = [top, right, bottom, left];
+    } else if (shorthand.syntax === 'pair' && parts.length >= 1 && parts.length <= 2) {
+        values = [parts[0], parts[1] || parts[0]];
+    } else if (shorthand.syntax === 'flex') {
+        values = expandFlex(parts);
+    }
+    if (!values) {
+        return null;
+    }
+
+    const longhands = {};
+    shorthand.longhands.forEach((longhand, index) => {
+        longhands[longhand] = values[index];
+    });
+    return longhands;
+}
+
+function expandFlex(parts) {
+    if (parts.length === 1) {
+        const [keyword] = parts;
+        if (keyword === 'none') return ['0', '0', 'auto'];
+        if (keyword === 'auto') return ['1', '1', 'auto'];
+        if (/^(inherit|initial|unset|revert|revert-layer)$/.test(keyword)) return [keyword, keyword, keyword];
+    }
+
+    const numbers = parts.filter(part => /^[+-]?(\d+\.?\d*|\.\d+)$/.test(part));
+    const others = parts.filter(part => !numbers.includes(part));
+    if (parts.length > 3 || numbers.length === 0 && others.length !== 1 || numbers.length > 2 || others.length > 1) {
+        return null;
+    }
+
+    // `flex: 2` means 2 1 0%, while `flex: 10px` means 1 1 10px
+    const [grow = '1', shrink = '1'] = numbers;
+    const basis = others[0] || '0%';
+    return [grow, shrink, basis];
+}
+
+// The shortest shorthand value for { longhand: value }
+function composeShorthand(property, longhands) {
+    const shorthand = SHORTHANDS[property];
+    const values = shorthand.longhands.map(longhand => longhands[longhand]);
+
+    if (shorthand.syntax === 'box') {
+        const [top, right, bottom, left] = values;
+        if (left !== right) return values.join(' ');
+        if (bottom !== top) return [top, right, bottom].join(' ');
+        if (right !== top) return [top, right].join(' ');
+        return top;
+    }
+    if (shorthand.syntax === 'pair') {
+        return values[0] === values[1] ? values[0] : values.join(' ');
+    }
+
+    const [grow, shrink, basis] = values;
+    if (basis === 'auto' && grow === shrink && (grow === '0' || grow === '1')) {
+        return grow === '0' ? 'none' : 'auto';
+    }
+    if (basis === '0%') {
+        return shrink === '1' ? grow : `${grow} ${shrink}`;
+    }
+    return shrink === '1' ? `${grow} ${basis}` : `${grow} ${shrink} ${basis}`;
+}
+
+module.exports = {
+    SHORTHANDS,
+    isShorthand,
+    getLonghands,
+    covers,
+    splitValue,
+    expandShorthand,
+    composeShorthand
+};
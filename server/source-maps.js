@@ -0,0 +1,225 @@
+// Source Maps - Resolves rules in bundled CSS back to the authored source files
+//
+// The extension reports every stylesheet the page loaded (`CSS.styleSheetAdded`
+// headers). For sheets that carry a `sourceMappingURL` we fetch the compiled
+// CSS and its map, find the matching rule in the compiled output and follow
+// the map to the original file and line.
+
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64_VALUES = new Map([...BASE64_CHARS].map((char, index) => [char, index]));
+
+const FETCH_TIMEOUT = 5000;
+const CACHE_SIZE = 100;
+
+class SourceMapResolver {
+    constructor() {
+        // Loads by stylesheet. A sheet the page loads again is added with a new
+        // styleSheetId, so its new text and map are fetched under a new key.
+        this.cache = new Map(); // styleSheetId|sourceURL|sourceMapURL -> Promise
+    }
+
+    // Returns { css, map, mapUrl } for a stylesheet header, or null when it has
+    // no usable map. Headers without a styleSheetId can't be told apart from a
+    // reload of the same sheet and are fetched every time.
+    load(styleSheet) {
+        const { styleSheetId, sourceURL, sourceMapURL } = styleSheet;
+        if (!sourceURL || !sourceMapURL) {
+            return Promise.resolve(null);
+        }
+        if (!styleSheetId) {
+            return this.fetchSourceMap(sourceURL, sourceMapURL);
+        }
+
+        const key = `${styleSheetId}|${sourceURL}|${sourceMapURL}`;
+        if (!this.cache.has(key)) {
+            if (this.cache.size >= CACHE_SIZE) {
+                this.cache.delete(this.cache.keys().next().value);
+            }
+            const loading = this.fetchSourceMap(sourceURL, sourceMapURL);
+            // A failed fetch is tried again next time
+            loading.catch(() => this.cache.delete(key));
+            this.cache.set(key, loading);
+        }
+        return this.cache.get(key);
+    }
+
+    async fetchSourceMap(sourceURL, sourceMapURL) {
+        const css = await this.fetchText(sourceURL);
+        const mapUrl = sourceMapURL.startsWith('data:') ? sourceMapURL : new URL(sourceMapURL, sourceURL).href;
+        const map = JSON.parse(mapUrl.startsWith('data:') ? decodeDataUrl(mapUrl) : await this.fetchText(mapUrl));
+
+        if (map.sections) {
+            console.log(`Indexed source maps are not supported: ${mapUrl}`);
+            return null;
+        }
+
+        map.decodedMappings = decodeMappings(map.mappings || '');
+        return { css, map, mapUrl };
+    }
+
+    async fetchText(url) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+
+        try {
+            const response = await fetch(url, { signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`Failed to fetch ${url}: ${response.status}`);
+            }
+            return await response.text();
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    // Original position for a 1-based line and 0-based column of the compiled CSS.
+    // Uses the closest mapping at or before the position.
+    originalPositionFor(loaded, line, column) {
+        const { map, mapUrl } = loaded;
+        const lines = map.decodedMappings;
+
+        for (let lineIndex = Math.min(line - 1, lines.length - 1); lineIndex >= 0; lineIndex--) {
+            const segments = lines[lineIndex];
+            let best = null;
+
+            for (const segment of segments) {
+                if (segment.length < 4) continue;
+                if (lineIndex === line - 1 && segment[0] > column) break;
+                best = segment;
+            }
+
+            if (best) {
+                const source = map.sources[best[1]];
+                const sourceRoot = map.sourceRoot || '';
+                return {
+                    source: resolveSourceUrl(sourceRoot + source, mapUrl),
+                    rawSource: source,
+                    line: best[2] + 1,
+                    column: best[3]
+                };
+            }
+        }
+
+        return null;
+    }
+
+    // Every original source the map was built from, resolved like originalPositionFor does
+    getSources(loaded) {
+        const { map, mapUrl } = loaded;
+        const sourceRoot = map.sourceRoot || '';
+        return (map.sources || []).map(source => resolveSourceUrl(sourceRoot + source, mapUrl));
+    }
+}
+
+function decodeDataUrl(dataUrl) {
+    const commaIndex = dataUrl.indexOf(',');
+    const meta = dataUrl.slice(0, commaIndex);
+    const data = dataUrl.slice(commaIndex + 1);
+    return meta.includes(';base64')
+        ? Buffer.from(data, 'base64').toString('utf8')
+        : decodeURIComponent(data);
+}
+
+// Source map v3 `mappings`: one array of [generatedColumn, sourceIndex,
+// sourceLine, sourceColumn, nameIndex] segments per generated line, with the
+// relative values already accumulated.
+function decodeMappings(mappings) {
+    const lines = [];
+    let sourceIndex = 0;
+    let sourceLine = 0;
+    let sourceColumn = 0;
+    let nameIndex = 0;
+
+    for (const lineText of mappings.split(';')) {
+        const segments = [];
+        let generatedColumn = 0;
+
+        for (const segmentText of lineText.split(',')) {
+            if (!segmentText) continue;
+
+            const values = decodeVLQ(segmentText);
+            generatedColumn += values[0];
+            const segment = [generatedColumn];
+
+            if (values.length >= 4) {
+                sourceIndex += values[1];
+                sourceLine += values[2];
+                sourceColumn += values[3];
+                segment.push(sourceIndex, sourceLine, sourceColumn);
+            }
+            if (values.length >= 5) {
+                nameIndex += values[4];
+                segment.push(nameIndex);
+            }
+
+            segments.push(segment);
+        }
+
+        segments.sort((a, b) => a[0] - b[0]);
+        lines.push(segments);
+    }
+
+    return lines;
+}
+
+function decodeVLQ(text) {
+    const values = [];
+    let value = 0;
+    let shift = 0;
+
+    for (const char of text) {
+        const digit = BASE64_VALUES.get(char);
+        if (digit === undefined) {
+            throw new Error(`Invalid base64 character in source map: ${char}`);
+        }
+
+        value += (digit & 31) << shift;
+        if (digit & 32) {
+            shift += 5;
+            continue;
+        }
+
+        values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+        value = 0;
+        shift = 0;
+    }
+
+    return values;
+}
+
+function resolveSourceUrl(source, mapUrl) {
+    // Bundler pseudo-protocols are not resolvable against the map URL
+    if (/^[a-z][\w+.-]*:/i.test(source) || mapUrl.startsWith('data:')) {
+        return source;
+    }
+    return new URL(source, mapUrl).href;
+}
+
+// Path segments of an original source URL, e.g.
+// `webpack:///./src/styles/app.scss` -> ['src', 'styles', 'app.scss']
+function getSourcePathSegments(source) {
+    let sourcePath = source;
+    const protocolMatch = sourcePath.match(/^[a-z][\w+.-]*:\/*/i);
+
+    if (protocolMatch) {
+        if (/^https?:/i.test(sourcePath)) {
+            try {
+                sourcePath = new URL(sourcePath).pathname;
+            } catch (error) {
+                sourcePath = sourcePath.slice(protocolMatch[0].length);
+            }
+        } else {
+            sourcePath = sourcePath.slice(protocolMatch[0].length);
+        }
+    }
+
+    return decodeURIComponent(sourcePath.split(/[?#]/)[0])
+        .split('/')
+        .filter(segment => segment && segment !== '.' && segment !== '~');
+}
+
+module.exports = {
+    SourceMapResolver,
+    decodeMappings,
+    getSourcePathSegments
+};
@@ -0,0 +1,497 @@
+// Where CSSSync.applyCSSChange writes an edit. Each test syncs into a fresh
+// temporary project.
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { CSSSync } = require('../server');
+const { ChangeJournal } = require('../change-journal');
+const { UrlMappings } = require('../url-mappings');
+const { DesignTokens } = require('../design-tokens');
+
+let dir;
+let sync;
+
+beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'css-sync-project-')));
+    sync = new CSSSync();
+    sync.journal = new ChangeJournal(path.join(dir, 'journal.json'));
+    await sync.projectRoots.setRoots([dir]);
+});
+
+afterEach(async () => {
+    mock.restoreAll();
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function project(files) {
+    for (const [name, content] of Object.entries(files)) {
+        await fs.mkdir(path.dirname(path.join(dir, name)), { recursive: true });
+        await fs.writeFile(path.join(dir, name), content, 'utf8');
+    }
+    await sync.scanDirectory(dir);
+}
+
+function read(name) {
+    return fs.readFile(path.join(dir, name), 'utf8');
+}
+
+function change(selector, changes, extra = {}) {
+    return {
+        selectorVariations: [{ selector }],
+        classList: selector.match(/\.[\w-]+/g).map(name => name.slice(1)),
+        changes,
+        ...extra
+    };
+}
+
+test('edits a rule nested in @media without touching braces in comments', async () => {
+    const css = '/* .btn { } */\n@media (max-width: 600px) {\n.btn {\n  color: green;\n}\n}\n';
+    await project({ 'app.css': css });
+
+    const result = await sync.applyCSSChange(change('.btn', { color: 'blue', padding: '4px' }), dir);
+
+    assert.equal(result.success, true);
+    assert.equal(result.file, 'app.css');
+    assert.equal(await read('app.css'), '/* .btn { } */\n@media (max-width: 600px) {\n.btn {\n  color: blue;\n  padding: 4px;\n}\n}\n');
+});
+
+test('appends a new rule when nothing matches', async () => {
+    await project({ 'app.css': '.card { color: red; }\n' });
+
+    const result = await sync.applyCSSChange(change('.badge', { color: 'blue' }), dir);
+
+    assert.equal(result.created, true);
+    assert.equal(await read('app.css'), '.card { color: red; }\n\n\n.badge {\n  color: blue;\n}');
+});
+
+test('edits the rule in the @media block that matches the viewport', async () => {
+    const css = '.btn { color: red; }\n\n@media (max-width: 600px) {\n.btn {\n  color: green;\n}\n}\n';
+    await project({ 'app.css': css });
+
+    const phone = await sync.applyCSSChange(change('.btn', { color: 'blue' }, { mediaContext: { width: 375, height: 800 } }), dir);
+    assert.equal(phone.media, '(max-width: 600px)');
+    assert.equal(await read('app.css'), css.replace('color: green', 'color: blue'));
+
+    const desktop = await sync.applyCSSChange(change('.btn', { color: 'black' }, { mediaContext: { width: 1280, height: 800 } }), dir);
+    assert.equal(desktop.media, null);
+    assert.match(await read('app.css'), /^\.btn \{ color: black; \}/);
+});
+
+test('adds a rule to a later breakpoint that styles the component', async () => {
+    await project({
+        'app.css': '.btn { color: red; }\n\n@media (max-width: 480px) {\n    .btn.is-large { padding: 4px; }\n}\n'
+    });
+
+    const result = await sync.applyCSSChange(change('.btn', { color: 'blue' }, { mediaContext: { width: 375, height: 800 } }), dir);
+
+    assert.equal(result.created, true);
+    assert.equal(result.media, '(max-width: 480px)');
+    assert.equal(
+        await read('app.css'),
+        '.btn { color: red; }\n\n@media (max-width: 480px) {\n    .btn.is-large { padding: 4px; }\n\n    .btn {\n        color: blue;\n    }\n}\n'
+    );
+});
+
+test('prefers a bounded breakpoint over an open-ended one', async () => {
+    const blocks = [
+        '@media (min-width: 768px) {\n    .btn.is-wide { padding: 8px; }\n}\n',
+        '@media (min-width: 600px) and (max-width: 1024px) {\n    .btn.is-large { padding: 4px; }\n}\n'
+    ];
+
+    for (const order of [blocks, [...blocks].reverse()]) {
+        await project({ 'app.css': `.btn { color: red; }\n\n${order.join('\n')}` });
+
+        const result = await sync.applyCSSChange(change('.btn', { color: 'blue' }, { mediaContext: { width: 800, height: 800 } }), dir);
+
+        assert.equal(result.media, '(min-width: 600px) and (max-width: 1024px)');
+    }
+});
+
+test('edits the base rule when the matching breakpoint comes before it or is unrelated', async () => {
+    const css = '@media (max-width: 600px) {\n    .other { color: green; }\n}\n\n.btn { color: red; }\n\n@media (max-width: 500px) {\n    .btn-group { gap: 4px; }\n}\n';
+    await project({ 'app.css': css });
+
+    const result = await sync.applyCSSChange(change('.btn', { color: 'blue' }, { mediaContext: { width: 375, height: 800 } }), dir);
+
+    assert.equal(result.created, undefined);
+    assert.equal(await read('app.css'), css.replace('.btn { color: red; }', '.btn { color: blue; }'));
+});
+
+test('edits SCSS nested rules in place', async () => {
+    const scss = '.card {\n  color: red;\n\n  .title {\n    margin: 0; // tight\n  }\n}\n';
+    await project({ 'app.scss': scss });
+
+    const result = await sync.applyCSSChange(change('.card .title', { margin: '4px' }), dir);
+
+    assert.equal(result.success, true);
+    assert.equal(await read('app.scss'), scss.replace('margin: 0;', 'margin: 4px;'));
+});
+
+test('rejects changes without a value and leaves the file alone', async () => {
+    const css = '.btn { color: red; }\n';
+    await project({ 'app.css': css });
+
+    const result = await sync.applyCSSChange(change('.btn', { color: { from: 'red' }, margin: { to: '' } }), dir);
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'No value given for color, margin');
+    assert.equal(await read('app.css'), css);
+});
+
+test('edits LESS declarations in place around mixin calls', async () => {
+    const less = '@pad: 4px;\n.card {\n  .bordered(2px);\n  color: red;\n  &:hover { color: @brand; }\n}\n';
+    await project({ 'app.less': less });
+
+    const result = await sync.applyCSSChange(change('.card', { color: 'blue', padding: '@pad' }), dir);
+
+    assert.equal(result.success, true);
+    assert.equal(await read('app.less'), '@pad: 4px;\n.card {\n  .bordered(2px);\n  color: blue;\n  padding: @pad;\n  &:hover { color: @brand; }\n}\n');
+});
+
+function mappedStyleSheet(source) {
+    // `.title{color:red}` compiled from line 5 of `source`
+    const map = { version: 3, sources: [source], mappings: 'AAIA' };
+    mock.method(sync.sourceMaps, 'fetchText', async () => '.title{color:red}');
+    return {
+        styleSheetId: '1',
+        sourceURL: 'http://localhost:3000/dist/app.css',
+        sourceMapURL: `data:application/json;base64,${Buffer.from(JSON.stringify(map)).toString('base64')}`
+    };
+}
+
+test('follows a source map to the authored rule', async () => {
+    await project({
+        'src/app.scss': '$red: red;\n\n.header {\n}\n.title {\n  color: $red;\n}\n',
+        'src/other.scss': '.title { color: red; }\n'
+    });
+
+    const result = await sync.applyCSSChange(change('.title', { color: 'blue' }, {
+        styleSheets: [mappedStyleSheet('webpack:///./src/app.scss')]
+    }), dir);
+
+    assert.equal(result.sourceMap.line, 5);
+    assert.equal(await read('src/app.scss'), '$red: red;\n\n.header {\n}\n.title {\n  color: blue;\n}\n');
+    assert.equal(await read('src/other.scss'), '.title { color: red; }\n');
+});
+
+test('falls back to selector matching when a mapped source cannot be resolved', async () => {
+    await project({ 'app.css': '.title { color: red; }\n' });
+
+    const result = await sync.applyCSSChange(change('.title', { color: 'blue' }, {
+        styleSheets: [mappedStyleSheet('webpack:///./src/%E0%A4%A.scss')]
+    }), dir);
+
+    assert.equal(result.success, true);
+    assert.equal(result.sourceMap, undefined);
+    assert.equal(await read('app.css'), '.title { color: blue; }\n');
+});
+
+test('journals each write so it can be undone and redone', async () => {
+    const css = '.btn { color: red; }\n';
+    await project({ 'app.css': css });
+
+    const result = await sync.applyCSSChange(change('.btn', { color: 'blue' }), dir);
+    const entry = sync.journal.getEntry(result.journalId);
+    assert.equal(entry.file, path.join(dir, 'app.css'));
+
+    await sync.revertJournalEntry(entry, 'undo');
+    assert.equal(await read('app.css'), css);
+    assert.equal(sync.journal.getEntry(result.journalId).status, 'undone');
+
+    await sync.revertJournalEntry(entry, 'redo');
+    assert.equal(await read('app.css'), '.btn { color: blue; }\n');
+});
+
+test('previews a change as a diff without writing it', async () => {
+    const css = '.btn {\n  color: red;\n}\n';
+    await project({ 'app.css': css });
+
+    const result = await sync.applyCSSChange(change('.btn', { color: 'blue' }), dir, { dryRun: true });
+
+    assert.equal(result.preview, true);
+    assert.equal(result.diff, '--- a/app.css\n+++ b/app.css\n@@ -1,3 +1,3 @@\n .btn {\n-  color: red;\n+  color: blue;\n }\n');
+    assert.equal(await read('app.css'), css);
+    assert.deepEqual(sync.journal.getEntries(), []);
+});
+
+test('reports a conflict when the file moved on, and writes when forced', async () => {
+    const css = '.btn {\n  color: green;\n}\n';
+    await project({ 'app.css': css });
+    const edit = change('.btn', { color: { from: 'red', to: 'blue' } });
+
+    const result = await sync.applyCSSChange(edit, dir);
+    assert.equal(result.success, false);
+    assert.equal(result.conflict, true);
+    assert.deepEqual(result.conflicts, [{ property: 'color', expected: 'red', current: 'green', line: 2, column: 3 }]);
+    assert.equal(await read('app.css'), css);
+
+    const forced = await sync.applyCSSChange({ ...edit, force: true }, dir);
+    assert.equal(forced.success, true);
+    assert.equal(await read('app.css'), '.btn {\n  color: blue;\n}\n');
+});
+
+test('refuses to write outside the project roots', async () => {
+    await project({ 'app.css': '.btn { color: red; }\n' });
+    const outside = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'css-sync-outside-')));
+
+    try {
+        await fs.symlink(outside, path.join(dir, 'linked'));
+        await assert.rejects(sync.writeCSSFile(path.join(dir, 'linked', 'a.css'), '.a {}'), /outside the configured project roots/);
+        await assert.rejects(fs.access(path.join(outside, 'a.css')));
+    } finally {
+        await fs.rm(outside, { recursive: true, force: true });
+    }
+});
+
+test('only loads the files the include and exclude patterns select', async () => {
+    sync = new CSSSync({ include: ['*.scss'], exclude: ['legacy'] });
+    await project({
+        'src/app.scss': '.btn { color: red; }\n',
+        'src/app.css': '.btn { color: red; }\n',
+        'legacy/old.scss': '.btn { color: red; }\n'
+    });
+
+    assert.deepEqual([...sync.cssFiles.keys()], [path.join(dir, 'src', 'app.scss')]);
+});
+
+test('tells connected panels about changes applied over HTTP', async () => {
+    await project({ 'app.css': '.btn { color: red; }\n' });
+    sync.pairingToken.tokenPath = path.join(dir, 'token');
+    const token = await sync.pairingToken.init();
+    const broadcast = mock.method(sync.events, 'broadcast', () => {});
+
+    const server = sync.app.listen(0);
+    try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}/apply-css-change`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-CSS-Sync-Token': token },
+            body: JSON.stringify({ ...change('.btn', { color: 'blue' }), targetPath: dir })
+        });
+        assert.equal(response.status, 200);
+    } finally {
+        server.close();
+    }
+
+    const [type, data] = broadcast.mock.calls[0].arguments;
+    assert.equal(type, 'change-applied');
+    assert.equal(data.action, 'update');
+    assert.equal(data.file, path.join(dir, 'app.css'));
+});
+
+test('edits the file a stylesheet URL is mapped to', async () => {
+    await project({
+        'a/header.css': '.title { color: red; }\n',
+        'src/styles/header.css': '.title { color: red; }\n'
+    });
+    sync.urlMappings = new UrlMappings({ 'https://staging.example.com/assets/': path.join(dir, 'src', 'styles') });
+
+    const result = await sync.applyCSSChange(change('.title', { color: 'blue' }, {
+        styleSheets: [{ styleSheetId: '1', sourceURL: 'https://staging.example.com/assets/header.css?v=2' }]
+    }), dir);
+
+    assert.equal(result.file, path.join('src', 'styles', 'header.css'));
+    assert.equal(await read('a/header.css'), '.title { color: red; }\n');
+    assert.equal(await read('src/styles/header.css'), '.title { color: blue; }\n');
+});
+
+test('edits the rule DevTools reported as the origin', async () => {
+    await project({
+        'css/a.css': '.title { color: red; }\n',
+        'css/b.css': '.intro { margin: 0; }\n.title { color: red; }\n'
+    });
+
+    const result = await sync.applyCSSChange(change('.title', { color: 'blue' }, {
+        ruleOrigin: {
+            sourceURL: 'http://localhost:4000/css/b.css',
+            selector: '.title',
+            selectorRange: { startLine: 1, startColumn: 0 }
+        }
+    }), dir);
+
+    assert.equal(result.success, true);
+    assert.equal(result.ruleOrigin.line, 2);
+    assert.equal(await read('css/a.css'), '.title { color: red; }\n');
+    assert.equal(await read('css/b.css'), '.intro { margin: 0; }\n.title { color: blue; }\n');
+});
+
+test('falls back to selector matching when the origin is not a project stylesheet', async () => {
+    await project({ 'app.css': '.title { color: red; }\n' });
+
+    const result = await sync.applyCSSChange(change('.title', { color: 'blue' }, {
+        ruleOrigin: {
+            sourceURL: 'http://localhost:4000/vendor/missing.css',
+            selector: '.title',
+            selectorRange: { startLine: 0, startColumn: 0 }
+        }
+    }), dir);
+
+    assert.equal(result.success, true);
+    assert.equal(result.ruleOrigin, undefined);
+    assert.equal(await read('app.css'), '.title { color: blue; }\n');
+});
+
+test('offers the candidates when rules match equally well, then edits the chosen one', async () => {
+    await project({
+        'a.css': '.title { color: red; }\n',
+        'b.css': '.title { color: red; }\n'
+    });
+
+    const ambiguous = await sync.applyCSSChange(change('.title', { color: 'blue' }), dir);
+    assert.equal(ambiguous.success, false);
+    assert.equal(ambiguous.ambiguous, true);
+    assert.deepEqual(ambiguous.candidates.map(candidate => candidate.file).sort(), ['a.css', 'b.css']);
+    assert.equal(await read('a.css'), '.title { color: red; }\n');
+    assert.equal(await read('b.css'), '.title { color: red; }\n');
+
+    const chosen = ambiguous.candidates.find(candidate => candidate.file === 'b.css');
+    const result = await sync.applyCSSChange(change('.title', { color: 'blue' }, {
+        targetRule: { file: chosen.fullPath, line: chosen.line, selector: chosen.resolvedSelector }
+    }), dir);
+    assert.equal(result.success, true);
+    assert.equal(await read('a.css'), '.title { color: red; }\n');
+    assert.equal(await read('b.css'), '.title { color: blue; }\n');
+});
+
+test('edits the rule inside the breakpoint the viewport is in rather than asking', async () => {
+    await project({
+        'a.css': '.title { color: red; }\n',
+        'b.css': '@media (max-width: 600px) {\n    .title { color: red; }\n}\n'
+    });
+
+    const result = await sync.applyCSSChange(change('.title', { color: 'blue' }, { mediaContext: { width: 375, height: 800 } }), dir);
+
+    assert.equal(result.success, true);
+    assert.equal(await read('a.css'), '.title { color: red; }\n');
+    assert.equal(await read('b.css'), '@media (max-width: 600px) {\n    .title { color: blue; }\n}\n');
+});
+
+test('reports a chosen rule that is no longer in the file', async () => {
+    await project({ 'app.css': '.title { color: red; }\n' });
+
+    const result = await sync.applyCSSChange(change('.title', { color: 'blue' }, {
+        targetRule: { file: path.join(dir, 'app.css'), line: 1, selector: '.heading' }
+    }), dir);
+
+    assert.equal(result.success, false);
+    assert.equal(result.staleChoice, true);
+    assert.equal(await read('app.css'), '.title { color: red; }\n');
+});
+
+test('removes a declaration from the rule DevTools reported', async () => {
+    await project({ 'app.css': '.btn {\n    color: red;\n    margin: 0;\n}\n\n.btn-group .btn { margin: 0; }\n' });
+
+    const result = await sync.applyCSSChange(change('.btn', { margin: { remove: true, from: '0' } }, {
+        ruleOrigin: {
+            sourceURL: 'http://localhost:4000/app.css',
+            selector: '.btn',
+            selectorRange: { startLine: 0, startColumn: 0 }
+        }
+    }), dir);
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.removed, ['margin']);
+    assert.equal(await read('app.css'), '.btn {\n    color: red;\n}\n\n.btn-group .btn { margin: 0; }\n');
+});
+
+test('comments out removed declarations in comment mode', async () => {
+    sync.removalMode = 'comment';
+    await project({ 'app.css': '.btn {\n    color: red;\n    margin: 0;\n}\n' });
+
+    await sync.applyCSSChange(change('.btn', { margin: null }, {
+        ruleOrigin: {
+            sourceURL: 'http://localhost:4000/app.css',
+            selector: '.btn',
+            selectorRange: { startLine: 0, startColumn: 0 }
+        }
+    }), dir);
+
+    assert.equal(await read('app.css'), '.btn {\n    color: red;\n    /* margin: 0; */\n}\n');
+});
+
+test('refuses removals without a rule origin', async () => {
+    await project({ 'app.css': '.btn {\n    color: red;\n    margin: 0;\n}\n' });
+
+    const result = await sync.applyCSSChange(change('.btn', { margin: null }), dir);
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /No rule origin for the removal of margin/);
+    assert.equal(await read('app.css'), '.btn {\n    color: red;\n    margin: 0;\n}\n');
+});
+
+test('writes an inline !important and keeps the flags of untouched declarations', async () => {
+    await project({ 'app.css': '.btn {\n    color: red;\n    margin: 0 !important;\n}\n' });
+
+    const result = await sync.applyCSSChange(change('.btn', { color: { to: 'blue', important: true } }), dir);
+
+    assert.equal(result.success, true);
+    assert.equal(await read('app.css'), '.btn {\n    color: blue !important;\n    margin: 0 !important;\n}\n');
+});
+
+test('merges a changed longhand into the rule\'s shorthand', async () => {
+    await project({ 'app.css': '.card {\n    margin: 0 auto;\n}\n' });
+
+    const result = await sync.applyCSSChange(change('.card', { 'margin-top': '10px' }), dir);
+
+    assert.equal(result.success, true);
+    assert.equal(await read('app.css'), '.card {\n    margin: 10px auto 0;\n}\n');
+});
+
+test('writes DevTools colors and lengths like the values they replace', async () => {
+    await project({ 'app.css': '.btn {\n    color: #000;\n    margin: 1rem;\n}\n' });
+
+    await sync.applyCSSChange(change('.btn', { color: 'rgb(51, 51, 51)', margin: '24px', 'border-color': 'rgb(255, 255, 255)' }), dir);
+
+    assert.equal(await read('app.css'), '.btn {\n    color: #333;\n    margin: 1.5rem;\n    border-color: #fff;\n}\n');
+});
+
+test('updates the variable a declaration references when asked to', async () => {
+    await project({
+        'tokens.css': ':root {\n    --brand: #0055ff;\n}\n',
+        'app.css': '.btn { color: var(--brand); }\n'
+    });
+
+    const result = await sync.applyCSSChange(change('.btn', { color: 'rgb(255, 0, 0)' }, {
+        variableActions: { color: 'definition' }
+    }), dir);
+
+    assert.equal(result.success, true);
+    assert.equal(await read('app.css'), '.btn { color: var(--brand); }\n');
+    assert.equal(await read('tokens.css'), ':root {\n    --brand: #ff0000;\n}\n');
+});
+
+test('syncs without design tokens when the tokens file is missing', async () => {
+    const error = mock.method(console, 'error', () => {});
+    sync.designTokens = new DesignTokens(path.join(dir, 'missing.json'));
+    await sync.loadDesignTokens();
+    await project({ 'app.css': '.btn { padding: 4px; }\n' });
+
+    const result = await sync.applyCSSChange(change('.btn', { padding: '15px' }), dir);
+
+    assert.equal(result.success, true);
+    assert.match(error.mock.calls[0].arguments[0], /Could not read tokens file .*Syncing without design tokens/);
+    assert.equal(await read('app.css'), '.btn { padding: 15px; }\n');
+});
+
+test('keeps :hover edits in the :hover rule and inline edits out of it', async () => {
+    await project({ 'app.css': '.btn { color: red; }\n\n.btn:hover { color: darkred; }\n' });
+
+    const hover = await sync.applyCSSChange(change('.btn:hover', { color: 'blue' }), dir);
+    const base = await sync.applyCSSChange(change('.btn', { color: 'green' }), dir);
+
+    assert.equal(hover.success, true);
+    assert.equal(base.success, true);
+    assert.equal(await read('app.css'), '.btn { color: green; }\n\n.btn:hover { color: blue; }\n');
+});
+
+test('creates a rule for a state no rule styles yet', async () => {
+    await project({ 'app.css': '.btn { color: red; }\n' });
+
+    const result = await sync.applyCSSChange(change('.btn:focus', { outline: '2px solid blue' }), dir);
+
+    assert.equal(result.created, true);
+    assert.equal(await read('app.css'), '.btn { color: red; }\n\n\n.btn:focus {\n  outline: 2px solid blue;\n}');
+});
@@ -0,0 +1,59 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { ChangeJournal, JournalConflictError } = require('../change-journal');
+
+let dir;
+let journal;
+
+beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'css-sync-journal-'));
+    journal = new ChangeJournal(path.join(dir, 'journal.json'));
+});
+
+afterEach(async () => {
+    mock.restoreAll();
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('records only the range a write changed', async () => {
+    const entry = await journal.record('/p/a.css', '.a { color: red; }', '.a { color: blue; }', { selector: '.a' });
+
+    assert.equal(entry.before, 'red');
+    assert.equal(entry.after, 'blue');
+    assert.equal(entry.selector, '.a');
+    assert.equal(entry.status, 'applied');
+    assert.equal(await journal.record('/p/a.css', '.a {}', '.a {}'), null);
+});
+
+test('undoes and redoes a change after edits elsewhere in the file', async () => {
+    const entry = await journal.record('/p/a.css', '.a { color: red; }\n', '.a { color: blue; }\n');
+    const edited = '.z { margin: 0; }\n.a { color: blue; }\n';
+
+    const reverted = journal.revert(entry, edited);
+    assert.equal(reverted, '.z { margin: 0; }\n.a { color: red; }\n');
+
+    await journal.markStatus(entry, 'undone');
+    assert.equal(journal.reapply(entry, reverted), edited);
+});
+
+test('refuses to undo a change whose text was edited since', async () => {
+    const entry = await journal.record('/p/a.css', '.a { color: red; }\n', '.a { color: blue; }\n');
+
+    assert.throws(() => journal.revert(entry, '.a { color: green; }\n'), JournalConflictError);
+});
+
+test('persists entries across restarts and renames', async () => {
+    await journal.record('/p/a.css', '.a { color: red; }', '.a { color: blue; }', { domain: 'example.com' });
+    await journal.renameFile('/p/a.css', '/p/c.css');
+    await journal.record('/p/b.css', '.b { color: red; }', '.b { color: blue; }', { domain: 'other.com' });
+
+    const reloaded = new ChangeJournal(journal.journalPath);
+    await reloaded.load();
+    assert.deepEqual(reloaded.getEntries({ domain: 'example.com' }).map(entry => entry.file), ['/p/c.css']);
+    assert.equal(reloaded.getLastApplied().id, 2);
+    assert.equal(reloaded.getLastApplied('example.com').id, 1);
+});
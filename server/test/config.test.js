@@ -0,0 +1,142 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { loadConfig, parseArgs, saveSettings, ConfigError } = require('../config');
+const { DEFAULT_INCLUDE, DEFAULT_EXCLUDE } = require('../file-filter');
+
+let dir;
+let settingsPath;
+
+beforeEach(async () => {
+    dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'css-sync-config-')));
+    settingsPath = path.join(dir, 'settings.json');
+    await fs.mkdir(path.join(dir, 'cwd'));
+    await fs.mkdir(path.join(dir, 'saved'));
+});
+
+afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+function load(argv = []) {
+    return loadConfig({ argv, cwd: path.join(dir, 'cwd'), settingsPath });
+}
+
+test('parses flags in both --name value and --name=value form', () => {
+    const options = parseArgs(['--root', 'a', '--port=4000', '--include', '*.scss,*.css', '--map', 'shop.test=b', '-h']);
+
+    assert.equal(options.root, path.resolve('a'));
+    assert.equal(options.port, 4000);
+    assert.deepEqual(options.include, ['*.scss', '*.css']);
+    assert.deepEqual(options.domainMappings, { 'shop.test': path.resolve('b') });
+    assert.equal(options.help, true);
+});
+
+test('parses URL prefix mappings', () => {
+    const options = parseArgs(['--map-url', 'https://example.com/assets=styles']);
+
+    assert.deepEqual(options.urlMappings, { 'https://example.com/assets/': path.resolve('styles') });
+    assert.throws(() => parseArgs(['--map-url', '/assets=styles']), /--map-url: .*absolute URL/);
+});
+
+test('rejects unknown flags and bad values', () => {
+    assert.throws(() => parseArgs(['--verbose']), ConfigError);
+    assert.throws(() => parseArgs(['--root']), /Missing value for --root/);
+    assert.throws(() => parseArgs(['--port', '99999']), /port number/);
+    assert.throws(() => parseArgs(['--map', 'shop.test']), /domain=path/);
+    assert.throws(() => parseArgs(['stray']), /Unexpected argument/);
+});
+
+test('uses defaults without flags, config file or saved settings', async () => {
+    assert.deepEqual(await load(), {
+        root: null,
+        port: 3001,
+        include: DEFAULT_INCLUDE,
+        exclude: DEFAULT_EXCLUDE,
+        domainMappings: {},
+        urlMappings: {},
+        removal: 'delete',
+        rootFontSize: 16,
+        tokens: null,
+        configFile: null,
+        settingsPath
+    });
+});
+
+test('lets flags override the config file and the config file override saved settings', async () => {
+    await saveSettings({ projectPath: path.join(dir, 'saved'), domainMappings: { 'a.test': '/a', 'b.test': '/b' } }, settingsPath);
+    await fs.writeFile(path.join(dir, 'cwd', 'css-devtools-sync.config.json'), JSON.stringify({
+        root: 'src',
+        port: 4000,
+        exclude: ['vendor'],
+        domainMappings: { 'b.test': 'styles' }
+    }), 'utf8');
+
+    const config = await load(['--port', '5000', '--exclude', 'legacy']);
+
+    assert.equal(config.configFile, path.join(dir, 'cwd', 'css-devtools-sync.config.json'));
+    assert.equal(config.root, path.join(dir, 'cwd', 'src'));
+    assert.equal(config.port, 5000);
+    assert.deepEqual(config.exclude, [...DEFAULT_EXCLUDE, 'vendor', 'legacy']);
+    assert.deepEqual(config.domainMappings, { 'a.test': '/a', 'b.test': path.join(dir, 'cwd', 'styles') });
+});
+
+test('loads a .js config from the working directory', async () => {
+    await fs.writeFile(path.join(dir, 'cwd', 'css-devtools-sync.config.js'), 'module.exports = { port: 4100 };', 'utf8');
+
+    assert.equal((await load()).port, 4100);
+});
+
+test('only reads a JSON config from the saved project path', async () => {
+    const marker = path.join(dir, 'ran');
+    await saveSettings({ projectPath: path.join(dir, 'saved') }, settingsPath);
+    await fs.writeFile(path.join(dir, 'saved', 'css-devtools-sync.config.js'),
+        `require('fs').writeFileSync(${JSON.stringify(marker)}, ''); module.exports = { port: 4200 };`, 'utf8');
+
+    const ignored = await load();
+    assert.equal(ignored.configFile, null);
+    assert.equal(ignored.port, 3001);
+    await assert.rejects(fs.access(marker));
+
+    await fs.writeFile(path.join(dir, 'saved', 'css-devtools-sync.config.json'), '{ "port": 4300 }', 'utf8');
+    assert.equal((await load()).port, 4300);
+});
+
+test('loads a .js config named on the command line', async () => {
+    const configPath = path.join(dir, 'saved', 'css-devtools-sync.config.js');
+    await fs.writeFile(configPath, 'module.exports = { port: 4400 };', 'utf8');
+
+    assert.equal((await load(['--config', configPath])).port, 4400);
+    await assert.rejects(load(['--config', path.join(dir, 'missing.json')]), /Config file not found/);
+});
+
+test('reports invalid config files', async () => {
+    const configPath = path.join(dir, 'cwd', 'css-devtools-sync.config.json');
+
+    await fs.writeFile(configPath, '{ "include": "*.css" }', 'utf8');
+    await assert.rejects(load(), /"include" .* must be an array/);
+
+    await fs.writeFile(configPath, '{ not json', 'utf8');
+    await assert.rejects(load(), ConfigError);
+});
+
+test('takes the removal mode from a flag or the config file', async () => {
+    assert.equal((await load(['--removal', 'comment'])).removal, 'comment');
+    assert.throws(() => parseArgs(['--removal', 'hide']), /--removal must be delete or comment/);
+
+    await fs.writeFile(path.join(dir, 'cwd', 'css-devtools-sync.config.json'), '{ "removal": "comment" }', 'utf8');
+    assert.equal((await load()).removal, 'comment');
+});
+
+test('takes the root font size for rem values from a flag', async () => {
+    assert.equal((await load(['--root-font-size', '10'])).rootFontSize, 10);
+    assert.throws(() => parseArgs(['--root-font-size', '0']), /must be a font size in px/);
+});
+
+test('resolves the tokens file against the config file', async () => {
+    await fs.writeFile(path.join(dir, 'cwd', 'css-devtools-sync.config.json'), '{ "tokens": "design/tokens.json" }', 'utf8');
+
+    assert.equal((await load()).tokens, path.join(dir, 'cwd', 'design', 'tokens.json'));
+});
@@ -0,0 +1,127 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    CSSParser,
+    getStyleRules,
+    getAtRuleAncestors,
+    getLineNumber,
+    getSyntaxForFile,
+    splitSelectorList,
+    walk
+} = require('../css-parser');
+
+function parse(content, syntax = 'css') {
+    return new CSSParser({ syntax }).parse(content);
+}
+
+test('gives every rule and declaration its exact source range', () => {
+    const css = '.a { color: red; }\n.b {\n    margin: 0 auto;\n}\n';
+    const [a, b] = getStyleRules(parse(css));
+
+    assert.equal(css.substring(a.start, a.end), '.a { color: red; }');
+    assert.equal(b.selector, '.b');
+    assert.equal(getLineNumber(css, b.start), 2);
+
+    const [margin] = b.children;
+    assert.equal(margin.prop, 'margin');
+    assert.equal(margin.value, '0 auto');
+    assert.equal(css.substring(margin.valueStart, margin.valueEnd), '0 auto');
+});
+
+test('is not confused by braces and semicolons in comments, strings and url()', () => {
+    const css = [
+        '/* .fake { color: red; } */',
+        '.a { content: "};"; background: url(data:image/png;base64,AAA}); }',
+        '.b { color: blue; }'
+    ].join('\n');
+    const rules = getStyleRules(parse(css));
+
+    assert.deepEqual(rules.map(rule => rule.selector), ['.a', '.b']);
+    assert.deepEqual(rules[0].children.filter(node => node.type === 'decl').map(decl => decl.value), [
+        '"};"',
+        'url(data:image/png;base64,AAA})'
+    ]);
+});
+
+test('keeps rules inside @media, @supports and @layer with their at-rule ancestors', () => {
+    const css = '@layer base { @supports (display: grid) { @media (max-width: 600px) { .a { display: grid; } } } }';
+    const [rule] = getStyleRules(parse(css));
+
+    assert.equal(rule.selector, '.a');
+    assert.deepEqual(getAtRuleAncestors(rule).map(atRule => `${atRule.name} ${atRule.params}`), [
+        'layer base',
+        'supports (display: grid)',
+        'media (max-width: 600px)'
+    ]);
+});
+
+test('does not treat keyframe stops as style rules', () => {
+    const css = '@keyframes spin { from { opacity: 0; } to { opacity: 1; } }\n.a { color: red; }';
+
+    assert.deepEqual(getStyleRules(parse(css)).map(rule => rule.selector), ['.a']);
+});
+
+test('resolves nested selectors against their parents', () => {
+    const css = '.card, .panel {\n    color: red;\n    &:hover { color: blue; }\n    .title { font-weight: bold; }\n}\n';
+    const rules = getStyleRules(parse(css));
+
+    assert.deepEqual(rules.map(rule => rule.resolvedSelectors), [
+        ['.card', '.panel'],
+        ['.card:hover', '.panel:hover'],
+        ['.card .title', '.panel .title']
+    ]);
+});
+
+test('reads SCSS variables as declarations and skips // comments', () => {
+    const scss = '$brand: #0055ff; // primary\n.a { color: $brand; }\n';
+    const decls = [];
+    walk(parse(scss, 'scss'), node => {
+        if (node.type === 'decl') decls.push(`${node.prop}: ${node.value}`);
+    });
+
+    assert.deepEqual(decls, ['$brand: #0055ff', 'color: $brand']);
+});
+
+test('reads indented Sass rules from their indentation', () => {
+    const sass = '.card\n  color: red\n  .title\n    margin: 0\n';
+    const rules = getStyleRules(parse(sass, 'sass'));
+
+    assert.deepEqual(rules.map(rule => rule.resolvedSelectors), [['.card'], ['.card .title']]);
+    assert.deepEqual(rules[1].children.map(decl => `${decl.prop}: ${decl.value}`), ['margin: 0']);
+});
+
+test('reads LESS variables, mixin calls, guards and :extend', () => {
+    const less = [
+        '@brand: #0055ff;',
+        '.bordered(@width: 1px) { border: @width solid; }',
+        '.theme when (@mode = dark) { color: @brand; }',
+        '.card {',
+        '    .bordered(2px);',
+        '    &:extend(.box);',
+        '    @media (min-width: 600px) { padding: 0; }',
+        '}',
+        '@detached: { color: red; };'
+    ].join('\n');
+    const root = parse(less, 'less');
+    const rules = getStyleRules(root);
+
+    assert.deepEqual(rules.map(rule => rule.selector), ['.theme when (@mode = dark)', '.card']);
+    assert.equal(rules[0].guard, '(@mode = dark)');
+    assert.deepEqual(rules[0].resolvedSelectors, ['.theme']);
+    assert.deepEqual(rules[1].children.map(node => node.type), ['mixin', 'extend', 'atrule']);
+    assert.equal(rules[1].children[0].name, '.bordered');
+    assert.equal(rules[1].children[0].params, '2px');
+    assert.equal(root.children[0].prop, '@brand');
+});
+
+test('knows the syntax of stylesheet files only', () => {
+    assert.equal(getSyntaxForFile('a/b.css'), 'css');
+    assert.equal(getSyntaxForFile('a/b.SCSS'), 'scss');
+    assert.equal(getSyntaxForFile('a/b.sass'), 'sass');
+    assert.equal(getSyntaxForFile('a/b.less'), 'less');
+    assert.equal(getSyntaxForFile('a/b.js'), null);
+});
+
+test('splits selector lists at top-level commas only', () => {
+    assert.deepEqual(splitSelectorList('.a, .b:is(.c, .d), [data-x="1,2"]'), ['.a', '.b:is(.c, .d)', '[data-x="1,2"]']);
+});
@@ -0,0 +1,137 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CSSParser, getStyleRules } = require('../css-parser');
+const {
+    applyEdits,
+    buildDeclarationEdits,
+    detectIndentUnit,
+    detectNewline,
+    findValueConflicts,
+    formatRule,
+    getChangeDeclaration,
+    getChangeValue,
+    isRemoval
+} = require('../css-writer');
+
+function firstRule(content, syntax = 'css') {
+    return getStyleRules(new CSSParser({ syntax }).parse(content))[0];
+}
+
+function write(content, changes, syntax = 'css', options = {}) {
+    return applyEdits(content, buildDeclarationEdits(content, firstRule(content, syntax), changes, syntax, options));
+}
+
+test('patches changed values and appends new declarations in the rule\'s style', () => {
+    const css = '.a {\n    color: red;\n}\n\n.b { color: red; }\n';
+
+    assert.equal(
+        write(css, { color: { from: 'red', to: 'blue' }, padding: '4px' }),
+        '.a {\n    color: blue;\n    padding: 4px;\n}\n\n.b { color: red; }\n'
+    );
+    assert.equal(write('.b { color: red }', { margin: '0' }), '.b { color: red; margin: 0; }');
+});
+
+test('adds declarations ahead of nested rules', () => {
+    const scss = '.a {\n  color: red;\n\n  &:hover { color: blue; }\n}\n';
+
+    assert.equal(write(scss, { margin: '0' }, 'scss'), '.a {\n  color: red;\n  margin: 0;\n\n  &:hover { color: blue; }\n}\n');
+});
+
+test('writes indented Sass without braces or semicolons', () => {
+    assert.equal(write('.a\n  color: red\n', { margin: '0' }, 'sass'), '.a\n  color: red\n  margin: 0\n');
+    assert.equal(formatRule('.x', { color: 'red' }, 'sass'), '.x\n  color: red');
+    assert.equal(formatRule('.x', { color: { to: 'red' } }, 'css', { indentUnit: '\t', newline: '\r\n' }), '.x {\r\n\tcolor: red;\r\n}');
+});
+
+test('reads the value of a change and rejects changes without one', () => {
+    assert.equal(getChangeValue('red'), 'red');
+    assert.equal(getChangeValue({ from: 'red', to: 'blue' }), 'blue');
+    assert.equal(getChangeValue({ to: '' }), null);
+    assert.equal(getChangeValue({ from: 'red' }), null);
+    assert.equal(getChangeValue(null), null);
+    assert.equal(getChangeValue(4), null);
+});
+
+test('leaves comments, spacing and other declarations byte-for-byte', () => {
+    const css = '.a {\n\tcolor:red /* brand */;\n\tmargin : 0;  /* reset */\n}\n';
+
+    assert.equal(
+        write(css, { color: 'blue', padding: '4px' }),
+        '.a {\n\tcolor:blue /* brand */;\n\tmargin : 0;  /* reset */\n\tpadding: 4px;\n}\n'
+    );
+});
+
+test('fills an empty rule using the file\'s indentation and line endings', () => {
+    const css = '.b {\r\n\tcolor: red;\r\n}\r\n.a {}\r\n';
+    const rule = getStyleRules(new CSSParser().parse(css))[1];
+
+    assert.equal(
+        applyEdits(css, buildDeclarationEdits(css, rule, { color: 'blue' })),
+        '.b {\r\n\tcolor: red;\r\n}\r\n.a {\r\n\tcolor: blue;\r\n}\r\n'
+    );
+});
+
+test('detects the file\'s indentation and line endings', () => {
+    assert.equal(detectIndentUnit('.a {\n    color: red;\n    @media print {\n        color: blue;\n    }\n}\n'), '    ');
+    assert.equal(detectIndentUnit('/*\n * note\n */\n.a {\n  color: red;\n}\n'), '  ');
+    assert.equal(detectIndentUnit('.a {\n\tcolor: red;\n}\n'), '\t');
+    assert.equal(detectNewline('.a {\r\n}\r\n'), '\r\n');
+    assert.equal(detectNewline('.a {\n}\n'), '\n');
+});
+
+test('reports values changed in the file since the browser loaded it', () => {
+    const rule = firstRule('.a { color: red; margin: 0; }');
+    const [conflict] = findValueConflicts(rule, { color: { from: 'green', to: 'blue' }, margin: '4px' });
+
+    assert.equal(conflict.property, 'color');
+    assert.equal(conflict.expected, 'green');
+    assert.equal(conflict.current, 'red');
+    assert.deepEqual(findValueConflicts(rule, { color: { from: 'RED ', to: 'blue' } }), []);
+    assert.deepEqual(findValueConflicts(rule, { padding: { from: '0', to: '4px' } }), []);
+});
+
+test('does not treat a computed preprocessor value as a conflict', () => {
+    const rule = firstRule('.a { color: $brand; }', 'scss');
+
+    assert.deepEqual(findValueConflicts(rule, { color: { from: 'rgb(0, 85, 255)', to: 'red' } }, 'scss'), []);
+});
+
+test('deletes removed declarations with their line or surrounding spacing', () => {
+    assert.equal(isRemoval(null), true);
+    assert.equal(isRemoval({ remove: true, from: '0' }), true);
+    assert.equal(isRemoval({ from: '0', to: '4px' }), false);
+
+    assert.equal(
+        write('.a {\n    color: red;\n    margin: 0; /* reset */\n    padding: 4px;\n}\n', { margin: null }),
+        '.a {\n    color: red;\n    padding: 4px;\n}\n'
+    );
+    assert.equal(write('.a { color: red; margin: 0; padding: 4px; }', { margin: { remove: true } }), '.a { color: red; padding: 4px; }');
+    assert.equal(write('.a { color: red; margin: 0; }', { margin: null, color: 'blue' }), '.a { color: blue; }');
+    assert.equal(write('.a { color: red; }', { margin: null }), '.a { color: red; }');
+});
+
+test('comments removed declarations out when asked to', () => {
+    assert.equal(
+        write('.a {\n    color: red;\n    margin: 0;\n}\n', { margin: null }, 'css', { removal: 'comment' }),
+        '.a {\n    color: red;\n    /* margin: 0; */\n}\n'
+    );
+    assert.equal(write('.a\n  color: red\n  margin: 0\n', { margin: null }, 'sass', { removal: 'comment' }), '.a\n  color: red\n  // margin: 0\n');
+});
+
+test('keeps !important on values the change doesn\'t give a priority', () => {
+    assert.deepEqual(getChangeDeclaration('red ! important'), { value: 'red', important: true });
+    assert.deepEqual(getChangeDeclaration({ to: 'red !important', important: false }), { value: 'red', important: false });
+    assert.deepEqual(getChangeDeclaration('red'), { value: 'red', important: null });
+
+    assert.equal(write('.a { color: red !important; }', { color: 'blue' }), '.a { color: blue !important; }');
+    assert.equal(write('.a { color: red !important; }', { color: { to: 'blue', important: false } }), '.a { color: blue; }');
+    assert.equal(write('.a { color: red; }', { color: { to: 'blue', important: true } }), '.a { color: blue !important; }');
+    assert.equal(write('.a { color: red; }', { margin: '0 !important' }), '.a { color: red; margin: 0 !important; }');
+    assert.equal(formatRule('.x', { color: { to: 'red', important: true } }), '.x {\n  color: red !important;\n}');
+});
+
+test('does not treat the same color in another format as a conflict', () => {
+    const rule = firstRule('.a { color: #fff; }');
+
+    assert.deepEqual(findValueConflicts(rule, { color: { from: 'rgb(255, 255, 255)', to: 'red' } }), []);
+});
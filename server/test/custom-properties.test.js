@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CSSParser, getStyleRules } = require('../css-parser');
+const { CustomProperties, planVariableChanges, getVariableName } = require('../custom-properties');
+
+function parse(content) {
+    return new CSSParser({ syntax: 'css' }).parse(content);
+}
+
+const tokens = parse(':root { --brand: #0055ff; --gap: 1rem; }\n.dark { --brand: #000; }\n');
+const app = parse('.btn { color: var(--brand); margin: var(--gap) 0; }\n');
+const customProperties = new CustomProperties([['/p/tokens.css', { parsed: tokens }], ['/p/app.css', { parsed: app }]]);
+const rule = getStyleRules(app)[0];
+
+function plan(changes, actions = {}, target = rule) {
+    return planVariableChanges(target, changes, actions, customProperties, {});
+}
+
+test('finds definitions and variables holding a value', () => {
+    assert.equal(getVariableName('var(--brand, red)'), '--brand');
+    assert.equal(getVariableName('red'), null);
+    assert.equal(customProperties.getDefinition('--brand').rule.selector, ':root');
+    assert.deepEqual(customProperties.findMatches('margin', '16px', {}), ['--gap']);
+});
+
+test('keeps a reference whose variable already has the new value', () => {
+    const result = plan({ color: 'rgb(0, 85, 255)', margin: '16px 4px' });
+
+    assert.deepEqual(result.changes, {
+        color: { to: 'var(--brand)', important: null },
+        margin: { to: 'var(--gap) 4px', important: null }
+    });
+    assert.deepEqual(result.warnings, []);
+});
+
+test('warns when a literal replaces a reference', () => {
+    const result = plan({ color: 'rgb(255, 0, 0)' });
+
+    assert.deepEqual(result.changes.color, { to: '#ff0000', important: null });
+    assert.equal(result.warnings[0].variable, '--brand');
+    assert.equal(result.warnings[0].message, 'color: #ff0000 replaces var(--brand) with a literal');
+});
+
+test('updates the global definition when asked to', () => {
+    const result = plan({ color: 'rgb(255, 0, 0)' }, { color: 'definition' });
+
+    assert.deepEqual(result.changes.color, { to: 'var(--brand)', important: null });
+    assert.equal(result.definitions.length, 1);
+    assert.equal(result.definitions[0].filePath, '/p/tokens.css');
+    assert.equal(result.definitions[0].value, '#ff0000');
+});
+
+test('writes a reference to a variable with the value when asked to', () => {
+    assert.deepEqual(plan({ padding: '16px' }, { padding: 'reference' }, null).changes.padding, { to: 'var(--gap)', important: null });
+
+    const unmatched = plan({ padding: '17px' }, { padding: 'reference' }, null);
+    assert.equal(unmatched.changes.padding, '17px');
+    assert.equal(unmatched.warnings[0].message, 'No variable has the value 17px');
+});
@@ -0,0 +1,79 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { CSSParser } = require('../css-parser');
+const { CustomProperties } = require('../custom-properties');
+const { DesignTokens, DesignTokenError, planTokenChanges } = require('../design-tokens');
+
+let dir;
+let tokensPath;
+let designTokens;
+
+beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'css-sync-tokens-'));
+    tokensPath = path.join(dir, 'tokens.json');
+    await fs.writeFile(tokensPath, JSON.stringify({
+        space: { 1: '4px', 2: 8, 4: '16px' },
+        color: { brand: { primary: { $value: '#0055ff' } }, link: '{color.brand.primary}' }
+    }), 'utf8');
+    designTokens = new DesignTokens(tokensPath);
+    await designTokens.load();
+});
+
+afterEach(async () => {
+    mock.restoreAll();
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+const customProperties = new CustomProperties([
+    ['/p/tokens.css', { parsed: new CSSParser({ syntax: 'css' }).parse(':root { --space-4: 16px; }') }]
+]);
+
+test('reads token paths, px numbers and aliases from the tokens file', () => {
+    assert.deepEqual(designTokens.scales, {
+        spacing: [
+            { name: 'space-1', value: '4px' },
+            { name: 'space-2', value: '8px' },
+            { name: 'space-4', value: '16px' }
+        ],
+        color: [
+            { name: 'color-brand-primary', value: '#0055ff' },
+            { name: 'color-link', value: '#0055ff' }
+        ]
+    });
+    assert.deepEqual(designTokens.describe(), { file: tokensPath, scales: { spacing: 3, color: 2 } });
+});
+
+test('offers tokens near incoming values and reports off-scale ones', () => {
+    const result = planTokenChanges({ padding: '15px', margin: '40px', color: 'rgb(0, 84, 250)' }, {}, designTokens, customProperties, 'css', {});
+
+    assert.deepEqual(result.changes, { padding: '15px', margin: '40px', color: 'rgb(0, 84, 250)' });
+    assert.deepEqual(result.suggestions.map(({ property, reference, scaleValue }) => ({ property, reference, scaleValue })), [
+        { property: 'padding', reference: 'var(--space-4)', scaleValue: '16px' },
+        // No --color-brand-primary is declared, so only the value is offered
+        { property: 'color', reference: null, scaleValue: '#0055ff' }
+    ]);
+    assert.equal(result.offScale[0].message, 'margin: 40px is off the spacing scale (nearest space-4: 16px)');
+});
+
+test('writes the token reference or scale value when asked to', () => {
+    const result = planTokenChanges({ padding: '15px', color: 'rgb(0, 84, 250)' }, { padding: 'token', color: 'scale' }, designTokens, customProperties, 'css', {});
+
+    assert.deepEqual(result.changes, {
+        padding: { to: 'var(--space-4)', important: null },
+        color: { to: '#0055ff', important: null }
+    });
+    assert.deepEqual(result.suggestions, []);
+});
+
+test('rejects unreadable tokens files and keeps the last good tokens on refresh', async () => {
+    mock.method(console, 'error', () => {});
+    await fs.writeFile(tokensPath, '{ not json', 'utf8');
+    await assert.rejects(designTokens.load(), DesignTokenError);
+
+    await designTokens.refresh();
+    assert.equal(designTokens.scales.spacing.length, 3);
+});
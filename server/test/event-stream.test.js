@@ -0,0 +1,86 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { EventStream } = require('../event-stream');
+
+function connect(stream) {
+    const req = new EventEmitter();
+    const res = {
+        frames: [],
+        ended: false,
+        writeHead(status, headers) {
+            this.status = status;
+            this.headers = headers;
+        },
+        write(frame) {
+            this.frames.push(frame);
+        },
+        end() {
+            this.ended = true;
+        }
+    };
+    stream.handler()(req, res);
+    return { req, res };
+}
+
+afterEach(() => {
+    mock.restoreAll();
+    mock.timers.reset();
+});
+
+test('opens an event stream with a reconnect delay', () => {
+    mock.method(console, 'log', () => {});
+    const stream = new EventStream();
+    const { req, res } = connect(stream);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['Content-Type'], 'text/event-stream');
+    assert.deepEqual(res.frames, ['retry: 3000\n\n']);
+    req.emit('close');
+});
+
+test('sends every event to every client with increasing ids', () => {
+    mock.method(console, 'log', () => {});
+    mock.method(Date, 'now', () => 1000);
+    const stream = new EventStream();
+    const clients = [connect(stream), connect(stream)];
+
+    stream.broadcast('file-changed', { file: '/p/a.css', reason: 'changed' });
+    stream.broadcast('config-updated');
+
+    for (const { req, res } of clients) {
+        assert.deepEqual(res.frames.slice(1), [
+            'id: 1\nevent: file-changed\ndata: {"file":"/p/a.css","reason":"changed","timestamp":1000}\n\n',
+            'id: 2\nevent: config-updated\ndata: {"timestamp":1000}\n\n'
+        ]);
+        req.emit('close');
+    }
+});
+
+test('sends heartbeats until the client disconnects', () => {
+    mock.method(console, 'log', () => {});
+    mock.timers.enable({ apis: ['setInterval'] });
+    const stream = new EventStream();
+    const { req, res } = connect(stream);
+
+    mock.timers.tick(50000);
+    assert.deepEqual(res.frames.slice(1), [': heartbeat\n\n', ': heartbeat\n\n']);
+
+    req.emit('close');
+    mock.timers.tick(50000);
+    stream.broadcast('config-updated');
+    assert.equal(res.frames.length, 3);
+    assert.equal(stream.clients.size, 0);
+});
+
+test('ends every open stream on close', () => {
+    mock.method(console, 'log', () => {});
+    const stream = new EventStream();
+    const { req, res } = connect(stream);
+
+    stream.close();
+
+    assert.equal(res.ended, true);
+    assert.equal(stream.clients.size, 0);
+    req.emit('close');
+});
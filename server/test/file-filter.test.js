@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { FileFilter, globToRegExp } = require('../file-filter');
+
+test('translates globs with *, **, ? and {a,b}', () => {
+    assert.equal(globToRegExp('*.css').test('app.css'), true);
+    assert.equal(globToRegExp('*.css').test('src/app.css'), false);
+    assert.equal(globToRegExp('src/**/*.scss').test('src/app.scss'), true);
+    assert.equal(globToRegExp('src/**/*.scss').test('src/a/b/app.scss'), true);
+    assert.equal(globToRegExp('src/**').test('src'), true);
+    assert.equal(globToRegExp('v?.{css,less}').test('v1.less'), true);
+    assert.equal(globToRegExp('a.css').test('abcss'), false);
+});
+
+test('syncs every supported stylesheet outside the default excludes', () => {
+    const filter = new FileFilter();
+
+    assert.equal(filter.isIncluded('src/app.scss'), true);
+    assert.equal(filter.isIncluded('src/app.js'), false);
+    assert.equal(filter.isIncluded('node_modules/lib/lib.css'), false);
+    assert.equal(filter.isExcluded('packages/ui/dist'), true);
+});
+
+test('matches name patterns anywhere and path patterns from the root', () => {
+    const filter = new FileFilter({ include: ['src/**/*.scss', 'theme.css'], exclude: ['src/vendor/**', '_*.scss'] });
+
+    assert.equal(filter.isIncluded('src/components/button.scss'), true);
+    assert.equal(filter.isIncluded('lib/components/button.scss'), false);
+    assert.equal(filter.isIncluded('lib/theme.css'), true);
+    assert.equal(filter.isIncluded('src/vendor/reset.scss'), false);
+    assert.equal(filter.isIncluded('src/_variables.scss'), false);
+    assert.equal(filter.isExcluded('src/vendor'), true);
+});
@@ -0,0 +1,65 @@
+// Which of the page's stylesheets show a project file, so the extension can
+// reload them when the file changes.
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { CSSSync } = require('../server');
+
+let dir;
+let sync;
+
+beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'css-sync-reload-')));
+    sync = new CSSSync();
+    for (const [name, content] of Object.entries({
+        'css/site.css': '.a { color: red; }\n',
+        'src/app.scss': '.b { color: red; }\n'
+    })) {
+        await fs.mkdir(path.dirname(path.join(dir, name)), { recursive: true });
+        await fs.writeFile(path.join(dir, name), content, 'utf8');
+    }
+    await sync.scanDirectory(dir);
+});
+
+afterEach(async () => {
+    mock.restoreAll();
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+function mappedSheet(styleSheetId, sources) {
+    const map = { version: 3, sources, mappings: 'AAAA' };
+    return {
+        styleSheetId,
+        sourceURL: `http://localhost:3000/dist/${styleSheetId}.css`,
+        sourceMapURL: `data:application/json;base64,${Buffer.from(JSON.stringify(map)).toString('base64')}`
+    };
+}
+
+test('replaces the text of a plain stylesheet served from the file', async () => {
+    const sheets = [
+        { styleSheetId: '1', sourceURL: 'http://localhost:3000/css/site.css?v=3' },
+        { styleSheetId: '2', sourceURL: 'http://localhost:3000/css/other.css' },
+        { styleSheetId: '3' }
+    ];
+
+    const matches = await sync.findStyleSheetsForFile(path.join(dir, 'css', 'site.css'), sheets, dir);
+
+    assert.deepEqual(matches, [{ ...sheets[0], method: 'setText' }]);
+});
+
+test('reloads bundles whose source map lists the file', async () => {
+    mock.method(sync.sourceMaps, 'fetchText', async () => '.b{color:red}');
+    const sheets = [
+        mappedSheet('bundle', ['webpack:///./src/app.scss']),
+        mappedSheet('vendor', ['webpack:///./node_modules/lib/lib.scss']),
+        mappedSheet('broken', ['webpack:///./src/%E0%A4%A.scss'])
+    ];
+
+    const matches = await sync.findStyleSheetsForFile(path.join(dir, 'src', 'app.scss'), sheets, dir);
+
+    assert.deepEqual(matches.map(match => [match.styleSheetId, match.method]), [['bundle', 'reload']]);
+});
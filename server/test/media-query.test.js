@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateMediaQuery, getWidthRange, getWidthSpan } = require('../media-query');
+
+const phone = { width: 375, height: 812, colorScheme: 'light' };
+const desktop = { width: 1280, height: 800, colorScheme: 'dark' };
+
+test('evaluates width conditions against the inspected viewport', () => {
+    assert.equal(evaluateMediaQuery('(max-width: 600px)', phone), true);
+    assert.equal(evaluateMediaQuery('(max-width: 600px)', desktop), false);
+    assert.equal(evaluateMediaQuery('screen and (min-width: 768px)', desktop), true);
+    assert.equal(evaluateMediaQuery('(min-width: 40em)', phone), false);
+});
+
+test('evaluates range syntax, lists and negation', () => {
+    assert.equal(evaluateMediaQuery('(width >= 600px)', desktop), true);
+    assert.equal(evaluateMediaQuery('(400px <= width < 600px)', phone), false);
+    assert.equal(evaluateMediaQuery('(max-width: 300px), (min-width: 700px)', desktop), true);
+    assert.equal(evaluateMediaQuery('not (max-width: 600px)', desktop), true);
+    assert.equal(evaluateMediaQuery('print', desktop), false);
+});
+
+test('evaluates user preferences when the context has them', () => {
+    assert.equal(evaluateMediaQuery('(prefers-color-scheme: dark)', desktop), true);
+    assert.equal(evaluateMediaQuery('(prefers-color-scheme: dark)', phone), false);
+    // Features the context doesn't know about don't exclude a rule
+    assert.equal(evaluateMediaQuery('(prefers-color-scheme: dark)', { width: 375 }), true);
+});
+
+test('reads the width range a query covers', () => {
+    assert.deepEqual(getWidthRange('(min-width: 768px) and (max-width: 1023px)'), { min: 768, max: 1023 });
+    assert.deepEqual(getWidthRange('(max-width: 600px)'), { min: 0, max: 600 });
+    assert.equal(getWidthRange('(prefers-color-scheme: dark)'), null);
+});
+
+test('treats a missing width bound as open-ended', () => {
+    assert.equal(getWidthSpan(getWidthRange('(min-width: 768px)')), Infinity);
+    assert.equal(getWidthSpan({ min: 768, max: null }), Infinity);
+    assert.equal(getWidthSpan({ min: null, max: 600 }), Infinity);
+    assert.equal(getWidthSpan(getWidthRange('(min-width: 600px) and (max-width: 1024px)')), 424);
+});
@@ -0,0 +1,60 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { PairingToken, TOKEN_HEADER } = require('../pairing-token');
+const { CSSSync } = require('../server');
+
+let dir;
+let pairing;
+
+beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'css-sync-token-'));
+    pairing = new PairingToken(path.join(dir, 'nested', 'token'));
+});
+
+afterEach(async () => {
+    mock.restoreAll();
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('generates a token on first start and keeps it across restarts', async () => {
+    const token = await pairing.init();
+
+    assert.match(token, /^[0-9a-f]{48}$/);
+    assert.equal((await fs.stat(pairing.tokenPath)).mode & 0o777, 0o600);
+    assert.equal(await new PairingToken(pairing.tokenPath).init(), token);
+});
+
+test('accepts only the current token', async () => {
+    const old = await pairing.init();
+    const token = await pairing.rotate();
+
+    assert.notEqual(token, old);
+    assert.equal(pairing.verify(token), true);
+    assert.equal(pairing.verify(old), false);
+    assert.equal(pairing.verify(token.slice(1)), false);
+    assert.equal(pairing.verify(undefined), false);
+});
+
+test('rejects requests without the token before they reach a route', async () => {
+    mock.method(console, 'log', () => {});
+    const sync = new CSSSync();
+    sync.pairingToken.tokenPath = pairing.tokenPath;
+    const token = await sync.pairingToken.init();
+
+    const server = sync.app.listen(0);
+    try {
+        const url = `http://127.0.0.1:${server.address().port}/status`;
+
+        const rejected = await fetch(url);
+        assert.equal(rejected.status, 401);
+        assert.equal((await rejected.json()).unauthorized, true);
+
+        const accepted = await fetch(url, { headers: { [TOKEN_HEADER]: token } });
+        assert.equal(accepted.status, 200);
+    } finally {
+        server.close();
+    }
+});
@@ -0,0 +1,61 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { ProjectRoots, PathNotAllowedError, isInside } = require('../project-roots');
+
+let dir;
+let roots;
+
+beforeEach(async () => {
+    dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'css-sync-roots-')));
+    await fs.mkdir(path.join(dir, 'project', 'css'), { recursive: true });
+    await fs.mkdir(path.join(dir, 'outside'));
+    roots = new ProjectRoots();
+});
+
+afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('rejects every path until a root is set', async () => {
+    await assert.rejects(roots.assertAllowed(path.join(dir, 'project', 'a.css')), PathNotAllowedError);
+});
+
+test('canonicalizes roots and ignores duplicates and empty entries', async () => {
+    await fs.symlink(path.join(dir, 'project'), path.join(dir, 'link'));
+
+    const result = await roots.setRoots([path.join(dir, 'link'), `${dir}/outside/../project`, null]);
+
+    assert.deepEqual(result, [path.join(dir, 'project')]);
+});
+
+test('refuses roots that are missing or not directories', async () => {
+    await fs.writeFile(path.join(dir, 'file.css'), '', 'utf8');
+
+    await assert.rejects(roots.setRoots([path.join(dir, 'missing')]), /does not exist/);
+    await assert.rejects(roots.setRoots([path.join(dir, 'file.css')]), /not a directory/);
+});
+
+test('allows new files inside a root and nothing outside it', async () => {
+    await roots.setRoots([path.join(dir, 'project')]);
+
+    await roots.assertAllowed(path.join(dir, 'project', 'css', 'new', 'main.css'));
+    await assert.rejects(roots.assertAllowed(path.join(dir, 'project', '..', 'outside', 'a.css')), PathNotAllowedError);
+    await assert.rejects(roots.assertAllowed(path.join(dir, 'project-other', 'a.css')), PathNotAllowedError);
+});
+
+test('follows symlinks that lead out of a root', async () => {
+    await roots.setRoots([path.join(dir, 'project')]);
+    await fs.symlink(path.join(dir, 'outside'), path.join(dir, 'project', 'escape'));
+
+    assert.equal(await roots.isAllowed(path.join(dir, 'project', 'escape', 'a.css')), false);
+});
+
+test('tells whether a path is inside a directory', () => {
+    assert.equal(isInside('/p', '/p'), true);
+    assert.equal(isInside('/p', '/p/a/b.css'), true);
+    assert.equal(isInside('/p', '/p2/a.css'), false);
+    assert.equal(isInside('/p', '/p/../a.css'), false);
+});
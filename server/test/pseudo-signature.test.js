@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { getPseudoParts, getPseudoSignature } = require('../pseudo-signature');
+
+const SELECTORS = [
+    '.btn',
+    '.btn:hover',
+    '.btn:focus:hover',
+    '.card::before',
+    '.card:after',
+    '.nav a:hover::after',
+    '.btn:hover .icon',
+    '.btn:not(:hover)',
+    '[data-state=":hover"]',
+    'a:visited:FOCUS-VISIBLE'
+];
+
+test('reads the state and pseudo-element of the selector\'s subject', () => {
+    assert.deepEqual(getPseudoParts('.nav a:hover::after'), { classes: ['hover'], element: 'after' });
+    assert.deepEqual(getPseudoParts('.btn:hover .icon'), { classes: [], element: null });
+    assert.equal(getPseudoSignature('.btn:focus:hover'), ':hover:focus');
+    assert.equal(getPseudoSignature('.card:after'), '::after');
+    assert.equal(getPseudoSignature('.btn:not(:hover)'), '');
+    assert.equal(getPseudoSignature('[data-state=":hover"]'), '');
+});
+
+const extensionCopy = path.join(__dirname, '..', '..', 'extension', 'pseudo-signature.js');
+
+test('agrees with the extension\'s copy', { skip: !fs.existsSync(extensionCopy) && 'extension not checked out' }, () => {
+    const context = { self: {} };
+    vm.runInNewContext(fs.readFileSync(extensionCopy, 'utf8'), context);
+
+    for (const selector of SELECTORS) {
+        assert.equal(context.self.getPseudoSignature(selector), getPseudoSignature(selector), selector);
+    }
+});
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CSSParser, getStyleRules } = require('../css-parser');
+const { applyEdits, buildDeclarationEdits } = require('../css-writer');
+const { isShorthand, getLonghands, covers, splitValue, expandShorthand, composeShorthand } = require('../shorthands');
+
+function write(content, changes, syntax = 'css') {
+    const rule = getStyleRules(new CSSParser({ syntax }).parse(content))[0];
+    return applyEdits(content, buildDeclarationEdits(content, rule, changes, syntax));
+}
+
+test('knows the longhands each shorthand covers', () => {
+    assert.equal(isShorthand('margin'), true);
+    assert.equal(isShorthand('margin-top'), false);
+    assert.deepEqual(getLonghands('padding'), ['padding-top', 'padding-right', 'padding-bottom', 'padding-left']);
+    assert.equal(covers('margin', 'margin-top'), true);
+    assert.equal(covers('margin', 'padding-top'), false);
+});
+
+test('splits values at top-level spaces only', () => {
+    assert.deepEqual(splitValue('1px solid rgb(0, 0, 0)'), ['1px', 'solid', 'rgb(0, 0, 0)']);
+});
+
+test('expands and composes box shorthands', () => {
+    assert.deepEqual(expandShorthand('margin', '0 auto'), {
+        'margin-top': '0',
+        'margin-right': 'auto',
+        'margin-bottom': '0',
+        'margin-left': 'auto'
+    });
+    assert.equal(composeShorthand('margin', {
+        'margin-top': '10px',
+        'margin-right': 'auto',
+        'margin-bottom': '0',
+        'margin-left': 'auto'
+    }), '10px auto 0');
+});
+
+test('merges a changed longhand into the authored shorthand', () => {
+    assert.equal(
+        write('.a {\n    margin: 0 auto;\n}\n', { 'margin-top': '10px' }),
+        '.a {\n    margin: 10px auto 0;\n}\n'
+    );
+});
+
+test('drops longhands a changed shorthand overrides', () => {
+    assert.equal(
+        write('.a {\n    margin: 0;\n    margin-top: 4px;\n}\n', { margin: '8px' }),
+        '.a {\n    margin: 8px;\n}\n'
+    );
+});
+
+test('updates authored longhands when the shorthand changes', () => {
+    assert.equal(
+        write('.a {\n    margin-top: 0;\n    margin-right: 0;\n    margin-bottom: 0;\n    margin-left: 0;\n}\n', { margin: '4px 8px' }),
+        '.a {\n    margin-top: 4px;\n    margin-right: 8px;\n    margin-bottom: 4px;\n    margin-left: 8px;\n}\n'
+    );
+});
+
+test('keeps the shorthand\'s priority, and leaves values it can\'t expand alone', () => {
+    assert.equal(write('.a { flex: 1 1 0%; }', { 'flex-grow': '2' }), '.a { flex: 2; }');
+    assert.equal(write('.a { margin: 0 !important; }', { 'margin-top': '4px' }), '.a { margin: 4px 0 0 !important; }');
+    assert.equal(write('.a { border: 1px solid red; }', { 'border-color': 'blue' }), '.a { border: 1px solid red; border-color: blue; }');
+});
+
+test('adds a longhand beside a shorthand set from a preprocessor variable', () => {
+    assert.equal(write('.a { margin: $gap; }', { 'margin-top': '4px' }, 'scss'), '.a { margin: $gap; margin-top: 4px; }');
+});
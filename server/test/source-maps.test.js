@@ -0,0 +1,71 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { SourceMapResolver, decodeMappings, getSourcePathSegments } = require('../source-maps');
+
+function dataUrl(map) {
+    return `data:application/json;base64,${Buffer.from(JSON.stringify(map)).toString('base64')}`;
+}
+
+test('decodes VLQ mappings into absolute segments per line', () => {
+    assert.deepEqual(decodeMappings('AAIA,UAAU;;EACA'), [
+        [[0, 0, 4, 0], [10, 0, 4, 10]],
+        [],
+        [[2, 0, 5, 10]]
+    ]);
+    assert.throws(() => decodeMappings('A!'), /Invalid base64 character/);
+});
+
+test('maps a compiled position to the closest original position before it', () => {
+    const resolver = new SourceMapResolver();
+    const loaded = {
+        mapUrl: 'http://localhost:3000/dist/app.css.map',
+        map: { sources: ['../src/app.scss'], decodedMappings: decodeMappings('AAIA,UAAU;;EACA') }
+    };
+
+    assert.deepEqual(resolver.originalPositionFor(loaded, 1, 12), {
+        source: 'http://localhost:3000/src/app.scss',
+        rawSource: '../src/app.scss',
+        line: 5,
+        column: 10
+    });
+    // Lines without mappings fall back to the last mapped line
+    assert.equal(resolver.originalPositionFor(loaded, 2, 0).line, 5);
+});
+
+test('loads a stylesheet with an inline map once per styleSheetId', async () => {
+    const resolver = new SourceMapResolver();
+    const fetchText = mock.method(resolver, 'fetchText', async () => '.a{color:red}');
+    const styleSheet = {
+        styleSheetId: '1',
+        sourceURL: 'http://localhost:3000/app.css',
+        sourceMapURL: dataUrl({ version: 3, sources: ['app.scss'], mappings: 'AAAA' })
+    };
+
+    const loaded = await resolver.load(styleSheet);
+    await resolver.load(styleSheet);
+
+    assert.equal(loaded.css, '.a{color:red}');
+    assert.deepEqual(loaded.map.decodedMappings, [[[0, 0, 0, 0]]]);
+    assert.equal(fetchText.mock.callCount(), 1);
+    assert.equal(await resolver.load({ sourceURL: 'http://localhost:3000/app.css' }), null);
+});
+
+test('reads the path segments of bundler source URLs', () => {
+    assert.deepEqual(getSourcePathSegments('webpack:///./src/styles/app.scss'), ['src', 'styles', 'app.scss']);
+    assert.deepEqual(getSourcePathSegments('http://localhost:3000/src/my%20app.scss?v=2'), ['src', 'my app.scss']);
+    assert.deepEqual(getSourcePathSegments('~/bootstrap/scss/_buttons.scss'), ['bootstrap', 'scss', '_buttons.scss']);
+    assert.throws(() => getSourcePathSegments('webpack:///src/%E0%A4%A.scss'), URIError);
+});
+
+test('lists the original sources of a map', () => {
+    const resolver = new SourceMapResolver();
+    const loaded = {
+        mapUrl: 'http://localhost:3000/dist/app.css.map',
+        map: { sources: ['../src/a.scss', 'webpack:///./src/b.scss'] }
+    };
+
+    assert.deepEqual(resolver.getSources(loaded), ['http://localhost:3000/src/a.scss', 'webpack:///./src/b.scss']);
+    assert.deepEqual(resolver.getSources({ ...loaded, map: { sourceRoot: '/styles/', sources: ['a.scss'] } }), [
+        'http://localhost:3000/styles/a.scss'
+    ]);
+});
@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createUnifiedDiff } = require('../unified-diff');
+
+const lines = Array.from({ length: 20 }, (_, index) => `l${index + 1}`).join('\n') + '\n';
+
+test('is empty when nothing changed', () => {
+    assert.equal(createUnifiedDiff('app.css', lines, lines), '');
+});
+
+test('shows each change with three lines of context', () => {
+    const diff = createUnifiedDiff('app.css', lines, lines.replace('l2\n', 'L2\n').replace('l18\n', 'L18\n'));
+
+    assert.equal(diff, [
+        '--- a/app.css',
+        '+++ b/app.css',
+        '@@ -1,5 +1,5 @@',
+        ' l1', '-l2', '+L2', ' l3', ' l4', ' l5',
+        '@@ -15,6 +15,6 @@',
+        ' l15', ' l16', ' l17', '-l18', '+L18', ' l19', ' l20',
+        ''
+    ].join('\n'));
+});
+
+test('joins changes whose contexts overlap into one hunk', () => {
+    const diff = createUnifiedDiff('app.css', lines, lines.replace('l5\n', 'L5\n').replace('l10\n', 'L10\n'));
+
+    assert.equal(diff.split('\n').filter(line => line.startsWith('@@')).length, 1);
+    assert.match(diff, /^@@ -2,12 \+2,12 @@$/m);
+});
+
+test('numbers hunks of an empty file from zero and ignores CRLF line endings', () => {
+    assert.equal(createUnifiedDiff('new.css', '', '.a {}\n'), '--- a/new.css\n+++ b/new.css\n@@ -0,0 +1,1 @@\n+.a {}\n');
+    assert.equal(createUnifiedDiff('app.css', 'a\r\nb\r\n', 'a\r\nc\r\n'), '--- a/app.css\n+++ b/app.css\n@@ -1,2 +1,2 @@\n a\n-b\n+c\n');
+});
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { UrlMappings, UrlMappingError, normalizeUrlPrefix } = require('../url-mappings');
+
+const mappings = new UrlMappings({
+    'https://staging.example.com/assets': '/work/site/src/styles',
+    'https://staging.example.com/assets/vendor/': '/work/site/vendor'
+});
+
+test('normalizes prefixes to cover a directory', () => {
+    assert.equal(normalizeUrlPrefix(' https://example.com/assets '), 'https://example.com/assets/');
+    assert.equal(normalizeUrlPrefix('https://example.com'), 'https://example.com/');
+    assert.throws(() => normalizeUrlPrefix('/assets/'), UrlMappingError);
+});
+
+test('maps a URL through the longest matching prefix', () => {
+    assert.equal(mappings.resolve('https://staging.example.com/assets/header.css?v=3#x'), path.resolve('/work/site/src/styles/header.css'));
+    assert.equal(mappings.resolve('https://staging.example.com/assets/vendor/grid.css'), path.resolve('/work/site/vendor/grid.css'));
+    assert.equal(mappings.resolve('https://staging.example.com/assets/my%20theme/a.css'), path.resolve('/work/site/src/styles/my theme/a.css'));
+});
+
+test('maps nothing outside the prefixes or their directories', () => {
+    assert.equal(mappings.resolve('https://staging.example.com/assets-old/header.css'), null);
+    assert.equal(mappings.resolve('https://example.com/assets/header.css'), null);
+    assert.equal(mappings.resolve('https://staging.example.com/assets/'), null);
+    assert.equal(mappings.resolve('https://staging.example.com/assets/%2e%2e/%2e%2e/secrets.css'), null);
+    assert.equal(mappings.resolve('https://staging.example.com/assets/%E0%A4%A.css'), null);
+    assert.equal(mappings.resolve('not a url'), null);
+    assert.equal(mappings.resolve(undefined), null);
+});
+
+test('lists mappings and their directories', () => {
+    assert.deepEqual(mappings.toObject(), {
+        'https://staging.example.com/assets/vendor/': path.resolve('/work/site/vendor'),
+        'https://staging.example.com/assets/': path.resolve('/work/site/src/styles')
+    });
+    assert.deepEqual(mappings.getDirectories(), [path.resolve('/work/site/vendor'), path.resolve('/work/site/src/styles')]);
+});
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CSSParser } = require('../css-parser');
+const { parseColor, formatValue, isEquivalentValue, canonicalizeColors, describeFileFormat } = require('../value-format');
+
+test('parses hex, functional and named colors', () => {
+    assert.deepEqual(parseColor('#fff'), { r: 255, g: 255, b: 255, a: 1 });
+    assert.deepEqual(parseColor('rgba(0, 0, 0, .5)'), { r: 0, g: 0, b: 0, a: 0.5 });
+    assert.deepEqual(parseColor('rebeccapurple'), { r: 102, g: 51, b: 153, a: 1 });
+    assert.equal(parseColor('nope'), null);
+});
+
+test('writes browser colors in the authored format', () => {
+    assert.equal(formatValue('color', 'rgb(51, 51, 51)', '#000'), '#333');
+    assert.equal(formatValue('color', 'rgb(102, 51, 153)', 'red'), 'rebeccapurple');
+    assert.equal(formatValue('color', 'rgb(255, 0, 0)', 'hsl(0, 0%, 0%)'), 'hsl(0, 100%, 50%)');
+    // No exact hex for the alpha, so the value is written as it came
+    assert.equal(formatValue('color', 'rgba(1, 2, 3, 0.3)', '#000'), 'rgba(1, 2, 3, 0.3)');
+});
+
+test('writes px lengths in the authored unit', () => {
+    assert.equal(formatValue('margin', '24px', '1rem'), '1.5rem');
+    assert.equal(formatValue('margin', '20px', '1rem', { rootFontSize: 10 }), '2rem');
+    assert.equal(formatValue('margin', '20px', '1em', { fontSize: 10 }), '2em');
+    // font-size em is relative to the parent, which is the root's size here
+    assert.equal(formatValue('font-size', '32px', '1em', { fontSize: 10 }), '2em');
+    assert.equal(formatValue('margin', '24px 8px', '1rem 0'), '1.5rem 8px');
+    assert.equal(formatValue('width', '50px', '10%'), '50px');
+});
+
+test('compares values across formats', () => {
+    assert.equal(isEquivalentValue('margin', '16px', '1rem'), true);
+    assert.equal(isEquivalentValue('color', 'rgb(255, 255, 255)', '#fff'), true);
+    assert.equal(isEquivalentValue('color', 'rgb(255, 255, 254)', '#fff'), false);
+    assert.equal(canonicalizeColors('#FFF'), canonicalizeColors('white'));
+    assert.equal(canonicalizeColors('1px solid #333'), canonicalizeColors('1px solid rgb(51, 51, 51)'));
+    assert.notEqual(canonicalizeColors('#fff'), canonicalizeColors('rgb(255, 255, 254)'));
+});
+
+test('samples each property\'s format and the file\'s most used color format', () => {
+    const root = new CSSParser({ syntax: 'css' }).parse('.a { color: #fff; background: #000; border-color: rgb(0, 0, 0); }\n.b { margin: 1rem; }');
+    const format = describeFileFormat(root);
+
+    assert.equal(format.samples.margin, '1rem');
+    assert.equal(format.samples['border-color'], 'rgb(0, 0, 0)');
+    assert.equal(format.colorSample, '#fff');
+});
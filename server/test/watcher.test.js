@@ -0,0 +1,88 @@
+// The chokidar watchers keep the stylesheet cache in step with edits made
+// outside the server. Each test watches a fresh temporary project.
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { CSSSync } = require('../server');
+const { ChangeJournal } = require('../change-journal');
+
+let dir;
+let sync;
+
+beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'css-sync-watch-')));
+    sync = new CSSSync();
+    sync.journal = new ChangeJournal(path.join(dir, 'journal.json'));
+    await sync.projectRoots.setRoots([dir]);
+    await fs.writeFile(path.join(dir, 'app.css'), '.btn { color: red; }\n', 'utf8');
+    await sync.loadCSSFilesForPath(dir);
+    await new Promise(resolve => sync.watchers.get(dir).once('ready', resolve));
+});
+
+afterEach(async () => {
+    await Promise.all([...sync.watchers.values()].map(watcher => watcher.close()));
+    mock.restoreAll();
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function waitFor(condition) {
+    const deadline = Date.now() + 5000;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting for the watcher');
+        }
+        await new Promise(resolve => setTimeout(resolve, 25));
+    }
+}
+
+test('re-parses a stylesheet edited outside the server', async () => {
+    const filePath = path.join(dir, 'app.css');
+    await fs.writeFile(filePath, '.btn { color: green; }\n', 'utf8');
+
+    await waitFor(() => sync.cssFiles.get(filePath).content === '.btn { color: green; }\n');
+});
+
+test('picks up new stylesheets and forgets deleted ones', async () => {
+    const filePath = path.join(dir, 'nested', 'new.scss');
+    await fs.mkdir(path.dirname(filePath));
+    await fs.writeFile(filePath, '.card { color: red; }\n', 'utf8');
+    await waitFor(() => sync.cssFiles.has(filePath));
+
+    await fs.rm(path.join(dir, 'nested'), { recursive: true });
+    await waitFor(() => !sync.cssFiles.has(filePath));
+});
+
+test('moves journal entries along with a renamed file', async () => {
+    const oldPath = path.join(dir, 'app.css');
+    const newPath = path.join(dir, 'button.css');
+    const result = await sync.applyCSSChange({
+        selectorVariations: [{ selector: '.btn' }],
+        classList: ['btn'],
+        changes: { color: 'blue' }
+    }, dir);
+
+    await fs.rename(oldPath, newPath);
+
+    await waitFor(() => sync.journal.getEntry(result.journalId).file === newPath);
+    assert.equal(sync.cssFiles.has(oldPath), false);
+    assert.equal(sync.cssFiles.get(newPath).content, '.btn { color: blue; }\n');
+});
+
+test('watches a project once, replacing watchers of the folders inside it', async () => {
+    const parent = path.dirname(dir);
+    const watcher = sync.watchers.get(dir);
+
+    sync.watchPath(path.join(dir, 'nested'));
+    assert.deepEqual([...sync.watchers.keys()], [dir]);
+    assert.equal(sync.watchers.get(dir), watcher);
+
+    const closed = mock.method(watcher, 'close');
+    mock.method(require('chokidar'), 'watch', () => ({ on() { return this; }, close: async () => {} }));
+    sync.watchPath(parent);
+    assert.deepEqual([...sync.watchers.keys()], [parent]);
+    assert.equal(closed.mock.callCount(), 1);
+});
@@ -0,0 +1,115 @@
+// Unified Diff - Renders the difference between two versions of a file
+//
+// Sync edits touch a few lines, so the common leading and trailing lines are
+// trimmed before the line-level LCS runs on what is left.
+
+const CONTEXT_LINES = 3;
+
+function splitLines(content) {
+    if (content === '') {
+        return [];
+    }
+    const lines = content.split(/\r?\n/);
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+    return lines;
+}
+
+// Line operations (' ', '-', '+') turning `oldLines` into `newLines`
+function diffLines(oldLines, newLines) {
+    let prefix = 0;
+    while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+        prefix++;
+    }
+
+    let suffix = 0;
+    while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix &&
+        oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+        suffix++;
+    }
+
+    const oldMiddle = oldLines.slice(prefix, oldLines.length - suffix);
+    const newMiddle = newLines.slice(prefix, newLines.length - suffix);
+
+    // lengths[i][j] = LCS length of oldMiddle[i..] and newMiddle[j..]
+    const lengths = Array.from({ length: oldMiddle.length + 1 }, () => new Array(newMiddle.length + 1).fill(0));
+    for (let i = oldMiddle.length - 1; i >= 0; i--) {
+        for (let j = newMiddle.length - 1; j >= 0; j--) {
+            lengths[i][j] = oldMiddle[i] === newMiddle[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const operations = oldLines.slice(0, prefix).map(line => [' ', line]);
+    let i = 0;
+    let j = 0;
+    while (i < oldMiddle.length || j < newMiddle.length) {
+        if (i < oldMiddle.length && j < newMiddle.length && oldMiddle[i] === newMiddle[j]) {
+            operations.push([' ', oldMiddle[i++]]);
+            j++;
+        } else if (i < oldMiddle.length && (j === newMiddle.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+            operations.push(['-', oldMiddle[i++]]);
+        } else {
+            operations.push(['+', newMiddle[j++]]);
+        }
+    }
+    operations.push(...oldLines.slice(oldLines.length - suffix).map(line => [' ', line]));
+
+    return operations;
+}
+
+// `diff -u` style output with `a/` and `b/` prefixed file names. Empty when
+// both versions are the same.
+function createUnifiedDiff(fileName, oldContent, newContent, contextLines = CONTEXT_LINES) {
+    if (oldContent === newContent) {
+        return '';
+    }
+
+    const operations = diffLines(splitLines(oldContent), splitLines(newContent));
+    const output = [`--- a/${fileName}`, `+++ b/${fileName}`];
+
+    // Old and new line numbers before each operation
+    const positions = [];
+    let oldLine = 1;
+    let newLine = 1;
+    for (const [type] of operations) {
+        positions.push([oldLine, newLine]);
+        if (type !== '+') oldLine++;
+        if (type !== '-') newLine++;
+    }
+
+    let index = 0;
+    while (index < operations.length) {
+        if (operations[index][0] === ' ') {
+            index++;
+            continue;
+        }
+
+        // Grow the hunk until the next change is more than two contexts away
+        const start = Math.max(0, index - contextLines);
+        let end = index;
+        let lastChange = index;
+        while (end < operations.length && end - lastChange <= contextLines * 2 + 1) {
+            if (operations[end][0] !== ' ') lastChange = end;
+            end++;
+        }
+        end = Math.min(operations.length, lastChange + contextLines + 1);
+
+        const hunk = operations.slice(start, end);
+        const oldCount = hunk.filter(([type]) => type !== '+').length;
+        const newCount = hunk.filter(([type]) => type !== '-').length;
+        const [oldStart, newStart] = positions[start];
+
+        output.push(`@@ -${oldCount ? oldStart : oldStart - 1},${oldCount} +${newCount ? newStart : newStart - 1},${newCount} @@`);
+        output.push(...hunk.map(([type, line]) => type + line));
+        index = end;
+    }
+
+    return output.join('\n') + '\n';
+}
+
+module.exports = {
+    createUnifiedDiff
+};
@@ -0,0 +1,99 @@
+// URL Mappings - Maps stylesheet URLs to local files by URL prefix
+//
+// A mapping like `https://staging.example.com/assets/` -> `/work/site/src/styles`
+// sends a rule from `https://staging.example.com/assets/header.css` straight to
+// `/work/site/src/styles/header.css`. The longest matching prefix wins; query
+// strings and fragments are ignored.
+
+const path = require('path');
+const { isInside } = require('./project-roots');
+
+class UrlMappingError extends Error {
+    constructor(message, prefix) {
+        super(message);
+        this.name = 'UrlMappingError';
+        this.prefix = prefix;
+    }
+}
+
+class UrlMappings {
+    constructor(mappings = {}) {
+        this.set(mappings);
+    }
+
+    // Replaces all mappings from a { prefix: directory } object
+    set(mappings) {
+        this.mappings = Object.entries(mappings || {})
+            .map(([prefix, directory]) => ({ prefix: normalizeUrlPrefix(prefix), directory: path.resolve(directory) }))
+            .sort((a, b) => b.prefix.length - a.prefix.length);
+    }
+
+    toObject() {
+        const mappings = {};
+        for (const { prefix, directory } of this.mappings) {
+            mappings[prefix] = directory;
+        }
+        return mappings;
+    }
+
+    getDirectories() {
+        return this.mappings.map(mapping => mapping.directory);
+    }
+
+    // Local path for a stylesheet URL, or null when no prefix covers it
+    resolve(url) {
+        const normalizedUrl = normalizeUrl(url);
+        if (!normalizedUrl) {
+            return null;
+        }
+
+        for (const { prefix, directory } of this.mappings) {
+            if (!normalizedUrl.startsWith(prefix)) continue;
+
+            let relativePath;
+            try {
+                relativePath = decodeURIComponent(normalizedUrl.slice(prefix.length));
+            } catch (error) {
+                continue;
+            }
+
+            const filePath = path.join(directory, ...relativePath.split('/').filter(Boolean));
+            // Encoded `..` segments must not lead out of the directory
+            if (filePath !== directory && isInside(directory, filePath)) {
+                return filePath;
+            }
+        }
+
+        return null;
+    }
+}
+
+// Canonical form of a URL without query and fragment, or null if it isn't one
+function normalizeUrl(url) {
+    if (!url) {
+        return null;
+    }
+    try {
+        const parsed = new URL(url);
+        parsed.search = '';
+        parsed.hash = '';
+        return parsed.href;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Prefixes always cover a directory, so `/assets` doesn't also match `/assets-old/`
+function normalizeUrlPrefix(prefix) {
+    const normalized = normalizeUrl(String(prefix).trim());
+    if (!normalized) {
+        throw new UrlMappingError(`URL mapping prefix must be an absolute URL, got: ${prefix}`, prefix);
+    }
+    return normalized.endsWith('/') ? normalized : normalized + '/';
+}
+
+module.exports = {
+    UrlMappings,
+    UrlMappingError,
+    normalizeUrlPrefix
+};
@@ -0,0 +1,377 @@
+// Value Format - Writes incoming values in the format the source already uses
+//
+// DevTools reports values the way the browser serializes them: colors as
+// `rgb()`, lengths in `px`. Before such a value replaces an authored one it is
+// converted back to that declaration's format (`#333`, `hsl()`, `rebeccapurple`,
+// `1.5rem`); a new declaration follows the file's other declarations of the
+// same property, and for colors the format the file uses most. Tokens that
+// don't convert exactly are written as they came.
+//
+// rem is relative to the root font size (16px unless configured); em and %
+// font sizes too, other em lengths to the element's font size when known.
+
+const { splitValue } = require('./shorthands');
+
+const DEFAULT_ROOT_FONT_SIZE = 16;
+
+const NAMED_COLORS = {
+    aliceblue: 'f0f8ff', antiquewhite: 'faebd7', aqua: '00ffff', aquamarine: '7fffd4', azure: 'f0ffff',
+    beige: 'f5f5dc', bisque: 'ffe4c4', black: '000000', blanchedalmond: 'ffebcd', blue: '0000ff',
+    blueviolet: '8a2be2', brown: 'a52a2a', burlywood: 'deb887', cadetblue: '5f9ea0', chartreuse: '7fff00',
+    chocolate: 'd2691e', coral: 'ff7f50', cornflowerblue: '6495ed', cornsilk: 'fff8dc', crimson: 'dc143c',
+    cyan: '00ffff', darkblue: '00008b', darkcyan: '008b8b', darkgoldenrod: 'b8860b', darkgray: 'a9a9a9',
+    darkgreen: '006400', darkgrey: 'a9a9a9', darkkhaki: 'bdb76b', darkmagenta: '8b008b', darkolivegreen: '556b2f',
+    darkorange: 'ff8c00', darkorchid: '9932cc', darkred: '8b0000', darksalmon: 'e9967a', darkseagreen: '8fbc8f',
+    darkslateblue: '483d8b', darkslategray: '2f4f4f', darkslategrey: '2f4f4f', darkturquoise: '00ced1',
+    darkviolet: '9400d3', deeppink: 'ff1493', deepskyblue: '00bfff', dimgray: '696969', dimgrey: '696969',
+    dodgerblue: '1e90ff', firebrick: 'b22222', floralwhite: 'fffaf0', forestgreen: '228b22', fuchsia: 'ff00ff',
+    gainsboro: 'dcdcdc', ghostwhite: 'f8f8ff', gold: 'ffd700', goldenrod: 'daa520', gray: '808080',
+    green: '008000', greenyellow: 'adff2f', grey: '808080', honeydew: 'f0fff0', hotpink: 'ff69b4',
+    indianred: 'cd5c5c', indigo: '4b0082', ivory: 'fffff0', khaki: 'f0e68c', lavender: 'e6e6fa',
+    lavenderblush: 'fff0f5', lawngreen: '7cfc00', lemonchiffon: 'fffacd', lightblue: 'add8e6', lightcoral: 'f08080',
+    lightcyan: 'e0ffff', lightgoldenrodyellow: 'fafad2', lightgray: 'd3d3d3', lightgreen: '90ee90', lightgrey: 'd3d3d3',
+    lightpink: 'ffb6c1', lightsalmon: 'ffa07a', lightseagreen: '20b2aa', lightskyblue: '87cefa',
+    lightslategray: '778899', lightslategrey: '778899', lightsteelblue: 'b0c4de', lightyellow: 'ffffe0',
+    lime: '00ff00', limegreen: '32cd32', linen: 'faf0e6', magenta: 'ff00ff', maroon: '800000',
+    mediumaquamarine: '66cdaa', mediumblue: '0000cd', mediumorchid: 'ba55d3', mediumpurple: '9370db',
+    mediumseagreen: '3cb371', mediumslateblue: '7b68ee', mediumspringgreen: '00fa9a', mediumturquoise: '48d1cc',
+    mediumvioletred: 'c71585', midnightblue: '191970', mintcream: 'f5fffa', mistyrose: 'ffe4e1', moccasin: 'ffe4b5',
+    navajowhite: 'ffdead', navy: '000080', oldlace: 'fdf5e6', olive: '808000', olivedrab: '6b8e23',
+    orange: 'ffa500', orangered: 'ff4500', orchid: 'da70d6', palegoldenrod: 'eee8aa', palegreen: '98fb98',
+    paleturquoise: 'afeeee', palevioletred: 'db7093', papayawhip: 'ffefd5', peachpuff: 'ffdab9', peru: 'cd853f',
+    pink: 'ffc0cb', plum: 'dda0dd', powderblue: 'b0e0e6', purple: '800080', rebeccapurple: '663399',
+    red: 'ff0000', rosybrown: 'bc8f8f', royalblue: '4169e1', saddlebrown: '8b4513', salmon: 'fa8072',
+    sandybrown: 'f4a460', seagreen: '2e8b57', seashell: 'fff5ee', sienna: 'a0522d', silver: 'c0c0c0',
+    skyblue: '87ceeb', slateblue: '6a5acd', slategray: '708090', slategrey: '708090', snow: 'fffafa',
+    springgreen: '00ff7f', steelblue: '4682b4', tan: 'd2b48c', teal: '008080', thistle: 'd8bfd8',
+    tomato: 'ff6347', turquoise: '40e0d0', violet: 'ee82ee', wheat: 'f5deb3', white: 'ffffff',
+    whitesmoke: 'f5f5f5', yellow: 'ffff00', yellowgreen: '9acd32'
+};
+
+const NUMBER = '[+-]?(?:\\d+\\.?\\d*|\\.\\d+)(?:e[+-]?\\d+)?';
+const LENGTH_PATTERN = new RegExp(`^(${NUMBER})(px|rem|em|%)?$`, 'i');
+
+// Colors
+
+function parseHex(hex) {
+    const digits = hex.length <= 4 ? hex.split('').map(digit => digit + digit).join('') : hex;
+    if (!/^[0-9a-f]+$/i.test(digits) || (digits.length !== 6 && digits.length !== 8)) {
+        return null;
+    }
+    const channel = index => parseInt(digits.substr(index, 2), 16);
+    return { r: channel(0), g: channel(2), b: channel(4), a: digits.length === 8 ? round(channel(6) / 255, 3) : 1 };
+}
+
+function parseChannel(text, max) {
+    return text.endsWith('%') ? parseFloat(text) / 100 * max : parseFloat(text);
+}
+
+// { r, g, b, a } for a color token, or null if it isn't one
+function parseColor(token) {
+    const text = token.trim().toLowerCase();
+
+    if (text.startsWith('#')) {
+        return parseHex(text.slice(1));
+    }
+    if (text === 'transparent') {
+        return { r: 0, g: 0, b: 0, a: 0 };
+    }
+    if (NAMED_COLORS[text]) {
+        return parseHex(NAMED_COLORS[text]);
+    }
+
+    const match = text.match(/^(rgba?|hsla?)\((.*)\)$/);
+    if (!match) {
+        return null;
+    }
+    const args = match[2].split(/\s*[,/]\s*|\s+/).filter(Boolean);
+    if (args.length < 3 || args.length > 4 || args.some(arg => !new RegExp(`^${NUMBER}(%|deg)?$`).test(arg))) {
+        return null;
+    }
+    const a = args[3] === undefined ? 1 : Math.min(1, parseChannel(args[3], 1));
+
+    if (match[1].startsWith('rgb')) {
+        const [r, g, b] = args.slice(0, 3).map(arg => Math.round(parseChannel(arg, 255)));
+        return { r, g, b, a };
+    }
+    return { ...hslToRgb(parseFloat(args[0]), parseFloat(args[1]), parseFloat(args[2])), a };
+}
+
+function hslToRgb(h, s, l) {
+    const saturation = s / 100;
+    const lightness = l / 100;
+    const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+    const channel = n => {
+        const k = (n + h / 30) % 12;
+        return Math.round(255 * (lightness - chroma / 2 * Math.max(-1, Math.min(k - 3, 9 - k, 1))));
+    };
+    return { r: channel(0), g: channel(8), b: channel(4) };
+}
+
+function rgbToHsl({ r, g, b }) {
+    const [red, green, blue] = [r / 255, g / 255, b / 255];
+    const max = Math.max(red, green, blue);
+    const min = Math.min(red, green, blue);
+    const lightness = (max + min) / 2;
+    const delta = max - min;
+
+    let hue = 0;
+    let saturation = 0;
+    if (delta !== 0) {
+        saturation = delta / (1 - Math.abs(2 * lightness - 1));
+        if (max === red) hue = ((green - blue) / delta) % 6;
+        else if (max === green) hue = (blue - red) / delta + 2;
+        else hue = (red - green) / delta + 4;
+        hue = (hue * 60 + 360) % 360;
+    }
+    return { h: hue, s: saturation * 100, l: lightness * 100 };
+}
+
+function isSameColor(a, b) {
+    return a.r === b.r && a.g === b.g && a.b === b.b && Math.abs(a.a - b.a) < 0.005;
+}
+
+function toHexPair(value) {
+    return value.toString(16).padStart(2, '0');
+}
+
+// `color` written like the authored color token `like`, or null if that
+// format can't express it exactly
+function formatColorLike(color, like) {
+    const authored = like.trim();
+    const lower = authored.toLowerCase();
+
+    if (lower.startsWith('#')) {
+        const upper = authored !== lower;
+        let hex = [color.r, color.g, color.b].map(toHexPair).join('');
+        if (color.a < 1) {
+            if (authored.length !== 5 && authored.length !== 9) return null;
+            hex += toHexPair(Math.round(color.a * 255));
+        }
+        // Short form only where the file already uses it and the color allows
+        if (authored.length <= 5 && /^(.)\1(.)\2(.)\3((.)\5)?$/.test(hex)) {
+            hex = hex.replace(/(.)\1/g, '$1');
+        }
+        return '#' + (upper ? hex.toUpperCase() : hex);
+    }
+
+    if (NAMED_COLORS[lower] || lower === 'transparent') {
+        if (color.a === 0) return 'transparent';
+        if (color.a < 1) return null;
+        const hex = [color.r, color.g, color.b].map(toHexPair).join('');
+        return Object.keys(NAMED_COLORS).find(name => NAMED_COLORS[name] === hex) || null;
+    }
+
+    if (lower.startsWith('hsl')) {
+        const legacy = lower.includes(',');
+        const { h, s, l } = rgbToHsl(color);
+        // Whole numbers when they round-trip, one decimal otherwise
+        for (const digits of [0, 1]) {
+            const parts = [round(h, digits), round(s, digits), round(l, digits)];
+            if (!isSameColor({ ...hslToRgb(...parts), a: color.a }, color)) continue;
+
+            const [hue, saturation, lightness] = parts;
+            if (legacy) {
+                return color.a < 1 ?
+                    `hsla(${hue}, ${saturation}%, ${lightness}%, ${round(color.a, 3)})` :
+                    `hsl(${hue}, ${saturation}%, ${lightness}%)`;
+            }
+            return `hsl(${hue} ${saturation}% ${lightness}%${color.a < 1 ? ` / ${round(color.a, 3)}` : ''})`;
+        }
+        return null;
+    }
+
+    return null;
+}
+
+// Lengths
+
+function parseLength(token) {
+    const match = token.match(LENGTH_PATTERN);
+    return match ? { number: parseFloat(match[1]), unit: (match[2] || '').toLowerCase() } : null;
+}
+
+// Pixels per unit for `property`, or null when the unit's reference size is
+// unknown (percent widths, unitless values other than line-height)
+function getUnitSize(unit, property, format) {
+    const rootFontSize = format.rootFontSize || DEFAULT_ROOT_FONT_SIZE;
+    const fontSize = property === 'font-size' ? rootFontSize : (format.fontSize || null);
+
+    switch (unit) {
+        case 'px': return 1;
+        case 'rem': return rootFontSize;
+        case 'em': return property === 'font-size' ? rootFontSize : (fontSize || rootFontSize);
+        case '%':
+            if (property === 'font-size') return rootFontSize / 100;
+            if (property === 'line-height' && fontSize) return fontSize / 100;
+            return null;
+        case '':
+            return property === 'line-height' && fontSize ? fontSize : null;
+        default:
+            return null;
+    }
+}
+
+function formatNumber(number, like) {
+    let text = String(round(number, 4));
+    // Keep the author's `.5` style
+    if (/^[+-]?\./.test(like)) {
+        text = text.replace(/^(-?)0\./, '$1.');
+    }
+    return text;
+}
+
+// A px token written in the unit of the authored token `like`, or null
+function formatLengthLike(px, property, like, format) {
+    const authored = parseLength(like);
+    if (!authored) {
+        return null;
+    }
+
+    // Zero is zero in any unit; keep the authored `0`
+    if (px === 0 && authored.number === 0) {
+        return like;
+    }
+
+    const size = getUnitSize(authored.unit, property, format);
+    if (!size || (authored.unit === '' && authored.number === 0)) {
+        return null;
+    }
+    if (Math.abs(authored.number * size - px) < 0.001) {
+        return like;
+    }
+    return formatNumber(px / size, like) + authored.unit;
+}
+
+// `token` in px, or null when it isn't a length with a known reference size
+function toPixels(token, property, format = {}) {
+    const length = parseLength(token);
+    if (!length) {
+        return null;
+    }
+    const size = getUnitSize(length.unit, property, format);
+    return size === null ? null : length.number * size;
+}
+
+// Values
+
+function isColorToken(token) {
+    return parseColor(token) !== null;
+}
+
+// The authored token to take a format from: the one in the same position
+// when both values have the same shape, otherwise the first of the same kind
+// that says something about the format (`1rem` rather than `0`)
+function findAuthoredToken(tokens, index, count, matches, informative = matches) {
+    if (tokens.length === count && matches(tokens[index])) {
+        return tokens[index];
+    }
+    return tokens.find(informative) || null;
+}
+
+// `value` with its colors and px lengths converted to the format of
+// `authored` (the value being replaced, or a sample from the file)
+function formatValue(property, value, authored, format = {}) {
+    if (typeof value !== 'string' || property.startsWith('--')) {
+        return value;
+    }
+
+    const tokens = splitValue(value);
+    const authoredTokens = authored ? splitValue(authored) : [];
+    const isLength = token => parseLength(token) !== null;
+    const hasUnit = token => isLength(token) && parseLength(token).unit !== '';
+
+    const converted = tokens.map((token, index) => {
+        const color = parseColor(token);
+        if (color) {
+            const like = findAuthoredToken(authoredTokens, index, tokens.length, isColorToken) || format.colorSample;
+            if (!like) return token;
+            if (isSameColor(parseColor(like), color)) return like;
+            return formatColorLike(color, like) || token;
+        }
+
+        const length = parseLength(token);
+        if (length && length.unit === 'px') {
+            const like = findAuthoredToken(authoredTokens, index, tokens.length, isLength, hasUnit);
+            return (like && formatLengthLike(length.number, property, like, format)) || token;
+        }
+
+        return token;
+    });
+
+    return converted.join(' ') === tokens.join(' ') ? value : converted.join(' ');
+}
+
+// Whether `value` is `authored` written another way (`rgb(51, 51, 51)` for
+// `#333`, `16px` for `1rem`)
+function isEquivalentValue(property, value, authored, format = {}) {
+    const normalize = text => canonicalizeColors(text).replace(/\s+/g, ' ').toLowerCase();
+    return formatValue(property, value, authored, format) === authored || normalize(value) === normalize(authored);
+}
+
+// Colors in a value replaced by one canonical form, so `#333` and
+// `rgb(51, 51, 51)` compare equal
+function canonicalizeColors(value) {
+    return splitValue(value).map(token => {
+        const color = parseColor(token);
+        return color ? `rgba(${color.r},${color.g},${color.b},${color.a})` : token;
+    }).join(' ');
+}
+
+// Formats used across a parsed file: the last authored value of each property
+// and the most common color format
+function describeFileFormat(root) {
+    const samples = {};
+    const colorCounts = new Map(); // format key -> { count, sample }
+
+    const visit = (node) => {
+        for (const child of node.children || []) {
+            if (child.type === 'decl' && !child.prop.startsWith('--')) {
+                samples[child.prop] = child.value;
+                for (const token of splitValue(child.value)) {
+                    if (!isColorToken(token)) continue;
+                    const key = getColorFormatKey(token);
+                    const entry = colorCounts.get(key) || { count: 0, sample: token };
+                    entry.count++;
+                    colorCounts.set(key, entry);
+                }
+            }
+            visit(child);
+        }
+    };
+    visit(root);
+
+    let colorSample = null;
+    let best = 0;
+    for (const { count, sample } of colorCounts.values()) {
+        if (count > best) {
+            best = count;
+            colorSample = sample;
+        }
+    }
+
+    return { samples, colorSample };
+}
+
+function getColorFormatKey(token) {
+    const lower = token.toLowerCase();
+    if (lower.startsWith('#')) return `hex${token.length <= 5 ? '-short' : ''}${token !== lower ? '-upper' : ''}`;
+    if (lower.startsWith('hsl')) return lower.includes(',') ? 'hsl-legacy' : 'hsl';
+    if (lower.startsWith('rgb')) return 'rgb';
+    return 'named';
+}
+
+function round(number, digits) {
+    const factor = Math.pow(10, digits);
+    return Math.round(number * factor) / factor;
+}
+
+module.exports = {
+    DEFAULT_ROOT_FONT_SIZE,
+    parseColor,
+    toPixels,
+    formatValue,
+    isEquivalentValue,
+    canonicalizeColors,
+    describeFileFormat
+};